@@ -11,9 +11,11 @@ import Sim from '../../joist/js/Sim.js';
 import simLauncher from '../../joist/js/simLauncher.js';
 import Tandem from '../../tandem/js/Tandem.js';
 import bendingLightStrings from './bendingLightStrings.js';
+import BendingLightQueryParameters from './common/BendingLightQueryParameters.js';
 import IntroScreen from './intro/IntroScreen.js';
 import MoreToolsScreen from './more-tools/MoreToolsScreen.js';
 import PrismsScreen from './prisms/PrismsScreen.js';
+import PrismsBenchmarkDialog from './prisms/view/PrismsBenchmarkDialog.js';
 
 const bendingLightTitleString = bendingLightStrings[ 'bending-light' ].title;
 
@@ -39,4 +41,8 @@ simLauncher.launch( () => {
     new MoreToolsScreen( tandem.createTandem( 'moreToolsScreen' ) )
   ], simOptions );
   sim.start();
+
+  if ( BendingLightQueryParameters.benchmark ) {
+    new PrismsBenchmarkDialog().show();
+  }
 } );
\ No newline at end of file
@@ -18,8 +18,10 @@ import bendingLight from '../bendingLight.js';
 const SPEED_OF_LIGHT = 2.99792458E8;
 const WAVELENGTH_RED = 650E-9; //nanometers
 
-//only go to 700nm because after that the reds are too black
-const LASER_MAX_WAVELENGTH = 700; // nm
+// The laser reaches into the near ultraviolet and the near infrared, past the telecom wavelengths of 1310 and 1550nm.
+// Light outside of the visible spectrum is drawn with false colors, see LaserColor.
+const LASER_MIN_WAVELENGTH = 250; // nm
+const LASER_MAX_WAVELENGTH = 1600; // nm
 
 // so the refracted wave mode doesn't get too big because at angle = PI it would become infinite.
 // this value was determined by printing out actual angle values at runtime and sampling a good value.
@@ -291,12 +293,14 @@ const BendingLightConstants = {
   SCREEN_VIEW_OPTIONS: {
     layoutBounds: new Bounds2( 0, 0, 834, 504 )
   },
+  LASER_MIN_WAVELENGTH: LASER_MIN_WAVELENGTH,
   LASER_MAX_WAVELENGTH: LASER_MAX_WAVELENGTH,
   SPEED_OF_LIGHT: SPEED_OF_LIGHT,
   MAX_ANGLE_IN_WAVE_MODE: MAX_ANGLE_IN_WAVE_MODE,
   WAVELENGTH_RED: WAVELENGTH_RED,
 
   D65: D65,
+  XYZ: XYZ,
   XYZ_INTENSITIES: XYZ_INTENSITIES,
   XYZ_INTENSITIES_MAGNITUDE: XYZ_INTENSITIES_MAGNITUDE,
   WHITE_LIGHT_WAVELENGTHS: WHITE_LIGHT_WAVELENGTHS,
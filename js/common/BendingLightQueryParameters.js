@@ -0,0 +1,35 @@
+// Copyright 2021, University of Colorado Boulder
+
+/**
+ * Query parameters supported by this simulation.
+ *
+ * @author Sam Reid (PhET Interactive Simulations)
+ */
+
+import bendingLight from '../bendingLight.js';
+
+const BendingLightQueryParameters = QueryStringMachine.getAll( {
+
+  // Shows a benchmark of updating the rays when a prism is dragged on the Prisms screen in a dialog.
+  // For internal use.
+  benchmark: { type: 'flag' },
+
+  // Number of reflections and refractions after which a ray on the Prisms screen is no longer propagated.  Mirror
+  // arrangements and fibers need more, slow machines can use fewer.
+  maxBounces: {
+    type: 'number',
+    defaultValue: 50,
+    isValidValue: value => Number.isInteger( value ) && value >= 0
+  },
+
+  // Fraction of the laser power below which a ray on the Prisms screen is no longer propagated
+  minPower: {
+    type: 'number',
+    defaultValue: 0.001,
+    isValidValue: value => value > 0 && value < 1
+  }
+} );
+
+bendingLight.register( 'BendingLightQueryParameters', BendingLightQueryParameters );
+
+export default BendingLightQueryParameters;
@@ -38,6 +38,10 @@ class BendingLightModel {
 
     this.mediumColorFactory = new MediumColorFactory();
 
+    // @public (read-only) - Substances that the user imported from refractive index data files, which can be chosen in
+    // the material combo boxes.  They are kept on reset, like a library of materials.
+    this.importedSubstances = createObservableArray();
+
     // dimensions of the model, guaranteed to be shown in entirety on the stage
     this.modelWidth = CHARACTERISTIC_LENGTH * 62; // @public (read-only)
     this.modelHeight = this.modelWidth * 0.7; // @public (read-only)
@@ -101,32 +105,6 @@ class BendingLightModel {
     this.showAnglesProperty.reset();
     this.laser.reset();
   }
-
-  /**
-   * Get the fraction of power reflected from the medium
-   * @public
-   * @param {number} n1 - index of refraction of first medium
-   * @param {number} n2 - index of refraction of second medium
-   * @param {number} cosTheta1 - cosine of incident angle
-   * @param {number} cosTheta2 - cosine of reflected angle
-   * @returns {number}
-   */
-  static getReflectedPower( n1, n2, cosTheta1, cosTheta2 ) {
-    return Math.pow( ( n1 * cosTheta1 - n2 * cosTheta2 ) / ( n1 * cosTheta1 + n2 * cosTheta2 ), 2 );
-  }
-
-  /**
-   * Get the fraction of power transmitted through the medium
-   * @public
-   * @param {number} n1 - index of refraction of first medium
-   * @param {number} n2 - index of refraction of second medium
-   * @param {number} cosTheta1 - cosine of incident angle
-   * @param {number} cosTheta2 - cosine of transmitted angle
-   * @returns {number}
-   */
-  static getTransmittedPower( n1, n2, cosTheta1, cosTheta2 ) {
-    return 4 * n1 * n2 * cosTheta1 * cosTheta2 / ( Math.pow( n1 * cosTheta1 + n2 * cosTheta2, 2 ) );
-  }
 }
 
 // @public (read-only)
@@ -0,0 +1,79 @@
+// Copyright 2021, University of Colorado Boulder
+
+/**
+ * Dispersion function given by Cauchy's equation with measured coefficients for a specific material:
+ * n = A + B / lambda^2 + C / lambda^4 + ..., where lambda is in microns.  Other powers of lambda may be specified, as in
+ * the generalized form n = A + sum_i B_i * lambda^p_i used by refractiveindex.info.
+ * See http://en.wikipedia.org/wiki/Cauchy%27s_equation
+ *
+ * @author Sam Reid (PhET Interactive Simulations)
+ */
+
+import merge from '../../../../phet-core/js/merge.js';
+import bendingLight from '../../bendingLight.js';
+import BendingLightConstants from '../BendingLightConstants.js';
+import DispersionFunction from './DispersionFunction.js';
+
+/**
+ * Evaluates Cauchy's equation
+ * @param {number[]} coefficients - A, B, C, ... in units of microns to the negated exponent
+ * @param {number[]} exponents - power of the wavelength in microns for each coefficient
+ * @param {number} wavelength - wavelength in meters
+ * @returns {number}
+ */
+const getCauchyIndex = ( coefficients, exponents, wavelength ) => {
+
+  // convert to microns, the units of the coefficients
+  const L = wavelength * 1E6;
+  let sum = 0;
+  for ( let i = 0; i < coefficients.length; i++ ) {
+    sum += coefficients[ i ] * Math.pow( L, exponents[ i ] );
+  }
+  return sum;
+};
+
+class CauchyDispersionFunction extends DispersionFunction {
+
+  /**
+   * @param {number[]} coefficients - A, B (in square microns), C (in microns^4), ...
+   * @param {Object} [options]
+   */
+  constructor( coefficients, options ) {
+    assert && assert( coefficients.length > 0, 'at least the constant term is required' );
+
+    options = merge( {
+
+      // {number[]|null} - power of the wavelength for each coefficient, defaults to 0, -2, -4, ...
+      exponents: null,
+
+      // {Range|null} - in meters, wavelengths outside of this range are evaluated at the nearest end of it, for
+      // coefficients that were only fitted to measurements over a limited range
+      wavelengthRange: null
+    }, options );
+    const exponents = options.exponents || coefficients.map( ( coefficient, i ) => -2 * i );
+    assert && assert( exponents.length === coefficients.length, 'there must be an exponent for each coefficient' );
+
+    const wavelength = BendingLightConstants.WAVELENGTH_RED;
+    super( getCauchyIndex( coefficients, exponents, wavelength ), wavelength );
+
+    // @private
+    this.coefficients = coefficients;
+    this.exponents = exponents;
+    this.wavelengthRange = options.wavelengthRange;
+  }
+
+  /**
+   * @param {number} wavelength - wavelength in meters
+   * @returns {number}
+   * @public
+   * @override
+   */
+  getIndexOfRefraction( wavelength ) {
+    return getCauchyIndex( this.coefficients, this.exponents,
+      this.wavelengthRange ? this.wavelengthRange.constrainValue( wavelength ) : wavelength );
+  }
+}
+
+bendingLight.register( 'CauchyDispersionFunction', CauchyDispersionFunction );
+
+export default CauchyDispersionFunction;
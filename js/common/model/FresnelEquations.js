@@ -0,0 +1,339 @@
+// Copyright 2021, University of Colorado Boulder
+
+/**
+ * Fresnel equations for the fractions of power that are reflected and transmitted where light meets an interface
+ * between two media, for s- and p-polarized light and for mixtures of the two, and where thin layers between the media
+ * make the light interfere with itself.  They are kept apart from BendingLightModel so that rays can also be traced in
+ * a Web Worker, see RayTracingCore.
+ *
+ * @author Sam Reid (PhET Interactive Simulations)
+ */
+
+import Complex from '../../../../dot/js/Complex.js';
+import bendingLight from '../../bendingLight.js';
+
+/**
+ * Determine what fraction of the total power is s-polarized, given the power in each component.  If there is no power,
+ * the polarization is unchanged.
+ * @param {number} sPower
+ * @param {number} pPower
+ * @param {number} defaultSPolarizationFraction - used when there is no power at all
+ * @returns {number}
+ */
+const getSPolarizationFraction = ( sPower, pPower, defaultSPolarizationFraction ) => {
+  const totalPower = sPower + pPower;
+  return totalPower > 0 ? sPower / totalPower : defaultSPolarizationFraction;
+};
+
+/**
+ * Gets n * cos( theta ) in a medium, where theta is the angle of the light from the normal and n * sin( theta ) is the
+ * same in every medium by Snell's law.  It is imaginary where the light cannot propagate and the wave is evanescent.
+ * @param {number} n - index of refraction of the medium
+ * @param {number} tangentialIndex - n * sin( theta ), which is the same in every medium
+ * @returns {Complex}
+ */
+const getNormalIndex = ( n, tangentialIndex ) => {
+  const radicand = n * n - tangentialIndex * tangentialIndex;
+  return radicand >= 0 ? Complex.real( Math.sqrt( radicand ) ) : new Complex( 0, Math.sqrt( -radicand ) );
+};
+
+/**
+ * Gets the Fresnel amplitude coefficients of the electric field at an interface, which may be complex for evanescent
+ * waves
+ * @param {number} ni - index of refraction of the medium of the incident light
+ * @param {number} nj - index of refraction of the other medium
+ * @param {Complex} ai - ni * cos( theta_i ), see getNormalIndex
+ * @param {Complex} aj - nj * cos( theta_j )
+ * @param {boolean} sPolarized - true for s-polarized light, false for p-polarized light
+ * @returns {{r: Complex, t: Complex}} - reflection and transmission coefficients
+ */
+const getAmplitudeCoefficients = ( ni, nj, ai, aj, sPolarized ) => {
+
+  // For p-polarized light, the cosines are divided by the indices of refraction instead of multiplied
+  const wi = ai.times( Complex.real( sPolarized ? 1 : nj * nj ) );
+  const wj = aj.times( Complex.real( sPolarized ? 1 : ni * ni ) );
+  const denominator = wi.plus( wj );
+  return {
+    r: wi.minus( wj ).dividedBy( denominator ),
+    t: ai.times( Complex.real( sPolarized ? 2 : 2 * ni * nj ) ).dividedBy( denominator )
+  };
+};
+
+/**
+ * Gets the change of the amplitude and phase of a wave that crosses a layer along the normal, exp( i * k0 * a * d ),
+ * which decays for an evanescent wave
+ * @param {Complex} a - n * cos( theta ) in the layer, see getNormalIndex
+ * @param {number} thickness - in meters
+ * @param {number} wavelength - in vacuum, in meters
+ * @returns {Complex}
+ */
+const getPropagation = ( a, thickness, wavelength ) => {
+  const k0 = 2 * Math.PI / wavelength;
+  const decay = Math.exp( -k0 * a.imaginary * thickness );
+  const phase = k0 * a.real * thickness;
+  return new Complex( decay * Math.cos( phase ), decay * Math.sin( phase ) );
+};
+
+/**
+ * Gets the fractions of the power that are reflected and transmitted by a stack of parallel layers between two media.
+ * The waves in each layer are summed over their reflections from both sides of it, starting from the last layer
+ * (Rouard's method), so the light interferes with itself like in a soap film.
+ * @param {number[]} indices - indices of refraction of the medium of the incident light, of each layer in the order
+ *                           - that the light meets them, and of the medium on the other side
+ * @param {number[]} thicknesses - of each layer, in meters
+ * @param {number} sinTheta1 - sine of the incident angle
+ * @param {number} wavelength - in vacuum, in meters
+ * @param {boolean} sPolarized - true for s-polarized light, false for p-polarized light
+ * @returns {{reflected: number, transmitted: number}}
+ */
+const getLayeredPowers = ( indices, thicknesses, sinTheta1, wavelength, sPolarized ) => {
+  const tangentialIndex = indices[ 0 ] * sinTheta1;
+  const a = indices.map( n => getNormalIndex( n, tangentialIndex ) );
+  const last = indices.length - 1;
+  let { r, t } = getAmplitudeCoefficients( indices[ last - 1 ], indices[ last ], a[ last - 1 ], a[ last ], sPolarized );
+
+  // Add the layers one at a time, from the back
+  for ( let j = last - 1; j >= 1; j-- ) {
+    const propagation = getPropagation( a[ j ], thicknesses[ j - 1 ], wavelength );
+    const front = getAmplitudeCoefficients( indices[ j - 1 ], indices[ j ], a[ j - 1 ], a[ j ], sPolarized );
+    const roundTrip = r.times( propagation ).times( propagation );
+    const denominator = Complex.real( 1 ).plus( front.r.times( roundTrip ) );
+    t = front.t.times( t ).times( propagation ).dividedBy( denominator );
+    r = front.r.plus( roundTrip ).dividedBy( denominator );
+  }
+
+  // No power leaves where the wave in the last medium is evanescent
+  return {
+    reflected: r.getMagnitudeSquared(),
+    transmitted: a[ last ].real / a[ 0 ].real * t.getMagnitudeSquared()
+  };
+};
+
+/**
+ * Gets the fraction of the power that crosses a gap of a medium with a lower index of refraction between two other
+ * media, where the light would be totally internally reflected without the third medium.  The evanescent wave in the
+ * gap is summed over its reflections from both sides of the gap.
+ * @param {number} n1 - index of refraction of the medium of the incident light
+ * @param {number} n2 - index of refraction of the gap
+ * @param {number} n3 - index of refraction of the medium on the other side of the gap
+ * @param {number} sinTheta1 - sine of the incident angle
+ * @param {number} gapWidth - in meters
+ * @param {number} wavelength - in vacuum, in meters
+ * @param {boolean} sPolarized - true for s-polarized light, false for p-polarized light
+ * @returns {number}
+ */
+const getGapTransmittedPower = ( n1, n2, n3, sinTheta1, gapWidth, wavelength, sPolarized ) =>
+  getLayeredPowers( [ n1, n2, n3 ], [ gapWidth ], sinTheta1, wavelength, sPolarized ).transmitted;
+
+/**
+ * Gets the fractions of the power that are reflected and transmitted where a thin-film coating lies between two media
+ * @param {number} n1 - index of refraction of the medium of the incident light
+ * @param {number} n2 - index of refraction of the medium on the other side of the coating
+ * @param {{indexOfRefraction: number, thickness: number}[]} layers - in the order that the light meets them, with the
+ *                                                                  - thickness in meters
+ * @param {number} sinTheta1 - sine of the incident angle
+ * @param {number} wavelength - in vacuum, in meters
+ * @param {boolean} sPolarized - true for s-polarized light, false for p-polarized light
+ * @returns {{reflected: number, transmitted: number}}
+ */
+const getCoatingPowers = ( n1, n2, layers, sinTheta1, wavelength, sPolarized ) => getLayeredPowers(
+  [ n1 ].concat( layers.map( layer => layer.indexOfRefraction ), [ n2 ] ),
+  layers.map( layer => layer.thickness ),
+  sinTheta1,
+  wavelength,
+  sPolarized
+);
+
+class FresnelEquations {
+
+  /**
+   * Get the fraction of power reflected from the medium for s-polarized light
+   * @public
+   * @param {number} n1 - index of refraction of first medium
+   * @param {number} n2 - index of refraction of second medium
+   * @param {number} cosTheta1 - cosine of incident angle
+   * @param {number} cosTheta2 - cosine of reflected angle
+   * @returns {number}
+   */
+  static getReflectedPower( n1, n2, cosTheta1, cosTheta2 ) {
+    return Math.pow( ( n1 * cosTheta1 - n2 * cosTheta2 ) / ( n1 * cosTheta1 + n2 * cosTheta2 ), 2 );
+  }
+
+  /**
+   * Get the fraction of power transmitted through the medium for s-polarized light
+   * @public
+   * @param {number} n1 - index of refraction of first medium
+   * @param {number} n2 - index of refraction of second medium
+   * @param {number} cosTheta1 - cosine of incident angle
+   * @param {number} cosTheta2 - cosine of transmitted angle
+   * @returns {number}
+   */
+  static getTransmittedPower( n1, n2, cosTheta1, cosTheta2 ) {
+    return 4 * n1 * n2 * cosTheta1 * cosTheta2 / ( Math.pow( n1 * cosTheta1 + n2 * cosTheta2, 2 ) );
+  }
+
+  /**
+   * Get the fraction of power reflected from the medium for p-polarized light
+   * @public
+   * @param {number} n1 - index of refraction of first medium
+   * @param {number} n2 - index of refraction of second medium
+   * @param {number} cosTheta1 - cosine of incident angle
+   * @param {number} cosTheta2 - cosine of transmitted angle
+   * @returns {number}
+   */
+  static getReflectedPowerP( n1, n2, cosTheta1, cosTheta2 ) {
+    return Math.pow( ( n2 * cosTheta1 - n1 * cosTheta2 ) / ( n2 * cosTheta1 + n1 * cosTheta2 ), 2 );
+  }
+
+  /**
+   * Get the fraction of power transmitted through the medium for p-polarized light
+   * @public
+   * @param {number} n1 - index of refraction of first medium
+   * @param {number} n2 - index of refraction of second medium
+   * @param {number} cosTheta1 - cosine of incident angle
+   * @param {number} cosTheta2 - cosine of transmitted angle
+   * @returns {number}
+   */
+  static getTransmittedPowerP( n1, n2, cosTheta1, cosTheta2 ) {
+    return 4 * n1 * n2 * cosTheta1 * cosTheta2 / ( Math.pow( n2 * cosTheta1 + n1 * cosTheta2, 2 ) );
+  }
+
+  /**
+   * Get the fraction of power reflected from the medium for light that is a mix of s- and p-polarized light
+   * @public
+   * @param {number} n1 - index of refraction of first medium
+   * @param {number} n2 - index of refraction of second medium
+   * @param {number} cosTheta1 - cosine of incident angle
+   * @param {number} cosTheta2 - cosine of transmitted angle
+   * @param {number} sPolarizationFraction - fraction of the incident power that is s-polarized
+   * @returns {number}
+   */
+  static getPolarizedReflectedPower( n1, n2, cosTheta1, cosTheta2, sPolarizationFraction ) {
+    return sPolarizationFraction * FresnelEquations.getReflectedPower( n1, n2, cosTheta1, cosTheta2 ) +
+           ( 1 - sPolarizationFraction ) * FresnelEquations.getReflectedPowerP( n1, n2, cosTheta1, cosTheta2 );
+  }
+
+  /**
+   * Get the fraction of power transmitted through the medium for light that is a mix of s- and p-polarized light
+   * @public
+   * @param {number} n1 - index of refraction of first medium
+   * @param {number} n2 - index of refraction of second medium
+   * @param {number} cosTheta1 - cosine of incident angle
+   * @param {number} cosTheta2 - cosine of transmitted angle
+   * @param {number} sPolarizationFraction - fraction of the incident power that is s-polarized
+   * @returns {number}
+   */
+  static getPolarizedTransmittedPower( n1, n2, cosTheta1, cosTheta2, sPolarizationFraction ) {
+    return sPolarizationFraction * FresnelEquations.getTransmittedPower( n1, n2, cosTheta1, cosTheta2 ) +
+           ( 1 - sPolarizationFraction ) * FresnelEquations.getTransmittedPowerP( n1, n2, cosTheta1, cosTheta2 );
+  }
+
+  /**
+   * Get the fraction of the reflected power that is s-polarized.  Since s- and p-polarized light reflect differently,
+   * the polarization of the reflected light generally differs from that of the incident light.
+   * @public
+   * @param {number} n1 - index of refraction of first medium
+   * @param {number} n2 - index of refraction of second medium
+   * @param {number} cosTheta1 - cosine of incident angle
+   * @param {number} cosTheta2 - cosine of transmitted angle
+   * @param {number} sPolarizationFraction - fraction of the incident power that is s-polarized
+   * @returns {number}
+   */
+  static getReflectedSPolarizationFraction( n1, n2, cosTheta1, cosTheta2, sPolarizationFraction ) {
+    return getSPolarizationFraction(
+      sPolarizationFraction * FresnelEquations.getReflectedPower( n1, n2, cosTheta1, cosTheta2 ),
+      ( 1 - sPolarizationFraction ) * FresnelEquations.getReflectedPowerP( n1, n2, cosTheta1, cosTheta2 ),
+      sPolarizationFraction
+    );
+  }
+
+  /**
+   * Get the fraction of the transmitted power that is s-polarized.
+   * @public
+   * @param {number} n1 - index of refraction of first medium
+   * @param {number} n2 - index of refraction of second medium
+   * @param {number} cosTheta1 - cosine of incident angle
+   * @param {number} cosTheta2 - cosine of transmitted angle
+   * @param {number} sPolarizationFraction - fraction of the incident power that is s-polarized
+   * @returns {number}
+   */
+  static getTransmittedSPolarizationFraction( n1, n2, cosTheta1, cosTheta2, sPolarizationFraction ) {
+    return getSPolarizationFraction(
+      sPolarizationFraction * FresnelEquations.getTransmittedPower( n1, n2, cosTheta1, cosTheta2 ),
+      ( 1 - sPolarizationFraction ) * FresnelEquations.getTransmittedPowerP( n1, n2, cosTheta1, cosTheta2 ),
+      sPolarizationFraction
+    );
+  }
+
+  /**
+   * Get the fraction of power that tunnels across a narrow gap where light is totally internally reflected, called
+   * frustrated total internal reflection, for light that is a mix of s- and p-polarized light.  It decreases
+   * exponentially with the width of the gap, faster for shorter wavelengths and for angles farther past the critical
+   * angle.
+   * @public
+   * @param {number} n1 - index of refraction of the medium of the incident light
+   * @param {number} n2 - index of refraction of the gap
+   * @param {number} n3 - index of refraction of the medium on the other side of the gap
+   * @param {number} sinTheta1 - sine of the incident angle
+   * @param {number} gapWidth - in meters
+   * @param {number} wavelength - in vacuum, in meters
+   * @param {number} sPolarizationFraction - fraction of the incident power that is s-polarized
+   * @returns {number}
+   */
+  static getTunneledPower( n1, n2, n3, sinTheta1, gapWidth, wavelength, sPolarizationFraction ) {
+    return sPolarizationFraction * getGapTransmittedPower( n1, n2, n3, sinTheta1, gapWidth, wavelength, true ) +
+           ( 1 - sPolarizationFraction ) * getGapTransmittedPower( n1, n2, n3, sinTheta1, gapWidth, wavelength, false );
+  }
+
+  /**
+   * Get the fraction of the power that tunnels across a gap that is s-polarized, see getTunneledPower
+   * @public
+   * @param {number} n1 - index of refraction of the medium of the incident light
+   * @param {number} n2 - index of refraction of the gap
+   * @param {number} n3 - index of refraction of the medium on the other side of the gap
+   * @param {number} sinTheta1 - sine of the incident angle
+   * @param {number} gapWidth - in meters
+   * @param {number} wavelength - in vacuum, in meters
+   * @param {number} sPolarizationFraction - fraction of the incident power that is s-polarized
+   * @returns {number}
+   */
+  static getTunneledSPolarizationFraction( n1, n2, n3, sinTheta1, gapWidth, wavelength, sPolarizationFraction ) {
+    return getSPolarizationFraction(
+      sPolarizationFraction * getGapTransmittedPower( n1, n2, n3, sinTheta1, gapWidth, wavelength, true ),
+      ( 1 - sPolarizationFraction ) * getGapTransmittedPower( n1, n2, n3, sinTheta1, gapWidth, wavelength, false ),
+      sPolarizationFraction
+    );
+  }
+
+  /**
+   * Get the fractions of power reflected and transmitted where a face is coated with thin films, for light that is a
+   * mix of s- and p-polarized light.  Light reflected from each side of each film interferes, so the powers depend on
+   * the wavelength and the angle, which gives the colors of soap films and the low reflections of lens coatings.
+   * @public
+   * @param {number} n1 - index of refraction of the medium of the incident light
+   * @param {number} n2 - index of refraction of the medium on the other side of the coating
+   * @param {{indexOfRefraction: number, thickness: number}[]} layers - in the order that the light meets them, with
+   *                                                                  - the thickness in meters
+   * @param {number} sinTheta1 - sine of the incident angle
+   * @param {number} wavelength - in vacuum, in meters
+   * @param {number} sPolarizationFraction - fraction of the incident power that is s-polarized
+   * @returns {{reflectedPower: number, transmittedPower: number, reflectedSPolarizationFraction: number,
+   *          transmittedSPolarizationFraction: number}}
+   */
+  static getCoatedPowers( n1, n2, layers, sinTheta1, wavelength, sPolarizationFraction ) {
+    const s = getCoatingPowers( n1, n2, layers, sinTheta1, wavelength, true );
+    const p = getCoatingPowers( n1, n2, layers, sinTheta1, wavelength, false );
+    return {
+      reflectedPower: sPolarizationFraction * s.reflected + ( 1 - sPolarizationFraction ) * p.reflected,
+      transmittedPower: sPolarizationFraction * s.transmitted + ( 1 - sPolarizationFraction ) * p.transmitted,
+      reflectedSPolarizationFraction: getSPolarizationFraction( sPolarizationFraction * s.reflected,
+        ( 1 - sPolarizationFraction ) * p.reflected, sPolarizationFraction ),
+      transmittedSPolarizationFraction: getSPolarizationFraction( sPolarizationFraction * s.transmitted,
+        ( 1 - sPolarizationFraction ) * p.transmitted, sPolarizationFraction )
+    };
+  }
+}
+
+bendingLight.register( 'FresnelEquations', FresnelEquations );
+
+export default FresnelEquations;
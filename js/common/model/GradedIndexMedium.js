@@ -0,0 +1,65 @@
+// Copyright 2021, University of Colorado Boulder
+
+/**
+ * A graded-index (GRIN) medium, whose index of refraction varies with position.  The index at a position is the index
+ * of the substance (which gives the dispersion) plus an offset given by an index profile, so light follows curved
+ * paths that bend toward higher index of refraction, as in mirages or GRIN lenses.
+ *
+ * @author Sam Reid (PhET Interactive Simulations)
+ */
+
+import bendingLight from '../../bendingLight.js';
+import Medium from './Medium.js';
+
+class GradedIndexMedium extends Medium {
+
+  /**
+   * @param {Shape} shape - shape of the medium
+   * @param {Substance} substance - index of refraction where the profile is zero, and its dispersion
+   * @param {Color} color - color of the medium
+   * @param {IndexProfile} indexProfile - change in the index of refraction with position.  The resulting index of
+   *                                    - refraction should not drop below 1
+   */
+  constructor( shape, substance, color, indexProfile ) {
+    super( shape, substance, color );
+
+    // @public (read-only)
+    this.indexProfile = indexProfile;
+  }
+
+  /**
+   * Determines the index of refraction of the medium at a position
+   * @public
+   * @override
+   * @param {Vector2} position - in meters
+   * @param {number} wavelength - wavelength in meters
+   * @returns {number}
+   */
+  getIndexOfRefractionAt( position, wavelength ) {
+    return this.getIndexOfRefraction( wavelength ) + this.indexProfile.getIndexChangeAt( position );
+  }
+
+  /**
+   * Determines the gradient of the index of refraction at a position, which is the same for all wavelengths since the
+   * profile is added to the index of the substance
+   * @public
+   * @param {Vector2} position - in meters
+   * @returns {Vector2} - in 1/m
+   */
+  getIndexGradientAt( position ) {
+    return this.indexProfile.getGradientAt( position );
+  }
+
+  /**
+   * @public
+   * @override
+   * @returns {boolean}
+   */
+  isGraded() {
+    return true;
+  }
+}
+
+bendingLight.register( 'GradedIndexMedium', GradedIndexMedium );
+
+export default GradedIndexMedium;
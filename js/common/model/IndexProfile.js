@@ -0,0 +1,134 @@
+// Copyright 2021, University of Colorado Boulder
+
+/**
+ * How the index of refraction of a graded-index medium changes with position, see GradedIndexMedium.  A profile is
+ * either linear, where the index increases along a line and is constant beyond its ends, or radial, where it is highest
+ * at a center and decreases parabolically to zero at a radius, like a GRIN lens.  Profiles can be converted to and from
+ * plain objects so that they can be sent to a Web Worker, see RayTracingCore.
+ *
+ * @author Sam Reid (PhET Interactive Simulations)
+ */
+
+import Utils from '../../../../dot/js/Utils.js';
+import Vector2 from '../../../../dot/js/Vector2.js';
+import bendingLight from '../../bendingLight.js';
+
+// constants
+const GRADIENT_DELTA = 1E-9; // distance in meters used to compute the gradient of the profile with central differences
+
+class IndexProfile {
+
+  /**
+   * Use createLinear or createRadial
+   * @private
+   * @param {string} type - 'linear' | 'radial'
+   * @param {Vector2} start - where a linear profile is zero, or the center of a radial profile, in meters
+   * @param {Vector2|null} end - where a linear profile reaches deltaN in meters, null for radial profiles
+   * @param {number} radius - where a radial profile reaches zero in meters, 0 for linear profiles
+   * @param {number} deltaN - largest change in the index of refraction
+   */
+  constructor( type, start, end, radius, deltaN ) {
+
+    // @private
+    this.type = type;
+    this.start = start;
+    this.end = end;
+    this.radius = radius;
+    this.deltaN = deltaN;
+  }
+
+  /**
+   * Determines the change in the index of refraction at a position
+   * @public
+   * @param {Vector2} position - in meters
+   * @returns {number}
+   */
+  getIndexChangeAt( position ) {
+    if ( this.type === 'linear' ) {
+      const direction = this.end.minus( this.start );
+      return this.deltaN * Utils.clamp(
+        ( ( position.x - this.start.x ) * direction.x + ( position.y - this.start.y ) * direction.y ) /
+        direction.magnitudeSquared, 0, 1
+      );
+    }
+    else {
+      return this.deltaN * Math.max( 0, 1 - position.distanceSquared( this.start ) / ( this.radius * this.radius ) );
+    }
+  }
+
+  /**
+   * Determines the gradient of the index of refraction at a position
+   * @public
+   * @param {Vector2} position - in meters
+   * @returns {Vector2} - in 1/m
+   */
+  getGradientAt( position ) {
+    const x = position.x;
+    const y = position.y;
+    return new Vector2(
+      this.getIndexChangeAt( new Vector2( x + GRADIENT_DELTA, y ) ) - this.getIndexChangeAt( new Vector2( x - GRADIENT_DELTA, y ) ),
+      this.getIndexChangeAt( new Vector2( x, y + GRADIENT_DELTA ) ) - this.getIndexChangeAt( new Vector2( x, y - GRADIENT_DELTA ) )
+    ).divideScalar( 2 * GRADIENT_DELTA );
+  }
+
+  /**
+   * Converts the profile to a plain object
+   * @public
+   * @returns {Object}
+   */
+  toStateObject() {
+    return {
+      type: this.type,
+      start: this.start.toStateObject(),
+      end: this.end ? this.end.toStateObject() : null,
+      radius: this.radius,
+      deltaN: this.deltaN
+    };
+  }
+
+  /**
+   * Creates a profile from a plain object made by toStateObject
+   * @public
+   * @param {Object} stateObject
+   * @returns {IndexProfile}
+   */
+  static fromStateObject( stateObject ) {
+    return new IndexProfile(
+      stateObject.type,
+      Vector2.fromStateObject( stateObject.start ),
+      stateObject.end ? Vector2.fromStateObject( stateObject.end ) : null,
+      stateObject.radius,
+      stateObject.deltaN
+    );
+  }
+
+  /**
+   * Creates a profile where the index of refraction increases linearly along the line from start to end, and is
+   * constant beyond either point.
+   * @public
+   * @param {Vector2} start - position where the profile is zero, in meters
+   * @param {Vector2} end - position where the profile reaches deltaN, in meters
+   * @param {number} deltaN - change in the index of refraction from start to end
+   * @returns {IndexProfile}
+   */
+  static createLinear( start, end, deltaN ) {
+    return new IndexProfile( 'linear', start, end, 0, deltaN );
+  }
+
+  /**
+   * Creates a parabolic profile where the index of refraction is highest at the center and decreases to zero at the
+   * radius, like a GRIN lens.  The profile is zero outside of the radius.
+   * @public
+   * @param {Vector2} center - in meters
+   * @param {number} radius - in meters
+   * @param {number} deltaN - change in the index of refraction at the center
+   * @returns {IndexProfile}
+   */
+  static createRadial( center, radius, deltaN ) {
+    return new IndexProfile( 'radial', center, null, radius, deltaN );
+  }
+}
+
+bendingLight.register( 'IndexProfile', IndexProfile );
+
+export default IndexProfile;
@@ -9,11 +9,22 @@
 
 import DerivedProperty from '../../../../axon/js/DerivedProperty.js';
 import Property from '../../../../axon/js/Property.js';
+import Range from '../../../../dot/js/Range.js';
 import Vector2 from '../../../../dot/js/Vector2.js';
 import Vector2Property from '../../../../dot/js/Vector2Property.js';
 import bendingLight from '../../bendingLight.js';
 import BendingLightConstants from '../BendingLightConstants.js';
 import LaserColor from '../view/LaserColor.js';
+import SpectralLines from './SpectralLines.js';
+import Spectrum from './Spectrum.js';
+
+// constants
+const BLACKBODY_TEMPERATURE_RANGE = new Range( 2000, 10000 ); // in kelvins
+const INCANDESCENT_TEMPERATURE_RANGE = new Range( 1000, 10000 ); // in kelvins
+const FAN_RAY_COUNT_RANGE = new Range( 1, 41 );
+const PARALLEL_RAY_COUNT_RANGE = new Range( 2, 40 );
+const BEAM_WIDTH_RANGE = new Range( BendingLightConstants.WAVELENGTH_RED / 2,
+  BendingLightConstants.WAVELENGTH_RED * 20 ); // in meters
 
 class Laser {
 
@@ -29,7 +40,106 @@ class Laser {
     this.pivotProperty = new Vector2Property( new Vector2( 0, 0 ) ); // @public, point to be pivoted about, and at which the laser points
     this.onProperty = new Property( false ); // @public, true if the laser is activated and emitting light
     this.waveProperty = new Property( false ); // @public
-    this.colorModeProperty = new Property( 'singleColor' ); // @public
+
+    // @public - 'singleColor' for the wavelength of wavelengthProperty, 'white' for white light with the spectrum of
+    // spectrumProperty, 'spectralLines' for the discrete lines of spectralLinesProperty or 'blackbody' for the thermal
+    // radiation of blackbodySpectrumProperty
+    this.colorModeProperty = new Property( 'singleColor', {
+      validValues: [ 'singleColor', 'white', 'spectralLines', 'blackbody' ]
+    } );
+
+    // @public - polarization of the emitted light: 's' (perpendicular to the plane of incidence), 'p' (parallel to the
+    // plane of incidence), 'unpolarized' or 'linear' (at polarizationAngleProperty from the s direction)
+    this.polarizationProperty = new Property( 's' );
+
+    // @public - angle of the electric field from the s direction in radians, only used for 'linear' polarization
+    this.polarizationAngleProperty = new Property( 0 );
+
+    // @public - 'beam' for a collimated beam toward the pivot, or 'point' for rays fanned out from the emission point
+    // like a lamp, centered on the direction of the beam
+    this.sourceTypeProperty = new Property( 'beam', {
+      validValues: [ 'beam', 'point' ]
+    } );
+
+    // @public - for a point source, the angle in radians between the outermost rays, up to a full circle
+    this.fanAngleProperty = new Property( Math.PI / 3, {
+      isValidValue: angle => angle >= 0 && angle <= 2 * Math.PI
+    } );
+
+    // @public - for a point source, the number of rays in the fan
+    this.fanRayCountProperty = new Property( 11, {
+      isValidValue: count => Number.isInteger( count ) && FAN_RAY_COUNT_RANGE.contains( count )
+    } );
+
+    // @public - whether a beam is made of many parallel rays across its width, to help show how lenses work
+    this.manyRaysProperty = new Property( false );
+
+    // @public - for many parallel rays, the number of rays and the distance between the outermost ones in meters
+    this.parallelRayCountProperty = new Property( 5, {
+      isValidValue: count => Number.isInteger( count ) && PARALLEL_RAY_COUNT_RANGE.contains( count )
+    } );
+    this.beamWidthProperty = new Property( BendingLightConstants.WAVELENGTH_RED * 2, {
+      isValidValue: width => BEAM_WIDTH_RANGE.contains( width )
+    } );
+
+    // @public - spectrum of the white light: 'd65' (daylight), 'incandescent' (a blackbody at
+    // incandescentTemperatureProperty), 'led' (a blue LED with a yellow phosphor) or 'custom' (customSpectrumProperty)
+    this.spectrumTypeProperty = new Property( 'd65', {
+      validValues: [ 'd65', 'incandescent', 'led', 'custom' ]
+    } );
+
+    // @public - in kelvins, the default is CIE Standard Illuminant A, a tungsten filament
+    this.incandescentTemperatureProperty = new Property( 2856, {
+      isValidValue: temperature => INCANDESCENT_TEMPERATURE_RANGE.contains( temperature )
+    } );
+
+    // @public {Property.<Spectrum>} - the spectrum entered by the user
+    this.customSpectrumProperty = new Property( Spectrum.EQUAL_ENERGY );
+
+    // @public (read-only) {Property.<Spectrum>} - determines the power of each of the wavelengths of white light
+    this.spectrumProperty = new DerivedProperty( [
+      this.spectrumTypeProperty,
+      this.incandescentTemperatureProperty,
+      this.customSpectrumProperty
+    ], ( spectrumType, incandescentTemperature, customSpectrum ) =>
+      spectrumType === 'd65' ? Spectrum.D65 :
+      spectrumType === 'incandescent' ? Spectrum.createBlackbody( incandescentTemperature ) :
+      spectrumType === 'led' ? Spectrum.LED :
+      customSpectrum
+    );
+
+    // @public - in kelvins, the temperature of the 'blackbody' color mode, the default is the surface of the Sun
+    this.blackbodyTemperatureProperty = new Property( 5800, {
+      isValidValue: temperature => BLACKBODY_TEMPERATURE_RANGE.contains( temperature )
+    } );
+
+    // @public (read-only) {Property.<Spectrum>} - determines the power of each of the wavelengths in the 'blackbody'
+    // color mode, according to Planck's law
+    this.blackbodySpectrumProperty = new DerivedProperty( [ this.blackbodyTemperatureProperty ],
+      blackbodyTemperature => Spectrum.createBlackbody( blackbodyTemperature ) );
+
+    // @public - lines of the 'spectralLines' color mode: 'sodium', 'mercury', 'hydrogen', 'heliumNeon' or 'custom'
+    // (customSpectralLinesProperty)
+    this.spectralLinesTypeProperty = new Property( 'sodium', {
+      validValues: [ 'sodium', 'mercury', 'hydrogen', 'heliumNeon', 'custom' ]
+    } );
+
+    // @public {Property.<SpectralLines>} - the lines entered by the user, which start as a blue and a red line
+    this.customSpectralLinesProperty = new Property( new SpectralLines( [ 470E-9, 630E-9 ], [ 1, 1 ] ) );
+
+    // @public (read-only) {Property.<SpectralLines>} - the wavelengths and intensities of the rays in the
+    // 'spectralLines' color mode
+    this.spectralLinesProperty = new DerivedProperty( [
+      this.spectralLinesTypeProperty,
+      this.customSpectralLinesProperty
+    ], ( spectralLinesType, customSpectralLines ) =>
+      spectralLinesType === 'sodium' ? SpectralLines.SODIUM :
+      spectralLinesType === 'mercury' ? SpectralLines.MERCURY :
+      spectralLinesType === 'hydrogen' ? SpectralLines.HYDROGEN :
+      spectralLinesType === 'heliumNeon' ? SpectralLines.HELIUM_NEON :
+      customSpectralLines
+    );
+
     this.emissionPointProperty = new Vector2Property( Vector2.createPolar( distanceFromPivot, angle ) ); // @public model the point where light comes out of the laser where the light comes from
 
     // @public (read-only)
@@ -59,6 +169,20 @@ class Laser {
     this.onProperty.reset();
     this.waveProperty.reset();
     this.colorModeProperty.reset();
+    this.polarizationProperty.reset();
+    this.polarizationAngleProperty.reset();
+    this.sourceTypeProperty.reset();
+    this.fanAngleProperty.reset();
+    this.fanRayCountProperty.reset();
+    this.manyRaysProperty.reset();
+    this.parallelRayCountProperty.reset();
+    this.beamWidthProperty.reset();
+    this.spectrumTypeProperty.reset();
+    this.incandescentTemperatureProperty.reset();
+    this.customSpectrumProperty.reset();
+    this.blackbodyTemperatureProperty.reset();
+    this.spectralLinesTypeProperty.reset();
+    this.customSpectralLinesProperty.reset();
     this.emissionPointProperty.reset();
   }
 
@@ -88,6 +212,24 @@ class Laser {
     return this.directionUnitVector;
   }
 
+  /**
+   * Determines the directions of the rays from a point source, evenly spaced over the fan angle and centered on the
+   * direction of the beam.  For a full circle the first and last rays would coincide, so the spacing is one ray less.
+   * Without a fan angle, all of the rays would coincide, so there is only one.
+   * @public
+   * @returns {Vector2[]} - unit vectors
+   */
+  getFanDirections() {
+    const direction = this.getDirectionUnitVector().copy();
+    const count = this.fanRayCountProperty.value;
+    const fanAngle = this.fanAngleProperty.value;
+    if ( count === 1 || fanAngle === 0 ) {
+      return [ direction ];
+    }
+    const spacing = fanAngle >= 2 * Math.PI ? 2 * Math.PI / count : fanAngle / ( count - 1 );
+    return _.range( count ).map( i => direction.rotated( ( i - ( count - 1 ) / 2 ) * spacing ) );
+  }
+
   /**
    * Rotate about the fixed pivot
    * @param {number} angle - angle to be rotated
@@ -128,6 +270,20 @@ class Laser {
     return this.colorProperty.get().wavelength;
   }
 
+  /**
+   * Determines the fraction of the emitted power that is s-polarized.  Every interface in the sim shares the same plane
+   * of incidence (the plane of the screen), so the s and p components can be propagated independently.
+   * @returns {number}
+   * @public
+   */
+  getSPolarizationFraction() {
+    const polarization = this.polarizationProperty.value;
+    return polarization === 's' ? 1 :
+           polarization === 'p' ? 0 :
+           polarization === 'unpolarized' ? 0.5 :
+           Math.pow( Math.cos( this.polarizationAngleProperty.value ), 2 );
+  }
+
   /**
    * Determines the wavelength of the laser
    * @returns {number}
@@ -138,6 +294,13 @@ class Laser {
   }
 }
 
+// @public (read-only)
+Laser.BLACKBODY_TEMPERATURE_RANGE = BLACKBODY_TEMPERATURE_RANGE;
+Laser.INCANDESCENT_TEMPERATURE_RANGE = INCANDESCENT_TEMPERATURE_RANGE;
+Laser.FAN_RAY_COUNT_RANGE = FAN_RAY_COUNT_RANGE;
+Laser.PARALLEL_RAY_COUNT_RANGE = PARALLEL_RAY_COUNT_RANGE;
+Laser.BEAM_WIDTH_RANGE = BEAM_WIDTH_RANGE;
+
 bendingLight.register( 'Laser', Laser );
 
 export default Laser;
\ No newline at end of file
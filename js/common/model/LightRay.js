@@ -46,9 +46,16 @@ class LightRay {
    * @param {boolean} extendBackwards - indicates whether to extend backwards it at tail of the wave
    * @param {string} laserView - specifies the laser view whether ray or wave mode
    * @param {string} rayType - for the intro model, 'incident' | 'reflected' | 'transmitted' | 'prism'
+   * @param {number} sPolarizationFraction - fraction of the power that is s-polarized (the rest is p-polarized)
+   * @param {number} absorptionCoefficient - absorption coefficient of the medium the light ray inhabits, in 1/m
+   * @param {number} emittedPower - power of the light when it left the laser, which is less than 1.0 for the weaker
+   *                                wavelengths of white light
+   * @param {number} [brightness] - factor by which the ray is drawn brighter than its power, so that the rays of a
+   *                              - point source, which share the power of the laser, are as visible as a beam
    */
   constructor( trapeziumWidth, tail, tip, indexOfRefraction, wavelength, wavelengthInVacuum, powerFraction, color,
-               waveWidth, numWavelengthsPhaseOffset, extend, extendBackwards, laserView, rayType ) {
+               waveWidth, numWavelengthsPhaseOffset, extend, extendBackwards, laserView, rayType,
+               sPolarizationFraction, absorptionCoefficient, emittedPower, brightness = 1 ) {
 
 
     // fill in the triangular chip near y=0 even for truncated beams, if it is the transmitted beam
@@ -65,11 +72,20 @@ class LightRay {
     // The index of refraction of the medium the light ray inhabits
     this.indexOfRefraction = indexOfRefraction; // @public (read-only)
     this.wavelength = wavelength; // @public (read-only), wavelength in meters
-    assert && assert( wavelengthInVacuum >= 300 && wavelengthInVacuum <= 900 );
+    assert && assert( wavelengthInVacuum >= BendingLightConstants.LASER_MIN_WAVELENGTH &&
+                      wavelengthInVacuum <= BendingLightConstants.LASER_MAX_WAVELENGTH );
     this.wavelengthInVacuum = wavelengthInVacuum; // @public (read-only), wavelength in nm
 
-    // Amount of power this light has (full strength is 1.0)
+    // Amount of power this light has at its tail (full strength is 1.0)
     this.powerFraction = powerFraction; // @public (read-only)
+    this.emittedPower = emittedPower; // @public (read-only)
+    this.brightness = brightness; // @public (read-only)
+
+    // The power decays exponentially with distance from the tail according to the Beer-Lambert law, see getPowerAt
+    this.absorptionCoefficient = absorptionCoefficient; // @public (read-only)
+
+    // Fraction of the power that is s-polarized, the remainder is p-polarized
+    this.sPolarizationFraction = sPolarizationFraction; // @public (read-only)
 
     // This number indicates how many wavelengths have passed before this light ray begins.
     // It is zero for the light coming out of the laser.
@@ -239,6 +255,27 @@ class LightRay {
     return this.tip.distance( this.tail );
   }
 
+  /**
+   * Gets the power of the light at the specified distance from the tail, after absorption in the medium
+   * @public
+   * @param {number} distance - distance from the tail in meters
+   * @returns {number}
+   */
+  getPowerAt( distance ) {
+    return this.absorptionCoefficient > 0 ?
+           this.powerFraction * Math.exp( -this.absorptionCoefficient * distance ) :
+           this.powerFraction;
+  }
+
+  /**
+   * Determines whether the power changes along the ray due to absorption
+   * @public
+   * @returns {boolean}
+   */
+  isAttenuated() {
+    return this.absorptionCoefficient > 0;
+  }
+
   /**
    * @public
    * @returns {Vector2}
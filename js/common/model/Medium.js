@@ -37,6 +37,37 @@ class Medium {
     return this.substance.dispersionFunction.getIndexOfRefraction( wavelength );
   }
 
+  /**
+   * Determines the index of refraction of the medium at a position.  The index is the same everywhere unless the
+   * medium is graded, see GradedIndexMedium
+   * @public
+   * @param {Vector2} position - in meters
+   * @param {number} wavelength - wavelength in meters
+   * @returns {number}
+   */
+  getIndexOfRefractionAt( position, wavelength ) {
+    return this.getIndexOfRefraction( wavelength );
+  }
+
+  /**
+   * Determines whether the index of refraction varies with position, in which case light follows curved paths
+   * @public
+   * @returns {boolean}
+   */
+  isGraded() {
+    return false;
+  }
+
+  /**
+   * Determines the absorption coefficient of the medium in 1/m
+   * @public
+   * @param {number} wavelength - wavelength in meters
+   * @returns {number}
+   */
+  getAbsorptionCoefficient( wavelength ) {
+    return this.substance.getAbsorptionCoefficient( wavelength );
+  }
+
   /**
    * Determines whether the medium is mystery or not
    * @public
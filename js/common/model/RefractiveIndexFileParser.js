@@ -0,0 +1,388 @@
+// Copyright 2021, University of Colorado Boulder
+
+/**
+ * Creates Substances from refractive index data files, so that measured materials can be used without retyping their
+ * coefficients.  Two formats are supported:
+ *
+ * (1) The YAML format of the refractiveindex.info database, see https://refractiveindex.info/database/doc/.  The DATA
+ * entries may be of type "formula 1" or "formula 2" (Sellmeier), "formula 5" (Cauchy), "tabulated n",
+ * "tabulated nk" or "tabulated k".  Wavelengths are in microns.  The extinction coefficient k is converted to the
+ * absorption coefficient 4 * pi * k / wavelength.  Like the tables, the formulas are not extrapolated beyond their
+ * wavelength_range, the value at the nearest end of it is used instead.
+ *
+ * (2) Plain text with one "wavelength,n" or "wavelength,n,k" row per line, optionally with header rows such as "wl,n"
+ * or "wl,k" (as exported by refractiveindex.info) which indicate the meaning of the rows that follow.  Wavelengths are
+ * in microns, unless the header mentions nm or the wavelengths are at least 100, in which case they are in nm.
+ *
+ * Problems with the file are reported by throwing an Error with a message that is suitable for showing to the user.
+ *
+ * @author Sam Reid (PhET Interactive Simulations)
+ */
+
+import Range from '../../../../dot/js/Range.js';
+import Utils from '../../../../dot/js/Utils.js';
+import bendingLight from '../../bendingLight.js';
+import BendingLightConstants from '../BendingLightConstants.js';
+import CauchyDispersionFunction from './CauchyDispersionFunction.js';
+import SellmeierDispersionFunction from './SellmeierDispersionFunction.js';
+import Substance from './Substance.js';
+import TabulatedDispersionFunction from './TabulatedDispersionFunction.js';
+
+// constants
+const MICRONS = 1E-6; // in meters
+const NANOMETERS = 1E-9; // in meters
+
+// spacing of the wavelengths in nm at which the data is checked over the range of the laser
+const WAVELENGTH_CHECK_STEP = 10;
+
+/**
+ * Parses a list of numbers separated by whitespace and/or commas
+ * @param {string} text
+ * @param {string} description - what the numbers are, for error reporting
+ * @returns {number[]}
+ */
+const parseNumbers = ( text, description ) => {
+  const tokens = text.trim().split( /[\s,;]+/ );
+  return tokens.map( token => {
+    const value = Number( token );
+    if ( token.length === 0 || !isFinite( value ) ) {
+      throw new Error( `"${token}" is not a number, in ${description}` );
+    }
+    return value;
+  } );
+};
+
+/**
+ * Parses the rows of a table of data, converting the wavelengths to meters.
+ * @param {string[]} lines
+ * @param {number} numberOfColumns - including the wavelength
+ * @param {number} wavelengthUnits - in meters
+ * @param {string} description - what the table is, for error reporting
+ * @returns {{wavelengths:number[], columns:number[][]}} - columns does not include the wavelength
+ */
+const parseTable = ( lines, numberOfColumns, wavelengthUnits, description ) => {
+  const wavelengths = [];
+  const columns = _.range( numberOfColumns - 1 ).map( () => [] );
+  lines.forEach( line => {
+    const row = parseNumbers( line, description );
+    if ( row.length !== numberOfColumns ) {
+      throw new Error( `Expected ${numberOfColumns} numbers per row but found ${row.length} ("${line.trim()}"), in ${description}` );
+    }
+    const wavelength = row[ 0 ] * wavelengthUnits;
+    if ( wavelengths.length > 0 && wavelength <= wavelengths[ wavelengths.length - 1 ] ) {
+      throw new Error( `Wavelengths must be in increasing order ("${line.trim()}"), in ${description}` );
+    }
+    wavelengths.push( wavelength );
+    for ( let i = 1; i < numberOfColumns; i++ ) {
+      columns[ i - 1 ].push( row[ i ] );
+    }
+  } );
+  if ( wavelengths.length === 0 ) {
+    throw new Error( `There are no rows in ${description}` );
+  }
+  return { wavelengths: wavelengths, columns: columns };
+};
+
+/**
+ * Creates a function that gives the absorption coefficient (in 1/m) from a table of the extinction coefficient k.
+ * @param {number[]} wavelengths - in meters
+ * @param {number[]} k - extinction coefficients
+ * @returns {function(number):number}
+ */
+const createAbsorptionCoefficientFunction = ( wavelengths, k ) => {
+  k.forEach( value => {
+    if ( value < 0 ) {
+      throw new Error( `The extinction coefficient k must not be negative, but was ${value}` );
+    }
+  } );
+  return wavelength => 4 * Math.PI * TabulatedDispersionFunction.interpolate( wavelengths, k, wavelength ) / wavelength;
+};
+
+/**
+ * Reads the entries in the DATA section of a refractiveindex.info YAML file.  Only the subset of YAML that is used in
+ * the database is supported: "key: value" pairs, list items that start with "- " and block scalars that start with "|".
+ * @param {string} text
+ * @returns {Object[]} - each entry maps keys to string values
+ */
+const readYAMLDataEntries = text => {
+  const entries = [];
+  let entry = null;
+  let inData = false;
+  let blockKey = null; // key of the block scalar that is being read, if any
+  let blockIndent = 0;
+  text.split( /\r?\n/ ).forEach( ( line, lineIndex ) => {
+    const indent = line.search( /\S/ );
+
+    // skip blank lines and comments
+    if ( indent === -1 || line.trim().startsWith( '#' ) ) {
+      return;
+    }
+
+    // lines of a block scalar are indented beyond the key that starts it
+    if ( blockKey !== null ) {
+      if ( indent > blockIndent ) {
+        entry[ blockKey ] += `${line.trim()}\n`;
+        return;
+      }
+      blockKey = null;
+    }
+
+    // top level keys such as REFERENCES, COMMENTS, DATA and SPECS
+    if ( indent === 0 ) {
+      inData = /^DATA\s*:/.test( line );
+      return;
+    }
+    if ( !inData ) {
+      return;
+    }
+
+    let content = line.trim();
+    if ( content.startsWith( '-' ) ) {
+      entry = {};
+      entries.push( entry );
+      content = content.substring( 1 ).trim();
+      if ( content.length === 0 ) {
+        return;
+      }
+    }
+    const match = /^([A-Za-z_]+)\s*:\s*(.*)$/.exec( content );
+    if ( !match || entry === null ) {
+      throw new Error( `Could not read line ${lineIndex + 1} of the DATA section: "${line.trim()}"` );
+    }
+    const key = match[ 1 ];
+    const value = match[ 2 ].trim();
+    if ( value === '|' || value === '>' ) {
+      blockKey = key;
+      blockIndent = indent;
+      entry[ key ] = '';
+    }
+    else {
+      entry[ key ] = value.replace( /^["']/, '' ).replace( /["']$/, '' );
+    }
+  } );
+  return entries;
+};
+
+/**
+ * Parses the text of a refractiveindex.info YAML file.
+ * @param {string} text
+ * @returns {{dispersionFunction: DispersionFunction, absorptionCoefficient: number|function, minWavelength: number,
+ *          maxWavelength: number}} - the wavelengths are the range of the data in meters
+ */
+const parseYAML = text => {
+  const entries = readYAMLDataEntries( text );
+  if ( entries.length === 0 ) {
+    throw new Error( 'The file has no DATA section' );
+  }
+
+  let result = null;
+  let absorptionCoefficient = 0;
+  const setDispersion = ( dispersionFunction, minWavelength, maxWavelength ) => {
+    if ( result !== null ) {
+      throw new Error( 'The file has more than one set of index of refraction data' );
+    }
+    result = {
+      dispersionFunction: dispersionFunction,
+      minWavelength: minWavelength,
+      maxWavelength: maxWavelength
+    };
+  };
+
+  entries.forEach( entry => {
+    const type = entry.type;
+    if ( !type ) {
+      throw new Error( 'A DATA entry is missing its type' );
+    }
+    if ( type.startsWith( 'formula' ) ) {
+      if ( !entry.coefficients ) {
+        throw new Error( `The ${type} entry has no coefficients` );
+      }
+      if ( !entry.wavelength_range ) {
+        throw new Error( `The ${type} entry has no wavelength_range` );
+      }
+      const c = parseNumbers( entry.coefficients, `the coefficients of ${type}` );
+      const range = parseNumbers( entry.wavelength_range, `the wavelength_range of ${type}` );
+      if ( range.length !== 2 || range[ 0 ] >= range[ 1 ] ) {
+        throw new Error( `The wavelength_range of ${type} should have a minimum and a maximum` );
+      }
+      if ( c.length < 3 || c.length % 2 !== 1 ) {
+        throw new Error( `${type} should have a constant followed by pairs of coefficients, but there are ${c.length}` );
+      }
+      const wavelengthRange = new Range( range[ 0 ] * MICRONS, range[ 1 ] * MICRONS );
+      const firstOfPairs = _.range( 1, c.length, 2 ).map( i => c[ i ] );
+      const secondOfPairs = _.range( 2, c.length, 2 ).map( i => c[ i ] );
+      let dispersionFunction;
+      if ( type === 'formula 1' ) {
+
+        // n^2 - 1 = C1 + sum of C_i * lambda^2 / ( lambda^2 - C_(i+1)^2 )
+        dispersionFunction = new SellmeierDispersionFunction( firstOfPairs, secondOfPairs.map( C => C * C ), {
+          constantTerm: c[ 0 ],
+          wavelengthRange: wavelengthRange
+        } );
+      }
+      else if ( type === 'formula 2' ) {
+
+        // n^2 - 1 = C1 + sum of C_i * lambda^2 / ( lambda^2 - C_(i+1) )
+        dispersionFunction = new SellmeierDispersionFunction( firstOfPairs, secondOfPairs, {
+          constantTerm: c[ 0 ],
+          wavelengthRange: wavelengthRange
+        } );
+      }
+      else if ( type === 'formula 5' ) {
+
+        // n = C1 + sum of C_i * lambda^C_(i+1)
+        dispersionFunction = new CauchyDispersionFunction( [ c[ 0 ] ].concat( firstOfPairs ), {
+          exponents: [ 0 ].concat( secondOfPairs ),
+          wavelengthRange: wavelengthRange
+        } );
+      }
+      else {
+        throw new Error( `"${type}" is not supported, only formula 1, 2 and 5 are supported` );
+      }
+      setDispersion( dispersionFunction, wavelengthRange.min, wavelengthRange.max );
+    }
+    else if ( type === 'tabulated n' || type === 'tabulated nk' || type === 'tabulated k' ) {
+      if ( !entry.data ) {
+        throw new Error( `The ${type} entry has no data` );
+      }
+      const lines = entry.data.split( '\n' ).filter( line => line.trim().length > 0 );
+      const table = parseTable( lines, type === 'tabulated nk' ? 3 : 2, MICRONS, `the ${type} data` );
+      const wavelengths = table.wavelengths;
+      if ( type !== 'tabulated k' ) {
+        setDispersion(
+          new TabulatedDispersionFunction( wavelengths, table.columns[ 0 ] ),
+          wavelengths[ 0 ],
+          wavelengths[ wavelengths.length - 1 ]
+        );
+      }
+      if ( type !== 'tabulated n' ) {
+        absorptionCoefficient = createAbsorptionCoefficientFunction( wavelengths, _.last( table.columns ) );
+      }
+    }
+    else {
+      throw new Error( `"${type}" data is not supported, only formula 1, 2 and 5 and tabulated n, nk and k are supported` );
+    }
+  } );
+
+  if ( result === null ) {
+    throw new Error( 'The file has no index of refraction data, only extinction coefficients' );
+  }
+  result.absorptionCoefficient = absorptionCoefficient;
+  return result;
+};
+
+/**
+ * Parses the text of a plain "wavelength,n" or "wavelength,n,k" file.
+ * @param {string} text
+ * @returns {{dispersionFunction: DispersionFunction, absorptionCoefficient: number|function, minWavelength: number,
+ *          maxWavelength: number}} - the wavelengths are the range of the data in meters
+ */
+const parseCSV = text => {
+
+  // Group the rows into sections, each of which starts with an optional header
+  const sections = [];
+  let section = null;
+  text.split( /\r?\n/ ).forEach( line => {
+    if ( line.trim().length === 0 ) {
+      return;
+    }
+    const isHeader = !isFinite( Number( line.trim().split( /[\s,;]+/ )[ 0 ] ) );
+    if ( isHeader || section === null ) {
+      section = { header: isHeader ? line.trim().toLowerCase() : '', lines: [] };
+      sections.push( section );
+    }
+    if ( !isHeader ) {
+      section.lines.push( line );
+    }
+  } );
+
+  let dispersionTable = null;
+  let absorptionCoefficient = 0;
+  sections.forEach( section => {
+    if ( section.lines.length === 0 ) {
+      throw new Error( `There is no data after the header "${section.header}"` );
+    }
+
+    // Use nm if the header says so, or if the values are too large to be microns
+    const firstValue = parseNumbers( section.lines[ 0 ], 'the first row' )[ 0 ];
+    const units = section.header.indexOf( 'nm' ) >= 0 || firstValue >= 100 ? NANOMETERS : MICRONS;
+    const numberOfColumns = parseNumbers( section.lines[ 0 ], 'the first row' ).length;
+    if ( numberOfColumns !== 2 && numberOfColumns !== 3 ) {
+      throw new Error( `Each row should have a wavelength and n, or a wavelength, n and k, but found ${numberOfColumns} numbers` );
+    }
+    const table = parseTable( section.lines, numberOfColumns, units, 'the data' );
+    const headerColumns = section.header.split( /[\s,;]+/ );
+    const isExtinction = numberOfColumns === 2 && headerColumns[ 1 ] === 'k';
+    if ( !isExtinction ) {
+      if ( dispersionTable !== null ) {
+        throw new Error( 'The file has more than one set of index of refraction data' );
+      }
+      dispersionTable = { wavelengths: table.wavelengths, indices: table.columns[ 0 ] };
+    }
+    if ( isExtinction || numberOfColumns === 3 ) {
+      absorptionCoefficient = createAbsorptionCoefficientFunction( table.wavelengths, _.last( table.columns ) );
+    }
+  } );
+
+  if ( dispersionTable === null ) {
+    throw new Error( 'The file has no index of refraction data' );
+  }
+  const wavelengths = dispersionTable.wavelengths;
+  return {
+    dispersionFunction: new TabulatedDispersionFunction( wavelengths, dispersionTable.indices ),
+    absorptionCoefficient: absorptionCoefficient,
+    minWavelength: wavelengths[ 0 ],
+    maxWavelength: wavelengths[ wavelengths.length - 1 ]
+  };
+};
+
+class RefractiveIndexFileParser {
+
+  /**
+   * Creates a Substance from the contents of a refractive index data file.
+   * @public
+   * @param {string} text - contents of the file
+   * @param {string} fileName - used to choose the format and to name the substance
+   * @returns {Substance}
+   * @throws {Error} if the file cannot be used, with a message that describes the problem
+   */
+  static parse( text, fileName ) {
+    const extensionIndex = fileName.lastIndexOf( '.' );
+    const extension = extensionIndex >= 0 ? fileName.substring( extensionIndex + 1 ).toLowerCase() : '';
+    const name = extensionIndex > 0 ? fileName.substring( 0, extensionIndex ) : fileName;
+
+    const result = extension === 'yml' || extension === 'yaml' ? parseYAML( text ) : parseCSV( text );
+
+    // The substance is characterized by its index of refraction for red light, so the data must include it
+    const toNanometers = wavelength => Utils.toFixed( wavelength / NANOMETERS, 0 );
+    const referenceWavelength = BendingLightConstants.WAVELENGTH_RED;
+    if ( referenceWavelength < result.minWavelength || referenceWavelength > result.maxWavelength ) {
+      throw new Error( `The data covers ${toNanometers( result.minWavelength )} to ${toNanometers( result.maxWavelength )
+      } nm, which does not include the ${toNanometers( referenceWavelength )} nm reference wavelength` );
+    }
+
+    // Check the values over the whole range of the laser.  Outside of the data, the value at the nearest end is used.
+    const minWavelength = BendingLightConstants.LASER_MIN_WAVELENGTH * NANOMETERS;
+    const maxWavelength = BendingLightConstants.LASER_MAX_WAVELENGTH * NANOMETERS;
+    const check = wavelength => {
+      const n = result.dispersionFunction.getIndexOfRefraction( wavelength );
+      if ( !isFinite( n ) || n < 1 ) {
+        throw new Error( `The index of refraction at ${toNanometers( wavelength )} nm is ${
+          isFinite( n ) ? Utils.toFixed( n, 3 ) : 'not a number'}, but it must be at least 1` );
+      }
+    };
+    for ( let wavelength = minWavelength; wavelength < maxWavelength; wavelength += WAVELENGTH_CHECK_STEP * NANOMETERS ) {
+      check( wavelength );
+    }
+    check( maxWavelength );
+
+    return new Substance( name, result.dispersionFunction.getIndexOfRefractionForRed(), false, false, {
+      dispersionFunction: result.dispersionFunction,
+      absorptionCoefficient: result.absorptionCoefficient
+    } );
+  }
+}
+
+bendingLight.register( 'RefractiveIndexFileParser', RefractiveIndexFileParser );
+
+export default RefractiveIndexFileParser;
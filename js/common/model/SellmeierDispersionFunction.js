@@ -0,0 +1,77 @@
+// Copyright 2021, University of Colorado Boulder
+
+/**
+ * Dispersion function given by a multi-term Sellmeier equation with measured coefficients for a specific material:
+ * n^2 = 1 + A + sum_i B_i * lambda^2 / ( lambda^2 - C_i ), where lambda is in microns.
+ * See http://en.wikipedia.org/wiki/Sellmeier_equation
+ *
+ * @author Sam Reid (PhET Interactive Simulations)
+ */
+
+import merge from '../../../../phet-core/js/merge.js';
+import bendingLight from '../../bendingLight.js';
+import BendingLightConstants from '../BendingLightConstants.js';
+import DispersionFunction from './DispersionFunction.js';
+
+/**
+ * Evaluates the Sellmeier equation
+ * @param {number[]} B - dimensionless coefficients
+ * @param {number[]} C - coefficients in square microns
+ * @param {number} constantTerm - the constant A
+ * @param {number} wavelength - wavelength in meters
+ * @returns {number}
+ */
+const getSellmeierIndex = ( B, C, constantTerm, wavelength ) => {
+
+  // convert to microns, the units of the coefficients
+  const L2 = Math.pow( wavelength * 1E6, 2 );
+  let sum = 1 + constantTerm;
+  for ( let i = 0; i < B.length; i++ ) {
+    sum += B[ i ] * L2 / ( L2 - C[ i ] );
+  }
+  return Math.sqrt( sum );
+};
+
+class SellmeierDispersionFunction extends DispersionFunction {
+
+  /**
+   * @param {number[]} B - dimensionless coefficients
+   * @param {number[]} C - coefficients in square microns, one for each of B
+   * @param {Object} [options]
+   */
+  constructor( B, C, options ) {
+    assert && assert( B.length === C.length, 'there must be a C coefficient for each B coefficient' );
+
+    options = merge( {
+      constantTerm: 0, // {number} the constant A, which is 0 for most materials
+
+      // {Range|null} - in meters, wavelengths outside of this range are evaluated at the nearest end of it, for
+      // coefficients that were only fitted to measurements over a limited range
+      wavelengthRange: null
+    }, options );
+
+    const wavelength = BendingLightConstants.WAVELENGTH_RED;
+    super( getSellmeierIndex( B, C, options.constantTerm, wavelength ), wavelength );
+
+    // @private
+    this.B = B;
+    this.C = C;
+    this.constantTerm = options.constantTerm;
+    this.wavelengthRange = options.wavelengthRange;
+  }
+
+  /**
+   * @param {number} wavelength - wavelength in meters
+   * @returns {number}
+   * @public
+   * @override
+   */
+  getIndexOfRefraction( wavelength ) {
+    return getSellmeierIndex( this.B, this.C, this.constantTerm,
+      this.wavelengthRange ? this.wavelengthRange.constrainValue( wavelength ) : wavelength );
+  }
+}
+
+bendingLight.register( 'SellmeierDispersionFunction', SellmeierDispersionFunction );
+
+export default SellmeierDispersionFunction;
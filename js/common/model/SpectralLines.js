@@ -0,0 +1,78 @@
+// Copyright 2021, University of Colorado Boulder
+
+/**
+ * A set of discrete spectral lines with relative intensities, like the light of a gas discharge lamp.  A ray is traced
+ * for each of the lines, and the intensities are normalized so that the strongest line has an intensity of 1.
+ *
+ * @author Sam Reid (PhET Interactive Simulations)
+ */
+
+import bendingLight from '../../bendingLight.js';
+import BendingLightConstants from '../BendingLightConstants.js';
+
+// constants, lines can be anywhere in the range of the laser, and lines that cannot be seen are drawn dashed
+const MIN_WAVELENGTH = BendingLightConstants.LASER_MIN_WAVELENGTH / 1E9; // in meters
+const MAX_WAVELENGTH = BendingLightConstants.LASER_MAX_WAVELENGTH / 1E9; // in meters
+
+class SpectralLines {
+
+  /**
+   * @param {number[]} wavelengths - in meters
+   * @param {number[]} intensities - relative intensity of each line, in any units
+   */
+  constructor( wavelengths, intensities ) {
+    assert && assert( SpectralLines.isValid( wavelengths, intensities ), 'invalid spectral lines' );
+
+    // Sort the lines by wavelength so that they are listed in order when they are edited
+    const order = _.sortBy( _.range( wavelengths.length ), i => wavelengths[ i ] );
+    const maxIntensity = _.max( intensities );
+
+    // @public (read-only) {number[]} - in meters, in increasing order
+    this.wavelengths = order.map( i => wavelengths[ i ] );
+
+    // @public (read-only) {number[]} - relative to the strongest line
+    this.intensities = order.map( i => intensities[ i ] / maxIntensity );
+  }
+
+  /**
+   * Checks whether lines can be used for SpectralLines: at least one line, each at a different wavelength in the
+   * range of the laser, with intensities that are not negative and not all zero.
+   * @public
+   * @param {number[]} wavelengths - in meters
+   * @param {number[]} intensities
+   * @returns {boolean}
+   */
+  static isValid( wavelengths, intensities ) {
+    return wavelengths.length >= 1 && wavelengths.length === intensities.length &&
+           _.every( wavelengths, wavelength => wavelength >= MIN_WAVELENGTH && wavelength <= MAX_WAVELENGTH ) &&
+           _.uniq( wavelengths ).length === wavelengths.length &&
+           _.every( intensities, intensity => intensity >= 0 ) &&
+           _.some( intensities, intensity => intensity > 0 );
+  }
+}
+
+// The wavelengths are in air, in nm, and the intensities are typical of a discharge lamp.
+const createLines = ( wavelengths, intensities ) => new SpectralLines(
+  wavelengths.map( wavelength => wavelength / 1E9 ),
+  intensities
+);
+
+// @public (read-only) - the sodium D doublet, with the D2 line twice as strong as the D1 line
+SpectralLines.SODIUM = createLines( [ 588.995, 589.592 ], [ 1, 0.5 ] );
+
+// @public (read-only) - the visible lines of mercury: violet, blue, green and the yellow doublet
+SpectralLines.MERCURY = createLines( [ 404.656, 435.833, 546.074, 576.960, 579.066 ], [ 0.45, 1, 0.8, 0.2, 0.2 ] );
+
+// @public (read-only) - the visible lines of the Balmer series of hydrogen: H-alpha, H-beta, H-gamma and H-delta
+SpectralLines.HYDROGEN = createLines( [ 656.279, 486.135, 434.047, 410.174 ], [ 1, 0.35, 0.15, 0.08 ] );
+
+// @public (read-only) - the red line of a helium-neon laser
+SpectralLines.HELIUM_NEON = createLines( [ 632.816 ], [ 1 ] );
+
+// @public (read-only)
+SpectralLines.MIN_WAVELENGTH = MIN_WAVELENGTH;
+SpectralLines.MAX_WAVELENGTH = MAX_WAVELENGTH;
+
+bendingLight.register( 'SpectralLines', SpectralLines );
+
+export default SpectralLines;
@@ -0,0 +1,154 @@
+// Copyright 2021, University of Colorado Boulder
+
+/**
+ * Relative spectral power distribution of a white light source, which determines the power of the ray that is traced
+ * for each of the white light wavelengths.  The power is normalized so that the strongest of the white light
+ * wavelengths has a power of 1.
+ *
+ * @author Sam Reid (PhET Interactive Simulations)
+ */
+
+import Utils from '../../../../dot/js/Utils.js';
+import Vector3 from '../../../../dot/js/Vector3.js';
+import Color from '../../../../scenery/js/util/Color.js';
+import bendingLight from '../../bendingLight.js';
+import BendingLightConstants from '../BendingLightConstants.js';
+import TabulatedDispersionFunction from './TabulatedDispersionFunction.js';
+
+// constants
+const PLANCK_CONSTANT = 6.62607015E-34; // J s
+const BOLTZMANN_CONSTANT = 1.380649E-23; // J/K
+
+// the wavelengths that are traced for white light, in meters
+const WHITE_LIGHT_WAVELENGTHS = BendingLightConstants.WHITE_LIGHT_WAVELENGTHS.map( wavelength => wavelength / 1E9 );
+
+/**
+ * Sums the CIE 1931 tristimulus values of a spectrum over the white light wavelengths and converts them to linear RGB
+ * with the sRGB primaries.
+ * @param {Spectrum} spectrum
+ * @returns {Vector3}
+ */
+const getLinearRGB = spectrum => {
+  const xyz = new Vector3( 0, 0, 0 );
+  BendingLightConstants.WHITE_LIGHT_WAVELENGTHS.forEach( wavelength => {
+    const tristimulus = BendingLightConstants.XYZ[ wavelength ];
+    xyz.add( new Vector3( tristimulus.x, tristimulus.y, tristimulus.z ).times( spectrum.getPower( wavelength / 1E9 ) ) );
+  } );
+  return BendingLightConstants.XYZ_TO_RGB_MATRIX.timesVector3( xyz );
+};
+
+/**
+ * Applies the nonlinear part of sRGB to a linear channel value
+ * @param {number} value - between 0 and 1
+ * @returns {number} - between 0 and 1
+ */
+const gammaEncode = value => value <= 0.0031308 ? 12.92 * value : 1.055 * Math.pow( value, 1 / 2.4 ) - 0.055;
+
+class Spectrum {
+
+  /**
+   * @param {function(number):number} getRelativePower - relative spectral power at a wavelength in meters, in any units
+   * @param {{wavelengths: number[], powers: number[]}|null} [table] - for a tabulated spectrum, see createTabulated
+   */
+  constructor( getRelativePower, table ) {
+    const maxPower = _.max( WHITE_LIGHT_WAVELENGTHS.map( getRelativePower ) );
+    assert && assert( maxPower > 0, 'the spectrum must have some power at the white light wavelengths' );
+
+    // @private
+    this.getRelativePower = getRelativePower;
+    this.maxPower = maxPower;
+
+    // @public (read-only) {{wavelengths: number[], powers: number[]}|null} - so that the table can be edited
+    this.table = table || null;
+  }
+
+  /**
+   * Gets the power of the light at a wavelength, relative to the strongest of the white light wavelengths
+   * @public
+   * @param {number} wavelength - in meters
+   * @returns {number}
+   */
+  getPower( wavelength ) {
+    return Math.max( this.getRelativePower( wavelength ) / this.maxPower, 0 );
+  }
+
+  /**
+   * Gets the color of the light before it is dispersed, as seen by the CIE 1931 standard observer at the wavelengths
+   * that are traced.  Like the rays, the color is balanced so that daylight is white.
+   * @public
+   * @returns {Color}
+   */
+  getPerceivedColor() {
+    const rgb = getLinearRGB( this );
+    const white = getLinearRGB( Spectrum.D65 );
+
+    // Colors outside of the sRGB gamut are clipped, and the brightest channel is at full intensity
+    const channels = [ rgb.x / white.x, rgb.y / white.y, rgb.z / white.z ].map( channel => Math.max( channel, 0 ) );
+    const maxChannel = _.max( channels );
+    const components = channels.map( channel => Utils.roundSymmetric( 255 * gammaEncode( channel / maxChannel ) ) );
+    return new Color( components[ 0 ], components[ 1 ], components[ 2 ] );
+  }
+
+  /**
+   * Creates the spectrum of a blackbody, such as the filament of an incandescent bulb, according to Planck's law
+   * @public
+   * @param {number} temperature - in kelvins
+   * @returns {Spectrum}
+   */
+  static createBlackbody( temperature ) {
+    return new Spectrum( wavelength => 1 / ( Math.pow( wavelength * 1E6, 5 ) * Math.expm1(
+      PLANCK_CONSTANT * BendingLightConstants.SPEED_OF_LIGHT / ( wavelength * BOLTZMANN_CONSTANT * temperature ) ) ) );
+  }
+
+  /**
+   * Creates a spectrum from a table of powers, with linear interpolation between the tabulated wavelengths.  Outside of
+   * the table, the power at the nearest end is used.
+   * @public
+   * @param {number[]} wavelengths - in meters, in increasing order
+   * @param {number[]} powers - relative power at each of the wavelengths
+   * @returns {Spectrum}
+   */
+  static createTabulated( wavelengths, powers ) {
+    assert && assert( Spectrum.isValidTable( wavelengths, powers ), 'invalid spectrum table' );
+    return new Spectrum( wavelength => TabulatedDispersionFunction.interpolate( wavelengths, powers, wavelength ), {
+      wavelengths: wavelengths,
+      powers: powers
+    } );
+  }
+
+  /**
+   * Checks whether a table of powers can be used for a spectrum, see createTabulated
+   * @public
+   * @param {number[]} wavelengths - in meters
+   * @param {number[]} powers
+   * @returns {boolean}
+   */
+  static isValidTable( wavelengths, powers ) {
+    return wavelengths.length >= 2 && wavelengths.length === powers.length &&
+           _.every( wavelengths, ( wavelength, i ) => i === 0 || wavelength > wavelengths[ i - 1 ] ) &&
+           _.every( powers, power => power >= 0 ) &&
+           _.some( WHITE_LIGHT_WAVELENGTHS,
+             wavelength => TabulatedDispersionFunction.interpolate( wavelengths, powers, wavelength ) > 0 );
+  }
+}
+
+// @public (read-only) - CIE Standard Illuminant D65, which is average daylight
+const d65Wavelengths = Object.keys( BendingLightConstants.D65 ).map( Number ).sort( ( a, b ) => a - b );
+Spectrum.D65 = Spectrum.createTabulated(
+  d65Wavelengths.map( wavelength => wavelength / 1E9 ),
+  d65Wavelengths.map( wavelength => BendingLightConstants.D65[ wavelength ] )
+);
+
+// @public (read-only) - a white LED, in which a blue LED makes a yellow phosphor glow.  The narrow blue peak and the
+// broad phosphor emission are modeled as Gaussians.
+Spectrum.LED = new Spectrum( wavelength => {
+  const nm = wavelength * 1E9;
+  return Math.exp( -Math.pow( ( nm - 450 ) / 12, 2 ) / 2 ) + 0.55 * Math.exp( -Math.pow( ( nm - 560 ) / 50, 2 ) / 2 );
+} );
+
+// @public (read-only) - the same power at every wavelength, which is where user-defined tables start
+Spectrum.EQUAL_ENERGY = Spectrum.createTabulated( [ 400E-9, 700E-9 ], [ 1, 1 ] );
+
+bendingLight.register( 'Spectrum', Spectrum );
+
+export default Spectrum;
@@ -1,42 +1,115 @@
 // Copyright 2015-2020, University of Colorado Boulder
 
 /**
- * Immutable state for a medium, with the name and dispersion function, and flags for "mystery" and "custom".
+ * Immutable state for a medium, with the name, dispersion function and absorption coefficient, and flags for "mystery"
+ * and "custom".
  *
  * @author Sam Reid (PhET Interactive Simulations)
  * @author Chandrashekar Bemagoni (Actual Concepts)
  */
 
+import Range from '../../../../dot/js/Range.js';
+import merge from '../../../../phet-core/js/merge.js';
 import bendingLightStrings from '../../bendingLightStrings.js';
 import bendingLight from '../../bendingLight.js';
 import BendingLightConstants from '../BendingLightConstants.js';
 import DispersionFunction from './DispersionFunction.js';
+import SellmeierDispersionFunction from './SellmeierDispersionFunction.js';
 
 const airString = bendingLightStrings.air;
 const diamondString = bendingLightStrings.diamond;
+const flintGlassString = bendingLightStrings.flintGlass;
 const glassString = bendingLightStrings.glass;
+const greenGlassString = bendingLightStrings.greenGlass;
 const mysteryAString = bendingLightStrings.mysteryA;
 const mysteryBString = bendingLightStrings.mysteryB;
 const waterString = bendingLightStrings.water;
 
+// Measured dispersion of real materials, with coefficients in square microns.  See https://refractiveindex.info
+// Outside of the wavelengths that the coefficients were fitted to, the index at the nearest of those wavelengths is used.
+
+// Water at 20 degrees C, Daimon and Masumura 2007
+const WATER_DISPERSION_FUNCTION = new SellmeierDispersionFunction(
+  [ 5.684027565E-1, 1.726177391E-1, 2.086189578E-2, 1.130748688E-1 ],
+  [ 5.101829712E-3, 1.821153936E-2, 2.620722293E-2, 1.069792721E1 ],
+  { wavelengthRange: new Range( 182E-9, 1129E-9 ) }
+);
+
+// SCHOTT N-BK7 crown glass
+const GLASS_DISPERSION_FUNCTION = new SellmeierDispersionFunction(
+  [ 1.03961212, 0.231792344, 1.01046945 ],
+  [ 6.00069867E-3, 2.00179144E-2, 1.03560653E2 ],
+  { wavelengthRange: new Range( 300E-9, 2500E-9 ) }
+);
+
+// SCHOTT F2 flint glass
+const FLINT_GLASS_DISPERSION_FUNCTION = new SellmeierDispersionFunction(
+  [ 1.34533359, 0.209073176, 0.937357162 ],
+  [ 9.97743871E-3, 4.70450767E-2, 1.11886764E2 ],
+  { wavelengthRange: new Range( 320E-9, 2500E-9 ) }
+);
+
+// Green glass, like that of a bottle or a filter, absorbs red and blue light and is most transparent for green light.
+// The absorption is many times that of real colored glass so that it can be seen in the small play area.
+const GREEN_GLASS_ABSORPTION_COEFFICIENT = wavelength => 2E4 + 2E5 * Math.pow( ( wavelength - 530E-9 ) / 150E-9, 2 );
+
+// Diamond, Peter 1923
+const DIAMOND_DISPERSION_FUNCTION = new SellmeierDispersionFunction(
+  [ 0.3306, 4.3356 ],
+  [ 0.175 * 0.175, 0.106 * 0.106 ],
+  { wavelengthRange: new Range( 365E-9, 707E-9 ) }
+);
+
 // constants
-const DIAMOND_INDEX_OF_REFRACTION_FOR_RED_LIGHT = 2.419;
+const DIAMOND_INDEX_OF_REFRACTION_FOR_RED_LIGHT = DIAMOND_DISPERSION_FUNCTION.getIndexOfRefractionForRed();
 
 class Substance {
 
   /**
    * @param {string} name - name of the medium
-   * @param {number} indexForRed - index of refraction of medium
+   * @param {number} indexForRed - index of refraction of medium for red light
    * @param {boolean} mystery - true if medium state is mystery else other state
    * @param {boolean} custom - true if medium state is custom else other state
+   * @param {Object} [options]
    */
-  constructor( name, indexForRed, mystery, custom ) {
+  constructor( name, indexForRed, mystery, custom, options ) {
+
+    options = merge( {
+
+      // {number|function} - Beer-Lambert absorption coefficient in 1/m, either a constant or a function of the
+      // wavelength in meters.  The power of light that travels a distance d through the substance is reduced by a
+      // factor of exp(-absorptionCoefficient * d)
+      absorptionCoefficient: 0,
+
+      // {DispersionFunction|null} - measured dispersion for the substance, which must agree with indexForRed.  If null,
+      // the dispersion is interpolated between air and glass according to indexForRed
+      dispersionFunction: null
+    }, options );
+
     this.name = name; // @public (read-only)
-    this.dispersionFunction = new DispersionFunction( indexForRed, BendingLightConstants.WAVELENGTH_RED ); // @public (read-only)
+    this.dispersionFunction = options.dispersionFunction ||
+                              new DispersionFunction( indexForRed, BendingLightConstants.WAVELENGTH_RED ); // @public (read-only)
     this.mystery = mystery; // @public (read-only)
     this.custom = custom; // @public (read-only)
     this.indexOfRefractionForRedLight = this.dispersionFunction.getIndexOfRefraction( BendingLightConstants.WAVELENGTH_RED );
     this.indexForRed = indexForRed; // @public (read-only)
+    assert && assert( Math.abs( this.indexOfRefractionForRedLight - indexForRed ) < 1E-6,
+      'dispersion function should match the index of refraction for red light' );
+
+    // @private {number|function}
+    this.absorptionCoefficient = options.absorptionCoefficient;
+  }
+
+  /**
+   * Determines the absorption coefficient of the substance in 1/m
+   * @public
+   * @param {number} wavelength - wavelength in meters
+   * @returns {number}
+   */
+  getAbsorptionCoefficient( wavelength ) {
+    return typeof this.absorptionCoefficient === 'function' ?
+           this.absorptionCoefficient( wavelength ) :
+           this.absorptionCoefficient;
   }
 }
 
@@ -44,10 +117,29 @@ bendingLight.register( 'Substance', Substance );
 
 // static instances
 Substance.AIR = new Substance( airString, 1.000293, false, false );
-Substance.WATER = new Substance( waterString, 1.333, false, false );
-Substance.GLASS = new Substance( glassString, 1.5, false, false );
-Substance.DIAMOND = new Substance( diamondString, DIAMOND_INDEX_OF_REFRACTION_FOR_RED_LIGHT, false, false );
-Substance.MYSTERY_A = new Substance( mysteryAString, DIAMOND_INDEX_OF_REFRACTION_FOR_RED_LIGHT, true, false );
+Substance.WATER = new Substance( waterString, WATER_DISPERSION_FUNCTION.getIndexOfRefractionForRed(), false, false, {
+  dispersionFunction: WATER_DISPERSION_FUNCTION
+} );
+Substance.GLASS = new Substance( glassString, GLASS_DISPERSION_FUNCTION.getIndexOfRefractionForRed(), false, false, {
+  dispersionFunction: GLASS_DISPERSION_FUNCTION
+} );
+Substance.FLINT_GLASS = new Substance( flintGlassString, FLINT_GLASS_DISPERSION_FUNCTION.getIndexOfRefractionForRed(),
+  false, false, {
+    dispersionFunction: FLINT_GLASS_DISPERSION_FUNCTION
+  } );
+Substance.GREEN_GLASS = new Substance( greenGlassString, GLASS_DISPERSION_FUNCTION.getIndexOfRefractionForRed(), false,
+  false, {
+    dispersionFunction: GLASS_DISPERSION_FUNCTION,
+    absorptionCoefficient: GREEN_GLASS_ABSORPTION_COEFFICIENT
+  } );
+Substance.DIAMOND = new Substance( diamondString, DIAMOND_INDEX_OF_REFRACTION_FOR_RED_LIGHT, false, false, {
+  dispersionFunction: DIAMOND_DISPERSION_FUNCTION
+} );
+
+// Mystery A is diamond
+Substance.MYSTERY_A = new Substance( mysteryAString, DIAMOND_INDEX_OF_REFRACTION_FOR_RED_LIGHT, true, false, {
+  dispersionFunction: DIAMOND_DISPERSION_FUNCTION
+} );
 Substance.MYSTERY_B = new Substance( mysteryBString, 1.4, true, false );
 
 Substance.DIAMOND_INDEX_OF_REFRACTION_FOR_RED_LIGHT = DIAMOND_INDEX_OF_REFRACTION_FOR_RED_LIGHT;
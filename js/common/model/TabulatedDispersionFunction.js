@@ -0,0 +1,73 @@
+// Copyright 2021, University of Colorado Boulder
+
+/**
+ * Dispersion function given by a table of measured indices of refraction, with linear interpolation between the
+ * measured wavelengths.  Outside of the measured range, the index at the nearest end of the table is used.
+ *
+ * @author Sam Reid (PhET Interactive Simulations)
+ */
+
+import Utils from '../../../../dot/js/Utils.js';
+import bendingLight from '../../bendingLight.js';
+import BendingLightConstants from '../BendingLightConstants.js';
+import DispersionFunction from './DispersionFunction.js';
+
+class TabulatedDispersionFunction extends DispersionFunction {
+
+  /**
+   * @param {number[]} wavelengths - in meters, in increasing order
+   * @param {number[]} indices - index of refraction at each of the wavelengths
+   */
+  constructor( wavelengths, indices ) {
+    assert && assert( wavelengths.length > 0 && wavelengths.length === indices.length,
+      'there must be an index of refraction for each wavelength' );
+    assert && assert( _.every( wavelengths, ( wavelength, i ) => i === 0 || wavelength > wavelengths[ i - 1 ] ),
+      'wavelengths must be in increasing order' );
+
+    const wavelength = BendingLightConstants.WAVELENGTH_RED;
+    super( TabulatedDispersionFunction.interpolate( wavelengths, indices, wavelength ), wavelength );
+
+    // @public (read-only)
+    this.wavelengths = wavelengths;
+    this.indices = indices;
+  }
+
+  /**
+   * @param {number} wavelength - wavelength in meters
+   * @returns {number}
+   * @public
+   * @override
+   */
+  getIndexOfRefraction( wavelength ) {
+    return TabulatedDispersionFunction.interpolate( this.wavelengths, this.indices, wavelength );
+  }
+
+  /**
+   * Linearly interpolates a table of values that were measured at increasing wavelengths.  Outside of the table, the
+   * value at the nearest end is used.
+   * @param {number[]} wavelengths - in meters, in increasing order
+   * @param {number[]} values - value at each of the wavelengths
+   * @param {number} wavelength - wavelength in meters
+   * @returns {number}
+   * @public
+   */
+  static interpolate( wavelengths, values, wavelength ) {
+    if ( wavelength <= wavelengths[ 0 ] ) {
+      return values[ 0 ];
+    }
+    if ( wavelength >= wavelengths[ wavelengths.length - 1 ] ) {
+      return values[ values.length - 1 ];
+    }
+
+    // find the first tabulated wavelength past the specified wavelength
+    let i = 1;
+    while ( wavelengths[ i ] < wavelength ) {
+      i++;
+    }
+    return Utils.linear( wavelengths[ i - 1 ], wavelengths[ i ], values[ i - 1 ], values[ i ], wavelength );
+  }
+}
+
+bendingLight.register( 'TabulatedDispersionFunction', TabulatedDispersionFunction );
+
+export default TabulatedDispersionFunction;
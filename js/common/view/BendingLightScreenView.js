@@ -36,6 +36,8 @@ class BendingLightScreenView extends ScreenView {
       clockwiseArrowNotAtMax: () => true, // {function} shows whether laser at max angle, In prisms tab
       // laser node can rotate 360 degrees.so arrows showing all the times when laser node rotate
       clampDragAngle: angle => angle, // {function} function that limits the angle of laser to its bounds
+      colorModeProperty: null, // {Property.<string>|null} - 'white' if the light is drawn as white light, defaults to the
+                               // color mode of the laser
       horizontalPlayAreaOffset: 0, // {number} in stage coordinates, how far to shift the play area horizontally
       verticalPlayAreaOffset: 0 // {number} in stage coordinates, how far to shift the play area vertically.  In the
                                 // prisms screen, it is shifted up a bit to center the play area above the south control panel
@@ -105,7 +107,8 @@ class BendingLightScreenView extends ScreenView {
     const showRotationDragHandlesProperty = new Property( false );
     const showTranslationDragHandlesProperty = new Property( false );
 
-    const laserNode = new LaserNode(
+    // @protected (read-only)
+    this.laserNode = new LaserNode(
       this.modelViewTransform,
       bendingLightModel.laser,
       showRotationDragHandlesProperty,
@@ -122,15 +125,17 @@ class BendingLightScreenView extends ScreenView {
 
     // add laser node rotation and translation arrows in array, to move them to front of all other nodes in prism screen
     this.addLaserHandles(
+      bendingLightModel.laser,
+      this,
       showRotationDragHandlesProperty,
       showTranslationDragHandlesProperty,
       options.clockwiseArrowNotAtMax,
       options.ccwArrowNotAtMax,
-      laserNode.laserImageWidth
+      this.laserNode.laserImageWidth
     );
 
     // add the laser
-    this.addChild( laserNode );
+    this.addChild( this.laserNode );
 
     this.addChild( this.afterLightLayer2 );
 
@@ -142,7 +147,8 @@ class BendingLightScreenView extends ScreenView {
       bendingLightModel.laser.waveProperty.value = ( laserView === 'wave' );
     } );
 
-    Property.multilink( [ bendingLightModel.laser.colorModeProperty, bendingLightModel.laserViewProperty ],
+    const colorModeProperty = options.colorModeProperty || bendingLightModel.laser.colorModeProperty;
+    Property.multilink( [ colorModeProperty, bendingLightModel.laserViewProperty ],
       ( colorMode, laserView ) => {
         this.singleColorLightNode.visible = laserView === 'ray' && colorMode !== 'white';
       }
@@ -174,6 +180,8 @@ class BendingLightScreenView extends ScreenView {
   }
 
   /**
+   * @param {Laser} laser - the laser that the handles are for
+   * @param {Node} parentNode - the handles are added to this node
    * @param {boolean} showRotationDragHandlesProperty
    * @param {boolean} showTranslationDragHandlesProperty
    * @param {boolean}clockwiseArrowNotAtMax
@@ -181,24 +189,24 @@ class BendingLightScreenView extends ScreenView {
    * @param {number} laserImageWidth
    * @protected
    */
-  addLaserHandles( showRotationDragHandlesProperty, showTranslationDragHandlesProperty,
+  addLaserHandles( laser, parentNode, showRotationDragHandlesProperty, showTranslationDragHandlesProperty,
                    clockwiseArrowNotAtMax, ccwArrowNotAtMax, laserImageWidth ) {
     const bendingLightModel = this.bendingLightModel;
 
     // Shows the direction in which laser can be rotated
     // for laser left rotation
-    const leftRotationDragHandle = new RotationDragHandle( this.modelViewTransform, bendingLightModel.laser,
+    const leftRotationDragHandle = new RotationDragHandle( this.modelViewTransform, laser,
       Math.PI / 23, showRotationDragHandlesProperty, clockwiseArrowNotAtMax, laserImageWidth * 0.58,
       bendingLightModel.rotationArrowAngleOffset );
-    this.addChild( leftRotationDragHandle );
+    parentNode.addChild( leftRotationDragHandle );
 
     // for laser right rotation
-    const rightRotationDragHandle = new RotationDragHandle( this.modelViewTransform, bendingLightModel.laser,
+    const rightRotationDragHandle = new RotationDragHandle( this.modelViewTransform, laser,
       -Math.PI / 23,
       showRotationDragHandlesProperty, ccwArrowNotAtMax, laserImageWidth * 0.58,
       bendingLightModel.rotationArrowAngleOffset
     );
-    this.addChild( rightRotationDragHandle );
+    parentNode.addChild( rightRotationDragHandle );
   }
 }
 
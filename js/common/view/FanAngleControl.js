@@ -0,0 +1,100 @@
+// Copyright 2021, University of Colorado Boulder
+
+/**
+ * Sliders for the angle between the outermost rays of a point source and for the number of rays, which are enabled
+ * when the laser is a point source.
+ *
+ * @author Sam Reid (PhET Interactive Simulations)
+ */
+
+import DerivedProperty from '../../../../axon/js/DerivedProperty.js';
+import Dimension2 from '../../../../dot/js/Dimension2.js';
+import Range from '../../../../dot/js/Range.js';
+import Utils from '../../../../dot/js/Utils.js';
+import merge from '../../../../phet-core/js/merge.js';
+import StringUtils from '../../../../phetcommon/js/util/StringUtils.js';
+import PhetFont from '../../../../scenery-phet/js/PhetFont.js';
+import Text from '../../../../scenery/js/nodes/Text.js';
+import VBox from '../../../../scenery/js/nodes/VBox.js';
+import HSlider from '../../../../sun/js/HSlider.js';
+import bendingLightStrings from '../../bendingLightStrings.js';
+import bendingLight from '../../bendingLight.js';
+import Laser from '../model/Laser.js';
+
+const fanAngleString = bendingLightStrings.fanAngle;
+const fanRayCountPatternString = bendingLightStrings.fanRayCountPattern;
+
+// constants
+const FONT = new PhetFont( 12 );
+const TEXT_MAX_WIDTH = 140;
+
+class FanAngleControl extends VBox {
+
+  /**
+   * @param {Laser} laser - the laser whose fan angle is controlled
+   * @param {Object} [options]
+   */
+  constructor( laser, options ) {
+    const enabledProperty = new DerivedProperty( [ laser.sourceTypeProperty ], sourceType => sourceType === 'point' );
+    const angleSlider = new HSlider( laser.fanAngleProperty, new Range( 0, 2 * Math.PI ), {
+      trackFill: 'white',
+      trackSize: new Dimension2( 100, 1 ),
+      thumbSize: new Dimension2( 10, 20 ),
+      majorTickLength: 8,
+      tickLabelSpacing: 2,
+      enabledProperty: enabledProperty
+    } );
+    const tickLabelOptions = { font: new PhetFont( 10 ) };
+    angleSlider.addMajorTick( 0, new Text( '0\u00B0', tickLabelOptions ) );
+    angleSlider.addMajorTick( Math.PI, new Text( '180\u00B0', tickLabelOptions ) );
+    angleSlider.addMajorTick( 2 * Math.PI, new Text( '360\u00B0', tickLabelOptions ) );
+
+    const title = new Text( fanAngleString, { font: FONT, maxWidth: TEXT_MAX_WIDTH } );
+
+    const rayCountText = new Text( '', { font: FONT, maxWidth: TEXT_MAX_WIDTH } );
+    const rayCountListener = count => {
+      rayCountText.text = StringUtils.format( fanRayCountPatternString, count );
+    };
+    laser.fanRayCountProperty.link( rayCountListener );
+    const rayCountSlider = new HSlider( laser.fanRayCountProperty, Laser.FAN_RAY_COUNT_RANGE, {
+      trackFill: 'white',
+      trackSize: new Dimension2( 100, 1 ),
+      thumbSize: new Dimension2( 10, 20 ),
+      constrainValue: value => Utils.roundSymmetric( value ),
+      enabledProperty: enabledProperty
+    } );
+
+    enabledProperty.link( enabled => {
+      title.opacity = enabled ? 1 : 0.5;
+      rayCountText.opacity = enabled ? 1 : 0.5;
+    } );
+
+    super( merge( {
+      spacing: 6,
+      align: 'left',
+      children: [ title, angleSlider, rayCountText, rayCountSlider ]
+    }, options ) );
+
+    // @private
+    this.disposeFanAngleControl = () => {
+      laser.fanRayCountProperty.unlink( rayCountListener );
+      angleSlider.dispose();
+      rayCountSlider.dispose();
+      enabledProperty.dispose();
+    };
+  }
+
+  /**
+   * Releases references, for lasers that can be removed
+   * @public
+   * @override
+   */
+  dispose() {
+    this.disposeFanAngleControl();
+    super.dispose();
+  }
+}
+
+bendingLight.register( 'FanAngleControl', FanAngleControl );
+
+export default FanAngleControl;
@@ -0,0 +1,98 @@
+// Copyright 2021, University of Colorado Boulder
+
+/**
+ * Button that lets the user choose a refractive index data file (see RefractiveIndexFileParser for the supported
+ * formats) and adds the corresponding substance to the list of imported substances.  Problems with the file are
+ * reported in a dialog.
+ *
+ * @author Sam Reid (PhET Interactive Simulations)
+ */
+
+import merge from '../../../../phet-core/js/merge.js';
+import StringUtils from '../../../../phetcommon/js/util/StringUtils.js';
+import OopsDialog from '../../../../scenery-phet/js/OopsDialog.js';
+import PhetFont from '../../../../scenery-phet/js/PhetFont.js';
+import TextPushButton from '../../../../sun/js/buttons/TextPushButton.js';
+import bendingLightStrings from '../../bendingLightStrings.js';
+import bendingLight from '../../bendingLight.js';
+import RefractiveIndexFileParser from '../model/RefractiveIndexFileParser.js';
+
+const importMaterialString = bendingLightStrings.importMaterial;
+const importErrorPatternString = bendingLightStrings.importErrorPattern;
+
+class ImportSubstanceButton extends TextPushButton {
+
+  /**
+   * @param {ObservableArrayDef.<Substance>} importedSubstances - the imported substance is added here
+   * @param {function(Substance)} substanceImported - called after a substance was imported successfully
+   * @param {Object} [options]
+   */
+  constructor( importedSubstances, substanceImported, options ) {
+    assert && assert( !options || !options.listener, 'ImportSubstanceButton sets listener' );
+
+    /**
+     * Reports a problem with the file that the user chose
+     * @param {string} fileName
+     * @param {string} message
+     */
+    const showError = ( fileName, message ) => {
+      new OopsDialog( StringUtils.format( importErrorPatternString, fileName, message ) ).show();
+    };
+
+    /**
+     * Creates a substance from the file and adds it to the imported substances
+     * @param {File} file
+     */
+    const importFile = file => {
+      const reader = new FileReader();
+      reader.onload = () => {
+        let substance;
+        try {
+          substance = RefractiveIndexFileParser.parse( reader.result, file.name );
+        }
+        catch( error ) {
+          showError( file.name, error.message );
+          return;
+        }
+
+        // importing a file again replaces the substance that was imported before
+        importedSubstances.slice().forEach( importedSubstance => {
+          if ( importedSubstance.name === substance.name ) {
+            importedSubstances.remove( importedSubstance );
+          }
+        } );
+        importedSubstances.add( substance );
+        substanceImported( substance );
+      };
+      reader.onerror = () => showError( file.name, reader.error.message );
+      reader.readAsText( file );
+    };
+
+    options = merge( {
+      font: new PhetFont( 11 ),
+      maxTextWidth: 120,
+      xMargin: 6,
+      yMargin: 3,
+      baseColor: 'white',
+
+      // Open the browser's file chooser
+      listener: () => {
+        const input = document.createElement( 'input' );
+        input.type = 'file';
+        input.accept = '.yml,.yaml,.csv,.txt';
+        input.addEventListener( 'change', () => {
+          if ( input.files.length > 0 ) {
+            importFile( input.files[ 0 ] );
+          }
+        } );
+        input.click();
+      }
+    }, options );
+
+    super( importMaterialString, options );
+  }
+}
+
+bendingLight.register( 'ImportSubstanceButton', ImportSubstanceButton );
+
+export default ImportSubstanceButton;
@@ -8,8 +8,13 @@
  */
 
 import VisibleColor from '../../../../scenery-phet/js/VisibleColor.js';
+import Color from '../../../../scenery/js/util/Color.js';
 import bendingLight from '../../bendingLight.js';
 
+// constants, false colors for the light that cannot be seen
+const ULTRAVIOLET_COLOR = new Color( 200, 120, 255 );
+const INFRARED_COLOR = new Color( 190, 90, 60 );
+
 class LaserColor {
 
   /**
@@ -25,7 +30,30 @@ class LaserColor {
    * @returns {Color}
    */
   getColor() {
-    return VisibleColor.wavelengthToColor( this.wavelength * 1E9 ); // convert to nanometers
+    return LaserColor.wavelengthToColor( this.wavelength * 1E9 ); // convert to nanometers
+  }
+
+  /**
+   * Determines whether light of a wavelength can be seen
+   * @public
+   * @param {number} wavelength - in nanometers
+   * @returns {boolean}
+   */
+  static isVisible( wavelength ) {
+    return wavelength >= VisibleColor.MIN_WAVELENGTH && wavelength <= VisibleColor.MAX_WAVELENGTH;
+  }
+
+  /**
+   * Determines the color that light of a wavelength is drawn with: its actual color if it is visible, otherwise a
+   * false color for ultraviolet or infrared light.
+   * @public
+   * @param {number} wavelength - in nanometers
+   * @returns {Color}
+   */
+  static wavelengthToColor( wavelength ) {
+    return LaserColor.isVisible( wavelength ) ? VisibleColor.wavelengthToColor( wavelength ) :
+           wavelength < VisibleColor.MIN_WAVELENGTH ? ULTRAVIOLET_COLOR :
+           INFRARED_COLOR;
   }
 }
 
@@ -89,14 +89,15 @@ class LaserNode extends Node {
     const emissionPointEndPosition = new Vector2( 0, 0 );
 
     // When the window reshapes, make sure the laser remains in the play area
-    dragBoundsProperty.link( dragBounds => {
+    const dragBoundsListener = dragBounds => {
       const center = laser.emissionPointProperty.value;
       const eroded = dragBounds.erodedXY( lightImageHeight / 2, lightImageHeight / 2 );
 
       const newEmissionPoint = modelViewTransform.viewToModelBounds( eroded ).getClosestPoint( center.x, center.y );
       const delta = newEmissionPoint.minus( laser.emissionPointProperty.value );
       laser.translate( delta.x, delta.y );
-    } );
+    };
+    dragBoundsProperty.link( dragBoundsListener );
 
     // add the drag region for translating the laser
     let start;
@@ -261,6 +262,19 @@ class LaserNode extends Node {
       const delta = modelViewTransform.viewToModelDeltaXY( x, y );
       laser.translate( delta.x, delta.y );
     };
+
+    // @private
+    this.disposeLaserNode = () => dragBoundsProperty.unlink( dragBoundsListener );
+  }
+
+  /**
+   * Releases references, for lasers that can be removed
+   * @public
+   * @override
+   */
+  dispose() {
+    this.disposeLaserNode();
+    super.dispose();
   }
 }
 
@@ -29,11 +29,17 @@ import BendingLightConstants from '../BendingLightConstants.js';
 import DispersionFunction from '../model/DispersionFunction.js';
 import Medium from '../model/Medium.js';
 import Substance from '../model/Substance.js';
+import ImportSubstanceButton from './ImportSubstanceButton.js';
 
 const airString = bendingLightStrings.air;
 const customString = bendingLightStrings.custom;
 const glassString = bendingLightStrings.glass;
+const grinLensString = bendingLightStrings.grinLens;
 const indexOfRefractionString = bendingLightStrings.indexOfRefraction;
+const indexProfileString = bendingLightStrings.indexProfile;
+const loomingString = bendingLightStrings.looming;
+const mirageString = bendingLightStrings.mirage;
+const uniformString = bendingLightStrings.uniform;
 const unknownString = bendingLightStrings.unknown;
 const waterString = bendingLightStrings.water;
 
@@ -67,7 +73,18 @@ class MediumControlPanel extends Node {
       fill: '#f2fa6a',
       stroke: '#696969',
       lineWidth: 1.5,
-      comboBoxListPosition: 'above'
+      comboBoxListPosition: 'above',
+
+      // {ObservableArrayDef.<Substance>|null} - substances imported from files, which are added to the combo box.  If
+      // provided, a button for importing more substances is shown
+      importedSubstances: null,
+
+      // {Property.<string>|null} - if provided, a combo box is shown for choosing how the index of refraction varies
+      // with position, see PrismsModel.environmentIndexProfileProperty
+      indexProfileProperty: null,
+
+      // {Node|null} - controls for the parameters of the index profile, shown below its combo box
+      indexProfileControl: null
     }, options );
     this.mediumProperty = mediumProperty; // @private, the medium to observe
     this.laserWavelength = laserWavelength; // @private
@@ -88,10 +105,13 @@ class MediumControlPanel extends Node {
 
     // add material combo box
     const materialTitleWidth = textFieldVisible ? 80 : 90;
-    const materialTitle = new Text( name, { font: new PhetFont( 12 ), fontWeight: 'bold' } );
-    if ( materialTitle.width > materialTitleWidth ) {
-      materialTitle.scale( materialTitleWidth / materialTitle.width );
-    }
+    const createMaterialTitle = () => {
+      const materialTitle = new Text( name, { font: new PhetFont( 12 ), fontWeight: 'bold' } );
+      if ( materialTitle.width > materialTitleWidth ) {
+        materialTitle.scale( materialTitleWidth / materialTitle.width );
+      }
+      return materialTitle;
+    };
 
     const textOptionsOfComboBoxStrings = { font: new PhetFont( 10 ) };
 
@@ -104,15 +124,17 @@ class MediumControlPanel extends Node {
 
       return new ComboBoxItem( itemName, item );
     };
-    // states to choose from (and indicate) in the combo box
-    const substances = [
+    // states to choose from (and indicate) in the combo box, with any imported substances before "custom"
+    const getSubstances = () => [
       Substance.AIR,
       Substance.WATER,
       Substance.GLASS,
+      Substance.FLINT_GLASS,
+      Substance.GREEN_GLASS,
       Substance.MYSTERY_A,
-      Substance.MYSTERY_B,
-      customState
-    ];
+      Substance.MYSTERY_B
+    ].concat( options.importedSubstances ? options.importedSubstances.slice() : [] ).concat( [ customState ] );
+    let substances = getSubstances();
     const comboBoxSubstanceProperty = new Property( initialSubstance );
 
     // update combo box
@@ -121,7 +143,9 @@ class MediumControlPanel extends Node {
       for ( let i = 0; i < substances.length; i++ ) {
         const substance = substances[ i ];
         if ( substance.dispersionFunction.getIndexOfRefraction( laserWavelength.get() ) ===
-             mediumProperty.get().getIndexOfRefraction( laserWavelength.get() ) ) {
+             mediumProperty.get().getIndexOfRefraction( laserWavelength.get() ) &&
+             substance.getAbsorptionCoefficient( laserWavelength.get() ) ===
+             mediumProperty.get().getAbsorptionCoefficient( laserWavelength.get() ) ) {
           selected = i;
         }
       }
@@ -139,21 +163,25 @@ class MediumControlPanel extends Node {
       }
     };
 
-    // items
-    const items = [];
-    for ( let i = 0; i < substances.length; i++ ) {
-      const material = substances[ i ];
-      items[ i ] = createItem( material );
-    }
     // add a combo box
-    const materialComboBox = new ComboBox( items, comboBoxSubstanceProperty, view, {
-      labelNode: materialTitle,
-      listPosition: options.comboBoxListPosition,
-      xMargin: 7,
-      yMargin: 4,
-      arrowHeight: 6,
-      cornerRadius: 3
-    } );
+    const createComboBox = () => {
+
+      // items
+      const items = [];
+      for ( let i = 0; i < substances.length; i++ ) {
+        const material = substances[ i ];
+        items[ i ] = createItem( material );
+      }
+      return new ComboBox( items, comboBoxSubstanceProperty, view, {
+        labelNode: createMaterialTitle(),
+        listPosition: options.comboBoxListPosition,
+        xMargin: 7,
+        yMargin: 4,
+        arrowHeight: 6,
+        cornerRadius: 3
+      } );
+    };
+    let materialComboBox = createComboBox();
 
     // add index of refraction text and value
     const textOptions = { font: new PhetFont( 12 ) };
@@ -293,6 +321,59 @@ class MediumControlPanel extends Node {
       spacing: 10
     } );
 
+    if ( options.importedSubstances ) {
+      const importedSubstances = options.importedSubstances;
+
+      // add a button for importing substances from refractive index data files, and select the imported substance
+      const importButton = new ImportSubstanceButton( importedSubstances, substance => this.setSubstance( substance ), {
+        centerX: materialComboBox.centerX,
+        top: indexOfRefractionSlider.bottom + INSET / 2
+      } );
+      mediumPanelNode.addChild( importButton );
+
+      // The combo box items cannot be changed, so replace the combo box when the imported substances change
+      const replaceComboBox = () => {
+        substances = getSubstances();
+        const oldComboBox = materialComboBox;
+        materialComboBox = createComboBox();
+        materialComboBox.leftTop = oldComboBox.leftTop;
+        mediumPanelNode.replaceChild( oldComboBox, materialComboBox );
+        oldComboBox.dispose();
+        updateComboBox();
+      };
+      importedSubstances.addItemAddedListener( replaceComboBox );
+      importedSubstances.addItemRemovedListener( replaceComboBox );
+    }
+
+    if ( options.indexProfileProperty ) {
+      const indexProfileItems = [
+        { value: 'uniform', string: uniformString },
+        { value: 'mirage', string: mirageString },
+        { value: 'looming', string: loomingString },
+        { value: 'grinLens', string: grinLensString }
+      ].map( item => new ComboBoxItem(
+        new Text( item.string, { font: new PhetFont( 10 ), maxWidth: 100 } ),
+        item.value
+      ) );
+      const indexProfileComboBox = new ComboBox( indexProfileItems, options.indexProfileProperty, view, {
+        labelNode: new Text( indexProfileString, { font: new PhetFont( 12 ), maxWidth: materialTitleWidth } ),
+        listPosition: options.comboBoxListPosition,
+        xMargin: 7,
+        yMargin: 4,
+        arrowHeight: 6,
+        cornerRadius: 3,
+        left: materialComboBox.left,
+        top: mediumPanelNode.bottom + INSET / 2
+      } );
+      mediumPanelNode.addChild( indexProfileComboBox );
+
+      if ( options.indexProfileControl ) {
+        options.indexProfileControl.left = materialComboBox.left;
+        options.indexProfileControl.top = indexProfileComboBox.bottom + INSET / 2;
+        mediumPanelNode.addChild( options.indexProfileControl );
+      }
+    }
+
     const mediumPanel = new Panel( mediumPanelNode, {
       fill: '#EEEEEE',
       stroke: '#696969',
@@ -316,7 +397,13 @@ class MediumControlPanel extends Node {
       unknown.setVisible( mediumProperty.get().isMystery() );
       indexOfRefractionSlider.setVisible( !mediumProperty.get().isMystery() );
       if ( !mediumProperty.get().isMystery() ) {
-        lastNonMysteryIndexAtRed = mediumProperty.get().getIndexOfRefraction( BendingLightConstants.WAVELENGTH_RED );
+
+        // imported substances may be outside of the range of the slider, but the readout still shows the actual value
+        lastNonMysteryIndexAtRed = Utils.clamp(
+          mediumProperty.get().getIndexOfRefraction( BendingLightConstants.WAVELENGTH_RED ),
+          INDEX_OF_REFRACTION_MIN,
+          INDEX_OF_REFRACTION_MAX
+        );
         this.mediumIndexProperty.set( lastNonMysteryIndexAtRed );
       }
       updateComboBox();
@@ -0,0 +1,107 @@
+// Copyright 2021, University of Colorado Boulder
+
+/**
+ * Radio buttons that choose the polarization of the laser light (s, p, unpolarized or linear), and a slider for the
+ * angle of the linear polarization.
+ *
+ * @author Sam Reid (PhET Interactive Simulations)
+ */
+
+import DerivedProperty from '../../../../axon/js/DerivedProperty.js';
+import Dimension2 from '../../../../dot/js/Dimension2.js';
+import Range from '../../../../dot/js/Range.js';
+import merge from '../../../../phet-core/js/merge.js';
+import PhetFont from '../../../../scenery-phet/js/PhetFont.js';
+import HBox from '../../../../scenery/js/nodes/HBox.js';
+import Text from '../../../../scenery/js/nodes/Text.js';
+import VBox from '../../../../scenery/js/nodes/VBox.js';
+import AquaRadioButton from '../../../../sun/js/AquaRadioButton.js';
+import HSlider from '../../../../sun/js/HSlider.js';
+import bendingLightStrings from '../../bendingLightStrings.js';
+import bendingLight from '../../bendingLight.js';
+
+const polarizationString = bendingLightStrings.polarization;
+const sPolarizedString = bendingLightStrings.sPolarized;
+const pPolarizedString = bendingLightStrings.pPolarized;
+const unpolarizedString = bendingLightStrings.unpolarized;
+const linearString = bendingLightStrings.linear;
+
+// constants
+const FONT = new PhetFont( 12 );
+const TEXT_MAX_WIDTH = 70;
+
+class PolarizationControl extends VBox {
+
+  /**
+   * @param {Laser} laser - the laser whose polarization is controlled
+   * @param {Object} [options]
+   */
+  constructor( laser, options ) {
+    const radioButtonOptions = {
+      radius: 6
+    };
+    const createButton = ( value, text ) => new AquaRadioButton(
+      laser.polarizationProperty,
+      value,
+      new Text( text, { font: FONT, maxWidth: TEXT_MAX_WIDTH } ),
+      radioButtonOptions
+    );
+    const sButton = createButton( 's', sPolarizedString );
+    const pButton = createButton( 'p', pPolarizedString );
+    const unpolarizedButton = createButton( 'unpolarized', unpolarizedString );
+    const linearButton = createButton( 'linear', linearString );
+
+    // the angle is only meaningful for linear polarization
+    const linearProperty = new DerivedProperty( [ laser.polarizationProperty ],
+      polarization => polarization === 'linear' );
+    const angleSlider = new HSlider( laser.polarizationAngleProperty, new Range( 0, Math.PI / 2 ), {
+      trackFill: 'white',
+      trackSize: new Dimension2( 100, 1 ),
+      thumbSize: new Dimension2( 10, 20 ),
+      majorTickLength: 8,
+      tickLabelSpacing: 2,
+      enabledProperty: linearProperty
+    } );
+    const tickLabelOptions = { font: new PhetFont( 10 ) };
+    angleSlider.addMajorTick( 0, new Text( '0\u00B0', tickLabelOptions ) );
+    angleSlider.addMajorTick( Math.PI / 4, new Text( '45\u00B0', tickLabelOptions ) );
+    angleSlider.addMajorTick( Math.PI / 2, new Text( '90\u00B0', tickLabelOptions ) );
+
+    super( merge( {
+      spacing: 6,
+      align: 'left',
+      children: [
+        new Text( polarizationString, { font: FONT, maxWidth: 2 * TEXT_MAX_WIDTH } ),
+        new HBox( {
+          spacing: 10,
+          align: 'top',
+          children: [
+            new VBox( { spacing: 6, align: 'left', children: [ sButton, pButton ] } ),
+            new VBox( { spacing: 6, align: 'left', children: [ unpolarizedButton, linearButton ] } )
+          ]
+        } ),
+        angleSlider
+      ]
+    }, options ) );
+
+    // @private
+    this.disposePolarizationControl = () => {
+      [ sButton, pButton, unpolarizedButton, linearButton, angleSlider ].forEach( node => node.dispose() );
+      linearProperty.dispose();
+    };
+  }
+
+  /**
+   * Releases references, for lasers that can be removed
+   * @public
+   * @override
+   */
+  dispose() {
+    this.disposePolarizationControl();
+    super.dispose();
+  }
+}
+
+bendingLight.register( 'PolarizationControl', PolarizationControl );
+
+export default PolarizationControl;
@@ -10,9 +10,14 @@ import Bounds2 from '../../../../dot/js/Bounds2.js';
 import CanvasNode from '../../../../scenery/js/nodes/CanvasNode.js';
 import bendingLight from '../../bendingLight.js';
 import LightRay from '../model/LightRay.js';
+import LaserColor from './LaserColor.js';
 
-// constants
+// constants, line dashes for visible light and for the false colors of ultraviolet and infrared light
 const lineDash = [];
+const invisibleLineDash = [ 8, 6 ];
+
+// number of color stops used to approximate the exponential decay of power along rays in absorbing media
+const NUMBER_OF_GRADIENT_STOPS = 10;
 
 class SingleColorLightCanvasNode extends CanvasNode {
 
@@ -55,24 +60,37 @@ class SingleColorLightCanvasNode extends CanvasNode {
 
       // iPad3 shows a opacity=0 ray as opacity=1 for unknown reasons, so we simply omit those rays
       if ( ray.powerFraction > 1E-6 ) {
+        context.setLineDash( LaserColor.isVisible( ray.wavelengthInVacuum ) ? lineDash : invisibleLineDash );
         context.beginPath();
 
-        context.strokeStyle = `rgba(${
+        const tailX = this.modelViewTransform.modelToViewX( ray.tail.x );
+        const tailY = this.modelViewTransform.modelToViewY( ray.tail.y );
+        const tipX = this.modelViewTransform.modelToViewX( ray.tip.x );
+        const tipY = this.modelViewTransform.modelToViewY( ray.tip.y );
+        const getColorString = powerFraction => `rgba(${
           ray.color.getRed()},${
           ray.color.getGreen()},${
           ray.color.getBlue()},${
-          Math.sqrt( ray.powerFraction )
+          Math.sqrt( Math.min( powerFraction * ray.brightness, 1 ) )
         })`;
 
-        context.moveTo(
-          this.modelViewTransform.modelToViewX( ray.tail.x ),
-          this.modelViewTransform.modelToViewY( ray.tail.y )
-        );
-
-        context.lineTo(
-          this.modelViewTransform.modelToViewX( ray.tip.x ),
-          this.modelViewTransform.modelToViewY( ray.tip.y )
-        );
+        if ( ray.isAttenuated() ) {
+
+          // Fade the ray out as it is absorbed by the medium
+          const gradient = context.createLinearGradient( tailX, tailY, tipX, tipY );
+          const length = ray.getLength();
+          for ( let k = 0; k <= NUMBER_OF_GRADIENT_STOPS; k++ ) {
+            const fraction = k / NUMBER_OF_GRADIENT_STOPS;
+            gradient.addColorStop( fraction, getColorString( ray.getPowerAt( fraction * length ) ) );
+          }
+          context.strokeStyle = gradient;
+        }
+        else {
+          context.strokeStyle = getColorString( ray.powerFraction );
+        }
+
+        context.moveTo( tailX, tailY );
+        context.lineTo( tipX, tipY );
         context.stroke();
       }
     }
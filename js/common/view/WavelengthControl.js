@@ -1,7 +1,8 @@
 // Copyright 2015-2020, University of Colorado Boulder
 
 /**
- * Control that shows a spectrum and lets the user choose the color for monochromatic light.
+ * Control that shows a spectrum and lets the user choose the color for monochromatic light, from the near ultraviolet
+ * to the near infrared.
  *
  * @author Sam Reid (PhET Interactive Simulations)
  */
@@ -10,7 +11,6 @@ import Property from '../../../../axon/js/Property.js';
 import Bounds2 from '../../../../dot/js/Bounds2.js';
 import Utils from '../../../../dot/js/Utils.js';
 import StringUtils from '../../../../phetcommon/js/util/StringUtils.js';
-import VisibleColor from '../../../../scenery-phet/js/VisibleColor.js';
 import WavelengthSlider from '../../../../scenery-phet/js/WavelengthSlider.js';
 import Node from '../../../../scenery/js/nodes/Node.js';
 import Rectangle from '../../../../scenery/js/nodes/Rectangle.js';
@@ -42,6 +42,7 @@ class WavelengthControl extends Node {
     // Add WavelengthSlider node
     const wavelengthSlider = new WavelengthSlider( wavelengthPropertyNM, {
       cursorStroke: 'white',
+      minWavelength: BendingLightConstants.LASER_MIN_WAVELENGTH,
       maxWavelength: BendingLightConstants.LASER_MAX_WAVELENGTH,
       thumbWidth: 20,
       thumbHeight: 20,
@@ -77,7 +78,7 @@ class WavelengthControl extends Node {
     // add minus button
     const minusButton = new ArrowButton( 'left', () => {
       wavelengthPropertyNM.set(
-        Math.max( wavelengthPropertyNM.value - 1, VisibleColor.MIN_WAVELENGTH ) );
+        Math.max( wavelengthPropertyNM.value - 1, BendingLightConstants.LASER_MIN_WAVELENGTH ) );
     }, {
       scale: 0.6
     } );
@@ -85,7 +86,7 @@ class WavelengthControl extends Node {
     // disable the minus button at minimum wavelength and plus button at max wavelength
     wavelengthPropertyNM.link( wavelength => {
       plusButton.enabled = ( wavelength < BendingLightConstants.LASER_MAX_WAVELENGTH );
-      minusButton.enabled = ( wavelength > VisibleColor.MIN_WAVELENGTH );
+      minusButton.enabled = ( wavelength > BendingLightConstants.LASER_MIN_WAVELENGTH );
     } );
 
     // touch area
@@ -11,10 +11,12 @@ import Property from '../../../axon/js/Property.js';
 import Screen from '../../../joist/js/Screen.js';
 import ScreenIcon from '../../../joist/js/ScreenIcon.js';
 import Image from '../../../scenery/js/nodes/Image.js';
+import VBox from '../../../scenery/js/nodes/VBox.js';
 import icon from '../../mipmaps/Intro_Screen_png.js';
 import bendingLightStrings from '../bendingLightStrings.js';
 import bendingLight from '../bendingLight.js';
 import Substance from '../common/model/Substance.js';
+import FanAngleControl from '../common/view/FanAngleControl.js';
 import IntroModel from './model/IntroModel.js';
 import IntroScreenView from './view/IntroScreenView.js';
 import LaserTypeAquaRadioButtonGroup from './view/LaserTypeAquaRadioButtonGroup.js';
@@ -45,7 +47,14 @@ class IntroScreen extends Screen {
         2, // indexOfRefractionDecimals
 
         // createLaserControlPanel
-        introModel => new LaserTypeAquaRadioButtonGroup( introModel.laserViewProperty ), {
+        introModel => new VBox( {
+          spacing: 10,
+          align: 'left',
+          children: [
+            new LaserTypeAquaRadioButtonGroup( introModel.laserViewProperty, introModel.laser.sourceTypeProperty ),
+            new FanAngleControl( introModel.laser )
+          ]
+        } ), {
           tandem: tandem.createTandem( 'view' )
         } ),
       options );
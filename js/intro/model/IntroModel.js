@@ -19,6 +19,7 @@ import NumberIO from '../../../../tandem/js/types/NumberIO.js';
 import bendingLight from '../../bendingLight.js';
 import BendingLightConstants from '../../common/BendingLightConstants.js';
 import BendingLightModel from '../../common/model/BendingLightModel.js';
+import FresnelEquations from '../../common/model/FresnelEquations.js';
 import IntensityMeter from '../../common/model/IntensityMeter.js';
 import LightRay from '../../common/model/LightRay.js';
 import Medium from '../../common/model/Medium.js';
@@ -85,6 +86,30 @@ class IntroModel extends BendingLightModel {
         phetioType: DerivedProperty.DerivedPropertyIO( NumberIO )
       } );
 
+    // Angle of incidence (from the normal, in radians) beyond which light in the top medium is totally internally
+    // reflected, or null if there is no total internal reflection because the bottom medium has the higher index
+    // @public (read-only)
+    this.criticalAngleProperty = new DerivedProperty( [
+        this.indexOfRefractionOfTopMediumProperty,
+        this.indexOfRefractionOfBottomMediumProperty
+      ],
+      ( n1, n2 ) => n2 <= n1 ? Math.asin( n2 / n1 ) : null
+    );
+
+    // Angle of incidence (from the normal, in radians) at which p-polarized light from the top medium is not
+    // reflected at all
+    // @public (read-only)
+    this.brewsterAngleProperty = new DerivedProperty( [
+        this.indexOfRefractionOfTopMediumProperty,
+        this.indexOfRefractionOfBottomMediumProperty
+      ],
+      ( n1, n2 ) => Math.atan( n2 / n1 )
+    );
+
+    // @public - whether the critical angle and Brewster angle indicators are shown
+    this.showCriticalAngleProperty = new Property( false );
+    this.showBrewsterAngleProperty = new Property( false );
+
     // @public (read-only)-model components
     this.intensityMeter = new IntensityMeter(
       -this.modelWidth * ( horizontalPlayAreaOffset ? 0.34 : 0.48 ),
@@ -93,6 +118,18 @@ class IntroModel extends BendingLightModel {
       -this.modelHeight * 0.312
     );
 
+    // The wave view only shows a beam, so a point source is only offered with rays
+    this.laserViewProperty.lazyLink( laserView => {
+      if ( laserView === 'wave' ) {
+        this.laser.sourceTypeProperty.value = 'beam';
+      }
+    } );
+    this.laser.sourceTypeProperty.lazyLink( sourceType => {
+      if ( sourceType === 'point' ) {
+        this.laserViewProperty.value = 'ray';
+      }
+    } );
+
     Property.multilink( [
       this.laserViewProperty,
       this.laser.onProperty,
@@ -100,8 +137,17 @@ class IntroModel extends BendingLightModel {
       this.intensityMeter.enabledProperty,
       this.laser.emissionPointProperty,
       this.laser.colorProperty,
+      this.laser.polarizationProperty,
+      this.laser.polarizationAngleProperty,
+      this.laser.sourceTypeProperty,
+      this.laser.fanAngleProperty,
+      this.laser.fanRayCountProperty,
       this.indexOfRefractionOfBottomMediumProperty,
-      this.indexOfRefractionOfTopMediumProperty
+      this.indexOfRefractionOfTopMediumProperty,
+
+      // the media can also change the absorption without changing the index of refraction
+      this.topMediumProperty,
+      this.bottomMediumProperty
     ], () => {
 
       // clear the accumulator in the intensity meter so it can sum up the newly created rays
@@ -134,124 +180,191 @@ class IntroModel extends BendingLightModel {
     if ( this.laser.onProperty.value ) {
       const tail = this.laser.emissionPointProperty.value;
 
-      // Snell's law, see http://en.wikipedia.org/wiki/Snell's_law for definition of n1, n2, theta1, theta2
-      // index in top medium
-      const n1 = this.indexOfRefractionOfTopMediumProperty.get();
+      // The beam strikes the interface at the pivot, where the normal is shown
+      if ( this.laser.sourceTypeProperty.value === 'beam' ) {
+        this.propagateRay( tail, this.laser.getDirectionUnitVector(), new Vector2( 0, 0 ) );
+      }
+      else {
+        // The rays of the fan share the power of the laser, so the intensity meter reads no more than the beam
+        const directions = this.laser.getFanDirections();
+        directions.forEach( directionUnitVector => {
+          this.propagateRay( tail, directionUnitVector, getInterfacePoint( tail, directionUnitVector ),
+            1 / directions.length );
+        } );
+      }
+    }
+  }
 
-      // index of bottom medium
-      const n2 = this.indexOfRefractionOfBottomMediumProperty.get();
+  /**
+   * Creates the incident ray from the source and the rays it produces at the interface
+   * @private
+   * @param {Vector2} tail - where the light comes from, in the top medium
+   * @param {Vector2} directionUnitVector - direction of the incident light
+   * @param {Vector2|null} interfacePoint - where the light strikes the interface, or null if it does not
+   * @param {number} [sourcePower] - fraction of the laser power carried by the ray
+   */
+  propagateRay( tail, directionUnitVector, interfacePoint, sourcePower = 1 ) {
 
-      // angle from the up vertical
-      const theta1 = this.laser.getAngle() - Math.PI / 2;
+    // Snell's law, see http://en.wikipedia.org/wiki/Snell's_law for definition of n1, n2, theta1, theta2
+    // index in top medium
+    const n1 = this.indexOfRefractionOfTopMediumProperty.get();
 
-      // angle from the down vertical
-      const theta2 = Math.asin( n1 / n2 * Math.sin( theta1 ) );
+    // index of bottom medium
+    const n2 = this.indexOfRefractionOfBottomMediumProperty.get();
 
-      // start with full strength laser
-      const sourcePower = 1.0;
+    // absorption coefficients of the top and bottom media
+    const absorptionCoefficient1 = this.topMediumProperty.get().getAbsorptionCoefficient( this.laser.getWavelength() );
+    const absorptionCoefficient2 = this.bottomMediumProperty.get().getAbsorptionCoefficient( this.laser.getWavelength() );
 
-      // cross section of incident light, used to compute wave widths
-      const a = CHARACTERISTIC_LENGTH * 4;
+    // direction from the interface back toward the source, like the angle of the laser
+    const laserAngle = directionUnitVector.angle + Math.PI;
 
-      // This one fixes the input beam to be a fixed width independent of angle
-      const sourceWaveWidth = a / 2;
+    // angle from the up vertical, negative for light going to the left
+    const theta1 = laserAngle - Math.PI / 2;
 
-      // according to http://en.wikipedia.org/wiki/Wavelength
-      const color = this.laser.colorProperty.get().getColor();
-      const wavelengthInTopMedium = this.laser.colorProperty.get().wavelength / n1;
+    // angle from the down vertical
+    const theta2 = Math.asin( n1 / n2 * Math.sin( theta1 ) );
 
-      // calculated wave width of reflected and refracted wave width.
-      // specially used in in wave Mode
-      const trapeziumWidth = Math.abs( sourceWaveWidth / Math.sin( this.laser.getAngle() ) );
+    // rays that carry a share of the laser power are drawn as bright as the full strength laser
+    const brightness = 1 / sourcePower;
 
-      // since the n1 depends on the wavelength, when you change the wavelength,
-      // the wavelengthInTopMedium also changes (seemingly in the opposite direction)
-      const incidentRay = new LightRay( trapeziumWidth, tail, new Vector2( 0, 0 ), n1, wavelengthInTopMedium,
-        this.laser.getWavelength() * 1E9, sourcePower, color, sourceWaveWidth, 0.0, true, false, this.laserViewProperty.value, 'incident' );
+    // fraction of the laser power that is s-polarized
+    const sourceSPolarizationFraction = this.laser.getSPolarizationFraction();
 
-      const rayAbsorbed = this.addAndAbsorb( incidentRay, 'incident' );
-      if ( !rayAbsorbed ) {
-        const thetaOfTotalInternalReflection = Math.asin( n2 / n1 );
-        let hasTransmittedRay = isNaN( thetaOfTotalInternalReflection ) ||
-                                theta1 < thetaOfTotalInternalReflection;
+    // cross section of incident light, used to compute wave widths
+    const a = CHARACTERISTIC_LENGTH * 4;
 
-        // reflected
-        // assuming perpendicular beam polarization, compute percent power
-        let reflectedPowerRatio;
-        if ( hasTransmittedRay ) {
-          reflectedPowerRatio = BendingLightModel.getReflectedPower( n1, n2, Math.cos( theta1 ), Math.cos( theta2 ) );
-        }
-        else {
-          reflectedPowerRatio = 1.0;
-        }
+    // This one fixes the input beam to be a fixed width independent of angle
+    const sourceWaveWidth = a / 2;
 
-        // If nothing is transmitted, do not create a 0 power transmitted ray, see #296
-        if ( reflectedPowerRatio === 1.0 ) {
-          hasTransmittedRay = false;
-        }
+    // according to http://en.wikipedia.org/wiki/Wavelength
+    const color = this.laser.colorProperty.get().getColor();
+    const wavelengthInTopMedium = this.laser.colorProperty.get().wavelength / n1;
 
-        // make sure it has enough power to show up on the intensity meter, after rounding
-        const hasReflectedRay = reflectedPowerRatio >= 0.005;
-        if ( hasReflectedRay ) {
-          const reflectedRay = new LightRay(
-            trapeziumWidth,
-            new Vector2( 0, 0 ),
-            Vector2.createPolar( BEAM_LENGTH, Math.PI - this.laser.getAngle() ),
+    // calculated wave width of reflected and refracted wave width.
+    // specially used in in wave Mode
+    const trapeziumWidth = Math.abs( sourceWaveWidth / Math.sin( laserAngle ) );
+
+    // since the n1 depends on the wavelength, when you change the wavelength,
+    // the wavelengthInTopMedium also changes (seemingly in the opposite direction)
+    // Light that does not reach the interface just continues
+    const incidentRay = new LightRay( trapeziumWidth, tail,
+      interfacePoint || tail.plus( directionUnitVector.times( BEAM_LENGTH ) ), n1, wavelengthInTopMedium,
+      this.laser.getWavelength() * 1E9, sourcePower, color, sourceWaveWidth, 0.0, true, false, this.laserViewProperty.value, 'incident',
+      sourceSPolarizationFraction, absorptionCoefficient1, sourcePower, brightness );
+
+    const rayAbsorbed = this.addAndAbsorb( incidentRay, 'incident' );
+    if ( !rayAbsorbed && interfacePoint ) {
+
+      // power that reaches the interface after absorption in the top medium
+      const incidentPower = incidentRay.getPowerAt( incidentRay.getLength() );
+
+      const thetaOfTotalInternalReflection = this.criticalAngleProperty.value;
+      let hasTransmittedRay = thetaOfTotalInternalReflection === null ||
+                              Math.abs( theta1 ) < thetaOfTotalInternalReflection;
+
+      // reflected
+      // compute percent power, accounting for the polarization of the beam
+      let reflectedPowerRatio;
+      let reflectedSPolarizationFraction;
+      if ( hasTransmittedRay ) {
+        reflectedPowerRatio = FresnelEquations.getPolarizedReflectedPower(
+          n1, n2, Math.cos( theta1 ), Math.cos( theta2 ), sourceSPolarizationFraction
+        );
+        reflectedSPolarizationFraction = FresnelEquations.getReflectedSPolarizationFraction(
+          n1, n2, Math.cos( theta1 ), Math.cos( theta2 ), sourceSPolarizationFraction
+        );
+      }
+      else {
+
+        // both polarizations are totally reflected
+        reflectedPowerRatio = 1.0;
+        reflectedSPolarizationFraction = sourceSPolarizationFraction;
+      }
+
+      // If nothing is transmitted, do not create a 0 power transmitted ray, see #296
+      if ( reflectedPowerRatio === 1.0 ) {
+        hasTransmittedRay = false;
+      }
+
+      // make sure it has enough power to show up on the intensity meter, after rounding
+      const hasReflectedRay = reflectedPowerRatio >= 0.005;
+      if ( hasReflectedRay ) {
+        const reflectedRay = new LightRay(
+          trapeziumWidth,
+          interfacePoint,
+          interfacePoint.plus( Vector2.createPolar( BEAM_LENGTH, Math.PI - laserAngle ) ),
+          n1,
+          wavelengthInTopMedium,
+          this.laser.getWavelength() * 1E9,
+          reflectedPowerRatio * incidentPower,
+          color,
+          sourceWaveWidth,
+          incidentRay.getNumberOfWavelengths(),
+          true,
+          true, this.laserViewProperty.value, 'reflected',
+          reflectedSPolarizationFraction,
+          absorptionCoefficient1,
+          sourcePower,
+          brightness
+        );
+        this.addAndAbsorb( reflectedRay, 'reflected' );
+      }
+      else {
+        reflectedPowerRatio = 0;
+      }
+
+      // fire a transmitted ray if there wasn't total internal reflection
+      if ( hasTransmittedRay ) {
+
+        // transmitted
+        // n2/n1 = L1/L2 => L2 = L1*n2/n1
+        const transmittedWavelength = incidentRay.wavelength / n2 * n1;
+        if ( !( isNaN( theta2 ) || !isFinite( theta2 ) ) ) {
+          let transmittedPowerRatio = FresnelEquations.getPolarizedTransmittedPower(
+            n1,
+            n2,
+            Math.cos( theta1 ),
+            Math.cos( theta2 ),
+            sourceSPolarizationFraction
+          );
+          let transmittedSPolarizationFraction = FresnelEquations.getTransmittedSPolarizationFraction(
             n1,
-            wavelengthInTopMedium,
+            n2,
+            Math.cos( theta1 ),
+            Math.cos( theta2 ),
+            sourceSPolarizationFraction
+          );
+          if ( !hasReflectedRay ) {
+            transmittedPowerRatio = 1;
+            transmittedSPolarizationFraction = sourceSPolarizationFraction;
+          }
+
+          // make the beam width depend on the input beam width, so that the same beam width is transmitted as was
+          // intercepted
+          const beamHalfWidth = a / 2;
+          const extentInterceptedHalfWidth = beamHalfWidth / Math.sin( Math.PI / 2 - theta1 ) / 2;
+          const transmittedBeamHalfWidth = Math.cos( theta2 ) * extentInterceptedHalfWidth;
+          const transmittedWaveWidth = transmittedBeamHalfWidth * 2;
+          const transmittedRay = new LightRay(
+            trapeziumWidth,
+            interfacePoint,
+            interfacePoint.plus( Vector2.createPolar( BEAM_LENGTH, theta2 - Math.PI / 2 ) ),
+            n2,
+            transmittedWavelength,
             this.laser.getWavelength() * 1E9,
-            reflectedPowerRatio * sourcePower,
+            transmittedPowerRatio * incidentPower,
             color,
-            sourceWaveWidth,
+            transmittedWaveWidth,
             incidentRay.getNumberOfWavelengths(),
             true,
-            true, this.laserViewProperty.value, 'reflected'
-          );
-          this.addAndAbsorb( reflectedRay, 'reflected' );
-        }
-        else {
-          reflectedPowerRatio = 0;
-        }
-
-        // fire a transmitted ray if there wasn't total internal reflection
-        if ( hasTransmittedRay ) {
-
-          // transmitted
-          // n2/n1 = L1/L2 => L2 = L1*n2/n1
-          const transmittedWavelength = incidentRay.wavelength / n2 * n1;
-          if ( !( isNaN( theta2 ) || !isFinite( theta2 ) ) ) {
-            let transmittedPowerRatio = BendingLightModel.getTransmittedPower(
-              n1,
-              n2,
-              Math.cos( theta1 ),
-              Math.cos( theta2 )
-            );
-            if ( !hasReflectedRay ) {
-              transmittedPowerRatio = 1;
-            }
-
-            // make the beam width depend on the input beam width, so that the same beam width is transmitted as was
-            // intercepted
-            const beamHalfWidth = a / 2;
-            const extentInterceptedHalfWidth = beamHalfWidth / Math.sin( Math.PI / 2 - theta1 ) / 2;
-            const transmittedBeamHalfWidth = Math.cos( theta2 ) * extentInterceptedHalfWidth;
-            const transmittedWaveWidth = transmittedBeamHalfWidth * 2;
-            const transmittedRay = new LightRay(
-              trapeziumWidth,
-              new Vector2( 0, 0 ),
-              Vector2.createPolar( BEAM_LENGTH, theta2 - Math.PI / 2 ),
-              n2,
-              transmittedWavelength,
-              this.laser.getWavelength() * 1E9,
-              transmittedPowerRatio * sourcePower,
-              color,
-              transmittedWaveWidth,
-              incidentRay.getNumberOfWavelengths(),
-              true,
-              true,
-              this.laserViewProperty.value, 'transmitted' );
-            this.addAndAbsorb( transmittedRay, 'transmitted' );
-          }
+            true,
+            this.laserViewProperty.value, 'transmitted',
+            transmittedSPolarizationFraction,
+            absorptionCoefficient2,
+            sourcePower,
+            brightness );
+          this.addAndAbsorb( transmittedRay, 'transmitted' );
         }
       }
     }
@@ -274,6 +387,9 @@ class IntroModel extends BendingLightModel {
 
     // if it intersected, then absorb the ray
     let rayAbsorbed = intersects.length > 0;
+
+    // the sensor reads the power that remains after absorption between the tail of the ray and the sensor
+    let powerAtSensor = ray.powerFraction;
     if ( rayAbsorbed ) {
       let x;
       let y;
@@ -289,11 +405,13 @@ class IntroModel extends BendingLightModel {
         y = ( intersects[ 0 ].point.y + intersects[ 1 ].point.y ) / 2;
       }
 
-      const distance = Math.sqrt( x * x + y * y );
+      // the incident ray is cut short from its tip at the interface, the others from their tail
+      const interfacePoint = rayType === 'incident' ? ray.tip : ray.tail;
+      const distance = interfacePoint.distanceXY( x, y );
       const interrupted = new LightRay(
         ray.trapeziumWidth,
         ray.tail,
-        Vector2.createPolar( distance, ray.getAngle() + angleOffset ),
+        interfacePoint.plus( Vector2.createPolar( distance, ray.getAngle() + angleOffset ) ),
         ray.indexOfRefraction,
         ray.wavelength,
         this.laser.getWavelength() * 1E9,
@@ -304,13 +422,18 @@ class IntroModel extends BendingLightModel {
         false,
         ray.extendBackwards,
         this.laserViewProperty.value,
-        rayType
+        rayType,
+        ray.sPolarizationFraction,
+        ray.absorptionCoefficient,
+        ray.emittedPower,
+        ray.brightness
       );
 
       // don't let the wave intersect the intensity meter if it is behind the laser emission point
       const isForward = ray.toVector().dot( interrupted.toVector() ) > 0;
       if ( interrupted.getLength() < ray.getLength() && isForward ) {
         this.addRay( interrupted );
+        powerAtSensor = interrupted.getPowerAt( interrupted.getLength() );
       }
       else {
         this.addRay( ray );
@@ -321,7 +444,7 @@ class IntroModel extends BendingLightModel {
       this.addRay( ray );
     }
     if ( rayAbsorbed ) {
-      this.intensityMeter.addRayReading( new Reading( ray.powerFraction ) );
+      this.intensityMeter.addRayReading( new Reading( powerAtSensor ) );
     }
     else {
       this.intensityMeter.addRayReading( Reading.MISS );
@@ -337,6 +460,8 @@ class IntroModel extends BendingLightModel {
     super.reset();
     this.topMediumProperty.reset();
     this.bottomMediumProperty.reset();
+    this.showCriticalAngleProperty.reset();
+    this.showBrewsterAngleProperty.reset();
     this.intensityMeter.reset();
   }
 
@@ -508,6 +633,20 @@ class IntroModel extends BendingLightModel {
   }
 }
 
+/**
+ * Determines where light from the top medium strikes the interface between the media, which is the x axis
+ * @param {Vector2} tail - where the light comes from
+ * @param {Vector2} directionUnitVector - direction of the light
+ * @returns {Vector2|null} - null if the light does not strike the interface within the length of a beam
+ */
+const getInterfacePoint = ( tail, directionUnitVector ) => {
+  if ( directionUnitVector.y >= 0 ) {
+    return null;
+  }
+  const distance = tail.y / -directionUnitVector.y;
+  return distance <= BEAM_LENGTH ? tail.plus( directionUnitVector.times( distance ) ) : null;
+};
+
 bendingLight.register( 'IntroModel', IntroModel );
 
 export default IntroModel;
\ No newline at end of file
@@ -47,9 +47,13 @@ class AngleNode extends Node {
                addStepListener ) {
     super();
 
+    // Only redraw when necessary to improve performance.
+    let dirty = true;
+
     // Only show the AngleNode when it is selected via a checkbox and the laser is on
     Property.multilink( [ showAnglesProperty, laserOnProperty ], ( showAngles, laserOn ) => {
       this.visible = showAngles && laserOn;
+      dirty = true;
     } );
 
     const createArcPath = () => new Path( null, { stroke: 'black', lineWidth: 1 } );
@@ -118,8 +122,6 @@ class AngleNode extends Node {
     const lowerMark = createLine( CIRCLE_RADIUS );
     const upperMark = createLine( -CIRCLE_RADIUS );
 
-    // Only redraw when necessary to improve performance.
-    let dirty = true;
 
     showNormalProperty.link( showNormal => {
 
@@ -161,7 +163,7 @@ class AngleNode extends Node {
 
     // Update the shape each frame
     addStepListener( () => {
-      if ( dirty ) {
+      if ( dirty && this.visible ) {
 
         // Get the rays from the model.  They must be specified in the following order.
         const incomingRay = getRay( 'incident' );
@@ -7,6 +7,7 @@
  * @author Siddhartha Chinthapally (Actual Concepts)
  */
 
+import DerivedProperty from '../../../../axon/js/DerivedProperty.js';
 import Emitter from '../../../../axon/js/Emitter.js';
 import Property from '../../../../axon/js/Property.js';
 import Bounds2 from '../../../../dot/js/Bounds2.js';
@@ -37,15 +38,22 @@ import ToolIconListener from '../../common/view/ToolIconListener.js';
 import AngleIcon from './AngleIcon.js';
 import AngleNode from './AngleNode.js';
 import NormalLine from './NormalLine.js';
+import ReferenceAngleNode from './ReferenceAngleNode.js';
 import WaveCanvasNode from './WaveCanvasNode.js';
 import WaveWebGLNode from './WaveWebGLNode.js';
 
 const anglesString = bendingLightStrings.angles;
+const brewsterAngleString = bendingLightStrings.brewsterAngle;
+const brewsterAnglePatternString = bendingLightStrings.brewsterAnglePattern;
+const criticalAngleString = bendingLightStrings.criticalAngle;
+const criticalAnglePatternString = bendingLightStrings.criticalAnglePattern;
 const materialString = bendingLightStrings.material;
 const normalLineString = bendingLightStrings.normalLine;
 
 // constants
 const INSET = 10;
+const CRITICAL_ANGLE_COLOR = '#c00000';
+const BREWSTER_ANGLE_COLOR = '#0050c0';
 
 class IntroScreenView extends BendingLightScreenView {
 
@@ -124,7 +132,8 @@ class IntroScreenView extends BendingLightScreenView {
     // add control panels for setting the index of refraction for each medium
     const topMediumControlPanel = new MediumControlPanel( this, introModel.mediumColorFactory,
       introModel.topMediumProperty, materialString, true, introModel.wavelengthProperty, indexOfRefractionDecimals, {
-        yMargin: 7
+        yMargin: 7,
+        importedSubstances: introModel.importedSubstances
       } );
     const topMediumControlPanelXOffset = hasMoreTools ? 4 : 0;
     topMediumControlPanel.setTranslation(
@@ -140,7 +149,8 @@ class IntroScreenView extends BendingLightScreenView {
     const bottomMediumControlPanelXOffset = hasMoreTools ? 4 : 0;
     const bottomMediumControlPanel = new MediumControlPanel( this, introModel.mediumColorFactory,
       introModel.bottomMediumProperty, materialString, true, introModel.wavelengthProperty, indexOfRefractionDecimals, {
-        yMargin: 7
+        yMargin: 7,
+        importedSubstances: introModel.importedSubstances
       } );
     bottomMediumControlPanel.setTranslation(
       stageWidth - topMediumControlPanel.getWidth() - 2 * INSET - bottomMediumControlPanelXOffset,
@@ -167,10 +177,11 @@ class IntroScreenView extends BendingLightScreenView {
     } );
     this.afterLightLayer2.addChild( normalLine );
 
-    // Add the angle node
+    // Add the angle node, which shows the angles of the beam.  A point source has many rays, so none are shown.
     this.afterLightLayer2.addChild( new AngleNode(
       this.introModel.showAnglesProperty,
-      this.introModel.laser.onProperty,
+      new DerivedProperty( [ this.introModel.laser.onProperty, this.introModel.laser.sourceTypeProperty ],
+        ( on, sourceType ) => on && sourceType === 'beam' ),
       this.introModel.showNormalProperty,
       this.introModel.rays,
       this.modelViewTransform,
@@ -179,6 +190,24 @@ class IntroScreenView extends BendingLightScreenView {
       stepCallback => this.stepEmitter.addListener( stepCallback )
     ) );
 
+    // Add the critical angle and Brewster angle indicators, with different lengths so their readouts don't overlap
+    this.afterLightLayer2.addChild( new ReferenceAngleNode(
+      introModel.criticalAngleProperty,
+      introModel.showCriticalAngleProperty,
+      criticalAnglePatternString,
+      CRITICAL_ANGLE_COLOR,
+      170,
+      this.modelViewTransform
+    ) );
+    this.afterLightLayer2.addChild( new ReferenceAngleNode(
+      introModel.brewsterAngleProperty,
+      introModel.showBrewsterAngleProperty,
+      brewsterAnglePatternString,
+      BREWSTER_ANGLE_COLOR,
+      120,
+      this.modelViewTransform
+    ) );
+
     introModel.showNormalProperty.linkAttribute( normalLine, 'visible' );
 
     Property.multilink( [
@@ -238,7 +267,25 @@ class IntroScreenView extends BendingLightScreenView {
       spacing: 5
     } );
 
+    // add critical angle and Brewster angle checkboxes, with icons that match the dashed indicator lines
+    const createReferenceAngleCheckbox = ( string, color, property ) => new Checkbox( new HBox( {
+      children: [
+        new Text( string, { fontSize: 12 } ),
+        new Path( Shape.lineSegment( 0, 0, 20, 0 ), { stroke: color, lineWidth: 2, lineDash: [ 5, 3 ] } )
+      ], spacing: 12
+    } ), property, {
+      boxWidth: 15,
+      spacing: 5
+    } );
+    const criticalAngleCheckbox = createReferenceAngleCheckbox(
+      criticalAngleString, CRITICAL_ANGLE_COLOR, introModel.showCriticalAngleProperty
+    );
+    const brewsterAngleCheckbox = createReferenceAngleCheckbox(
+      brewsterAngleString, BREWSTER_ANGLE_COLOR, introModel.showBrewsterAngleProperty
+    );
+
     const checkboxPanelChildren = hasMoreTools ? [ normalCheckbox, angleCheckbox ] : [ normalCheckbox ];
+    checkboxPanelChildren.push( criticalAngleCheckbox, brewsterAngleCheckbox );
     const checkboxPanel = new VBox( {
       children: checkboxPanelChildren,
       spacing: 6,
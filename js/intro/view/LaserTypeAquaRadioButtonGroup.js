@@ -1,11 +1,13 @@
 // Copyright 2015-2020, University of Colorado Boulder
 
 /**
- * In the intro screen, these radio buttons choose between "Ray" and "Wave" representations.
+ * In the intro screen, these radio buttons choose between "Ray" and "Wave" representations of the beam, or the rays of a
+ * point source.
  *
  * @author Sam Reid (PhET Interactive Simulations)
  */
 
+import Property from '../../../../axon/js/Property.js';
 import PhetFont from '../../../../scenery-phet/js/PhetFont.js';
 import Text from '../../../../scenery/js/nodes/Text.js';
 import VBox from '../../../../scenery/js/nodes/VBox.js';
@@ -13,15 +15,36 @@ import AquaRadioButton from '../../../../sun/js/AquaRadioButton.js';
 import bendingLightStrings from '../../bendingLightStrings.js';
 import bendingLight from '../../bendingLight.js';
 
+const pointSourceString = bendingLightStrings.pointSource;
 const rayString = bendingLightStrings.ray;
 const waveString = bendingLightStrings.wave;
 
 class LaserTypeAquaRadioButtonGroup extends VBox {
 
   /**
-   * @param laserTypeProperty
+   * @param {Property.<string>} laserViewProperty - 'ray' or 'wave'
+   * @param {Property.<string>} sourceTypeProperty - 'beam' or 'point', see Laser
    */
-  constructor( laserTypeProperty ) {
+  constructor( laserViewProperty, sourceTypeProperty ) {
+
+    // A point source is only shown with rays, so the choices are combined in one property
+    const getLaserType = () => sourceTypeProperty.value === 'point' ? 'pointSource' : laserViewProperty.value;
+    const laserTypeProperty = new Property( getLaserType() );
+    let updating = false;
+    const updateLaserType = () => {
+      if ( !updating ) {
+        laserTypeProperty.value = getLaserType();
+      }
+    };
+    laserViewProperty.lazyLink( updateLaserType );
+    sourceTypeProperty.lazyLink( updateLaserType );
+    laserTypeProperty.lazyLink( laserType => {
+      updating = true;
+      laserViewProperty.value = laserType === 'wave' ? 'wave' : 'ray';
+      sourceTypeProperty.value = laserType === 'pointSource' ? 'point' : 'beam';
+      updating = false;
+    } );
+
     const radioButtonOptions = {
       radius: 6,
       font: new PhetFont( 12 )
@@ -42,17 +65,24 @@ class LaserTypeAquaRadioButtonGroup extends VBox {
       createButtonTextNode( waveString ),
       radioButtonOptions
     );
+    const pointSourceButton = new AquaRadioButton(
+      laserTypeProperty,
+      'pointSource',
+      createButtonTextNode( pointSourceString ),
+      radioButtonOptions
+    );
     const spacing = 10;
     const dilation = spacing / 2;
 
     // Use the same touch area width for each button, even if the texts are different widths
-    const union = rayButton.localBounds.union( waveButton.localBounds );
+    const union = rayButton.localBounds.union( waveButton.localBounds ).union( pointSourceButton.localBounds );
     rayButton.touchArea = union.dilated( dilation );
     waveButton.touchArea = union.dilated( dilation );
+    pointSourceButton.touchArea = union.dilated( dilation );
     super( {
       spacing: spacing,
       align: 'left',
-      children: [ rayButton, waveButton ]
+      children: [ rayButton, waveButton, pointSourceButton ]
     } );
   }
 }
@@ -0,0 +1,79 @@
+// Copyright 2021, University of Colorado Boulder
+
+/**
+ * Shows a dashed line from the point where the light hits the interface into the top medium, at a reference angle of
+ * incidence such as the critical angle or Brewster's angle, with a labeled readout at the end of the line.
+ *
+ * @author Sam Reid (PhET Interactive Simulations)
+ */
+
+import Property from '../../../../axon/js/Property.js';
+import Utils from '../../../../dot/js/Utils.js';
+import Vector2 from '../../../../dot/js/Vector2.js';
+import Shape from '../../../../kite/js/Shape.js';
+import StringUtils from '../../../../phetcommon/js/util/StringUtils.js';
+import Node from '../../../../scenery/js/nodes/Node.js';
+import Path from '../../../../scenery/js/nodes/Path.js';
+import Text from '../../../../scenery/js/nodes/Text.js';
+import Panel from '../../../../sun/js/Panel.js';
+import bendingLight from '../../bendingLight.js';
+
+// constants
+const NUM_DIGITS = 1; // number of digits in the text readout
+const READOUT_OFFSET = 12; // distance between the end of the line and the center of the readout in stage coordinates
+
+class ReferenceAngleNode extends Node {
+
+  /**
+   * @param {Property.<number|null>} angleProperty - angle from the normal in radians, or null if there is none
+   * @param {Property.<boolean>} showAngleProperty - whether the indicator has been selected via a checkbox
+   * @param {string} labelPattern - pattern for the readout, where {0} is replaced by the angle in degrees
+   * @param {Color|string} color - color of the line and the readout text
+   * @param {number} lineLength - length of the line in stage coordinates, used to keep the readouts apart
+   * @param {ModelViewTransform2} modelViewTransform
+   */
+  constructor( angleProperty, showAngleProperty, labelPattern, color, lineLength, modelViewTransform ) {
+    super( { pickable: false } );
+
+    const origin = new Vector2( modelViewTransform.modelToViewX( 0 ), modelViewTransform.modelToViewY( 0 ) );
+
+    const line = new Path( null, { stroke: color, lineWidth: 2, lineDash: [ 8, 5 ] } );
+    this.addChild( line );
+
+    const text = new Text( '', { fontSize: 12, fill: color } );
+    const readout = new Panel( text, {
+      fill: 'white',
+      opacity: 0.75,
+      stroke: null,
+      lineWidth: 0,
+      xMargin: 3,
+      yMargin: 3,
+      cornerRadius: 6,
+      resize: true,
+      backgroundPickable: false
+    } );
+    this.addChild( readout );
+
+    Property.multilink( [ angleProperty, showAngleProperty ], ( angle, showAngle ) => {
+
+      // An angle of 90 degrees means the light never reaches it, so there is nothing to indicate
+      this.visible = showAngle && angle !== null && angle < Math.PI / 2 - 1E-6;
+      if ( this.visible ) {
+
+        // The light comes from the top left, so show the angle on that side of the normal
+        const direction = new Vector2( -Math.sin( angle ), -Math.cos( angle ) );
+        line.shape = Shape.lineSegment( origin, origin.plus( direction.times( lineLength ) ) );
+        text.text = StringUtils.format(
+          labelPattern,
+          `${Utils.toFixed( Utils.toDegrees( angle ), NUM_DIGITS )}\u00B0`
+        );
+        readout.center = origin.plus( direction.times( lineLength + READOUT_OFFSET ) );
+        readout.right = Math.min( readout.right, origin.x );
+      }
+    } );
+  }
+}
+
+bendingLight.register( 'ReferenceAngleNode', ReferenceAngleNode );
+
+export default ReferenceAngleNode;
@@ -40,7 +40,10 @@ class MoreToolsModel extends IntroModel {
       this.topMediumProperty,
       this.bottomMediumProperty,
       this.laser.emissionPointProperty,
-      this.laser.wavelengthProperty
+      this.laser.wavelengthProperty,
+      this.laser.sourceTypeProperty,
+      this.laser.fanAngleProperty,
+      this.laser.fanRayCountProperty
     ], () => {
       this.velocitySensor.valueProperty.set(
         this.getVelocity( this.velocitySensor.positionProperty.get() ) );
@@ -15,6 +15,8 @@ import merge from '../../../../phet-core/js/merge.js';
 import MovableDragHandler from '../../../../scenery-phet/js/input/MovableDragHandler.js';
 import VBox from '../../../../scenery/js/nodes/VBox.js';
 import bendingLight from '../../bendingLight.js';
+import FanAngleControl from '../../common/view/FanAngleControl.js';
+import PolarizationControl from '../../common/view/PolarizationControl.js';
 import ToolIconListener from '../../common/view/ToolIconListener.js';
 import WavelengthControl from '../../common/view/WavelengthControl.js';
 import IntroScreenView from '../../intro/view/IntroScreenView.js';
@@ -42,8 +44,10 @@ class MoreToolsScreenView extends IntroScreenView {
         spacing: 10,
         align: 'left',
         children: [
-          new LaserTypeAquaRadioButtonGroup( model.laserViewProperty ),
-          new WavelengthControl( model.wavelengthProperty, new Property( true ), 120 )
+          new LaserTypeAquaRadioButtonGroup( model.laserViewProperty, model.laser.sourceTypeProperty ),
+          new WavelengthControl( model.wavelengthProperty, new Property( true ), 120 ),
+          new PolarizationControl( model.laser ),
+          new FanAngleControl( model.laser )
         ]
       } ), merge( {
         verticalPlayAreaOffset: 0,
@@ -7,6 +7,8 @@
  * @author Chandrashekar Bemagoni (Actual Concepts)
  */
 
+import Vector2 from '../../../../dot/js/Vector2.js';
+import Arc from '../../../../kite/js/segments/Arc.js';
 import Shape from '../../../../kite/js/Shape.js';
 import bendingLight from '../../bendingLight.js';
 import PrismIntersection from './PrismIntersection.js';
@@ -46,6 +48,15 @@ class Circle {
     return PrismIntersection.getIntersections( [], this.shape, this.center, ray );
   }
 
+  /**
+   * Lists the faces that can be coated, which is just the whole circle
+   * @public
+   * @returns {Arc[]}
+   */
+  getFaces() {
+    return [ new Arc( this.center, this.radius, 0, 2 * Math.PI, false ) ];
+  }
+
   /**
    * Computes the centroid of the corner points
    * @public
@@ -73,6 +84,29 @@ class Circle {
   containsPoint( point ) {
     return point.distance( this.center ) <= this.radius;
   }
+
+  /**
+   * Converts the shape to a plain object, for example to send it to a Web Worker
+   * @public
+   * @returns {Object}
+   */
+  toStateObject() {
+    return {
+      type: 'Circle',
+      center: this.center.toStateObject(),
+      radius: this.radius
+    };
+  }
+
+  /**
+   * Creates a Circle from a plain object made by toStateObject
+   * @public
+   * @param {Object} stateObject
+   * @returns {Circle}
+   */
+  static fromStateObject( stateObject ) {
+    return new Circle( Vector2.fromStateObject( stateObject.center ), stateObject.radius );
+  }
 }
 
 bendingLight.register( 'Circle', Circle );
@@ -0,0 +1,91 @@
+// Copyright 2021, University of Colorado Boulder
+
+/**
+ * A thin-film coating on a face of a prism: a single film of any thickness and index of refraction, or a preset stack
+ * of quarter-wave films.  Where a ray meets a coated face, the reflected and transmitted powers come from the
+ * interference of the light in the films (see FresnelEquations.getCoatedPowers) instead of from the Fresnel equations
+ * for the bare face.  The films are not dispersive and do not absorb light.
+ *
+ * @author Sam Reid (PhET Interactive Simulations)
+ */
+
+import Range from '../../../../dot/js/Range.js';
+import bendingLight from '../../bendingLight.js';
+
+// constants
+
+// The preset stacks are a quarter wave thick for green light, in the middle of the visible spectrum
+const DESIGN_WAVELENGTH = 550E-9; // in meters
+
+// Indices of refraction of common coating materials
+const MAGNESIUM_FLUORIDE_INDEX = 1.38;
+const SILICA_INDEX = 1.46;
+const TITANIA_INDEX = 2.4;
+
+// number of pairs of high and low index films in the high-reflection stack, which also has a high index film on top
+const HIGH_REFLECTION_PAIRS = 4;
+
+/**
+ * Creates a film that is a quarter of the design wavelength thick inside of it
+ * @param {number} indexOfRefraction
+ * @returns {{indexOfRefraction: number, thickness: number}}
+ */
+const createQuarterWaveLayer = indexOfRefraction => ( {
+  indexOfRefraction: indexOfRefraction,
+  thickness: DESIGN_WAVELENGTH / ( 4 * indexOfRefraction )
+} );
+
+class Coating {
+
+  /**
+   * @param {string} type - 'film' for a single film, 'antiReflection' or 'highReflection' for a preset stack
+   * @param {{indexOfRefraction: number, thickness: number}[]} layers - from the face of the prism outward, with the
+   *                                                                  - thickness in meters
+   */
+  constructor( type, layers ) {
+    assert && assert( Coating.TYPES.includes( type ), `invalid coating type: ${type}` );
+    assert && assert( layers.length > 0, 'a coating needs at least one layer' );
+
+    // @public (read-only)
+    this.type = type;
+
+    // @public (read-only) {{indexOfRefraction: number, thickness: number}[]} - plain objects, so that they can be sent
+    // to a Web Worker
+    this.layers = layers;
+  }
+
+  /**
+   * Creates a coating of a single film
+   * @public
+   * @param {number} indexOfRefraction
+   * @param {number} thickness - in meters
+   * @returns {Coating}
+   */
+  static createFilm( indexOfRefraction, thickness ) {
+    return new Coating( 'film', [ { indexOfRefraction: indexOfRefraction, thickness: thickness } ] );
+  }
+}
+
+// @public (read-only)
+Coating.TYPES = [ 'film', 'antiReflection', 'highReflection' ];
+
+// @public (read-only) - a single quarter-wave film of magnesium fluoride, like the coating on camera lenses
+Coating.ANTI_REFLECTION = new Coating( 'antiReflection', [ createQuarterWaveLayer( MAGNESIUM_FLUORIDE_INDEX ) ] );
+
+// @public (read-only) - alternating quarter-wave films of titania and silica, like a dielectric mirror, with titania
+// on both ends
+Coating.HIGH_REFLECTION = new Coating( 'highReflection', _.flatten( _.range( HIGH_REFLECTION_PAIRS ).map( () => [
+  createQuarterWaveLayer( TITANIA_INDEX ),
+  createQuarterWaveLayer( SILICA_INDEX )
+] ) ).concat( [ createQuarterWaveLayer( TITANIA_INDEX ) ] ) );
+
+// @public (read-only) - for the single film
+Coating.FILM_THICKNESS_RANGE = new Range( 10E-9, 1000E-9 ); // in meters
+Coating.FILM_INDEX_OF_REFRACTION_RANGE = new Range( 1.2, 2.6 );
+
+// @public (read-only) - where the single film starts, magnesium fluoride about a quarter wave thick
+Coating.DEFAULT_FILM = Coating.createFilm( MAGNESIUM_FLUORIDE_INDEX, 100E-9 );
+
+bendingLight.register( 'Coating', Coating );
+
+export default Coating;
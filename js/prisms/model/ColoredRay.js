@@ -18,8 +18,15 @@ class ColoredRay {
    * @param {number} wavelength - wavelength of ray
    * @param {number} mediumIndexOfRefraction - index of refraction of medium
    * @param {number} frequency - frequency of ray
+   * @param {number} sPolarizationFraction - fraction of the power that is s-polarized (the rest is p-polarized)
+   * @param {number} absorptionCoefficient - absorption coefficient of medium in 1/m
+   * @param {Medium} medium - the medium the ray is in
+   * @param {number} emittedPower - power of the ray that left the laser, which is less than 1 for the weaker
+   *                                wavelengths of white light
+   * @param {number} brightness - factor by which the ray is drawn brighter than its power, see LightRay
    */
-  constructor( ray, power, wavelength, mediumIndexOfRefraction, frequency ) {
+  constructor( ray, power, wavelength, mediumIndexOfRefraction, frequency, sPolarizationFraction,
+               absorptionCoefficient, medium, emittedPower, brightness ) {
 
     assert && assert( !isNaN( ray.direction.magnitude ), 'direction unit vector should have a numeric magnitude' );
 
@@ -33,6 +40,13 @@ class ColoredRay {
     this.wavelength = wavelength; // @public (read-only)
     this.mediumIndexOfRefraction = mediumIndexOfRefraction; // @public (read-only)
     this.frequency = frequency; // @public (read-only)
+    this.sPolarizationFraction = sPolarizationFraction; // @public (read-only)
+    this.absorptionCoefficient = absorptionCoefficient; // @public (read-only)
+
+    // If the medium is graded, the index of refraction above is the index at the tail of the ray
+    this.medium = medium; // @public (read-only)
+    this.emittedPower = emittedPower; // @public (read-only)
+    this.brightness = brightness; // @public (read-only)
   }
 
   // @public
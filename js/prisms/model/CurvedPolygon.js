@@ -0,0 +1,244 @@
+// Copyright 2021, University of Colorado Boulder
+
+/**
+ * Shape that comprises a prism, bounded by any sequence of line and arc edges.  Each edge goes from one corner point to
+ * the next, and is either straight or a circular arc (less than a semicircle) with a specified radius.  Immutable like
+ * the other prism shapes.
+ *
+ * @author Sam Reid (PhET Interactive Simulations)
+ */
+
+import Vector2 from '../../../../dot/js/Vector2.js';
+import Arc from '../../../../kite/js/segments/Arc.js';
+import Line from '../../../../kite/js/segments/Line.js';
+import Shape from '../../../../kite/js/Shape.js';
+import bendingLight from '../../bendingLight.js';
+import PrismIntersection from './PrismIntersection.js';
+
+class CurvedPolygon {
+
+  /**
+   * @param {number} referencePointIndex - index of the corner point used as the drag handle for rotation
+   * @param {Vector2[]} points - corner points
+   * @param {number[]} radii - for each edge from points[ i ] to points[ i + 1 ] (wrapping around to the first point),
+   *                         - 0 for a straight edge, otherwise the radius of an arc that bulges outward if positive
+   *                         - or inward if negative
+   */
+  constructor( referencePointIndex, points, radii ) {
+    assert && assert( points.length === radii.length, 'there should be one radius for each edge' );
+
+    this.points = points; // @private
+    this.radii = radii; // @private
+
+    // Index for the point used as the "reference" point, which is used as the drag handle corner for rotation
+    this.referencePointIndex = referencePointIndex; // @private
+
+    // Outward is to the right of the edges for counterclockwise corner points
+    let signedArea = 0;
+    for ( let i = 0; i < points.length; i++ ) {
+      const j = ( i + 1 ) % points.length;
+      signedArea += points[ i ].x * points[ j ].y - points[ j ].x * points[ i ].y;
+    }
+    const outwardRotation = signedArea >= 0 ? -Math.PI / 2 : Math.PI / 2;
+
+    // @private {Array.<Line|Arc>} - the edges, in order
+    this.segments = [];
+
+    // midpoints of the edges, which are used with the corners to find a center for rotation
+    const edgeMidpoints = [];
+    for ( let i = 0; i < points.length; i++ ) {
+      const start = points[ i ];
+      const end = points[ ( i + 1 ) % points.length ];
+      const radius = radii[ i ];
+      if ( radius === 0 ) {
+        this.segments.push( new Line( start, end ) );
+        edgeMidpoints.push( start.average( end ) );
+      }
+      else {
+        const halfChord = start.distance( end ) / 2;
+        const r = Math.abs( radius );
+        assert && assert( r >= halfChord, 'radius is too small for the edge' );
+
+        // The center is on the opposite side of the chord from the bulge
+        const outward = end.minus( start ).normalize().rotate( outwardRotation );
+        const bulge = radius > 0 ? outward : outward.negated();
+        const centerDistance = Math.sqrt( Math.max( r * r - halfChord * halfChord, 0 ) );
+        const center = start.average( end ).minus( bulge.times( centerDistance ) );
+
+        // Take the shorter way around, which passes through the bulge
+        const startAngle = start.minus( center ).angle;
+        let deltaAngle = end.minus( center ).angle - startAngle;
+        if ( deltaAngle > Math.PI ) {
+          deltaAngle -= 2 * Math.PI;
+        }
+        else if ( deltaAngle < -Math.PI ) {
+          deltaAngle += 2 * Math.PI;
+        }
+        this.segments.push( new Arc( center, r, startAngle, startAngle + deltaAngle, deltaAngle < 0 ) );
+        edgeMidpoints.push( center.plus( bulge.times( r ) ) );
+      }
+    }
+
+    // @public (read-only)
+    this.centroid = _.reduce( points.concat( edgeMidpoints ), ( sum, point ) => sum.plus( point ), Vector2.ZERO )
+      .timesScalar( 1 / ( 2 * points.length ) );
+
+    // @public (read-only)
+    this.shape = new Shape().moveToPoint( points[ 0 ] );
+    this.segments.forEach( segment => {
+      if ( segment instanceof Line ) {
+        this.shape.lineToPoint( segment.end );
+      }
+      else {
+        this.shape.arcPoint( segment.center, segment.radius, segment.startAngle, segment.endAngle, segment.anticlockwise );
+      }
+    } );
+    this.shape.close();
+  }
+
+  /**
+   * Get the specified corner point
+   * @public
+   * @param {number} i - index of point
+   * @returns {Vector2}
+   */
+  getPoint( i ) {
+    return this.points[ i ];
+  }
+
+  /**
+   * Create a new CurvedPolygon translated by the specified amount
+   * @public
+   * @param {number} deltaX - distance in x direction to be translated
+   * @param {number} deltaY - distance in y direction to be translated
+   * @returns {CurvedPolygon}
+   */
+  getTranslatedInstance( deltaX, deltaY ) {
+    return new CurvedPolygon( this.referencePointIndex, this.points.map( point => point.plusXY( deltaX, deltaY ) ),
+      this.radii );
+  }
+
+  /**
+   * Gets a rotated copy of this CurvedPolygon
+   * @public
+   * @param {number} angle - angle to be rotated
+   * @param {Vector2} rotationPoint - point around which the shape is rotated
+   * @returns {CurvedPolygon}
+   */
+  getRotatedInstance( angle, rotationPoint ) {
+    return new CurvedPolygon( this.referencePointIndex,
+      this.points.map( point => point.minus( rotationPoint ).rotate( angle ).add( rotationPoint ) ),
+      this.radii );
+  }
+
+  /**
+   * Determines whether shape contains given point or not
+   * @public
+   * @param {Vector2} point
+   * @returns {boolean}
+   */
+  containsPoint( point ) {
+    return this.shape.containsPoint( point );
+  }
+
+  /**
+   * Gets the point used for the rotation drag handle
+   * @public
+   * @returns {Vector2}
+   */
+  getReferencePoint() {
+    return this.getPoint( this.referencePointIndex );
+  }
+
+  /**
+   * The shape rotates about the average of its corners and the midpoints of its edges
+   * @public
+   * @returns {Vector2}
+   */
+  getRotationCenter() {
+    return this.centroid;
+  }
+
+  /**
+   * Compute the intersections of the specified ray with the edges
+   * @public
+   * @param {ColoredRay} ray - model of the ray
+   * @returns {Intersection[]}
+   */
+  getIntersections( ray ) {
+    return PrismIntersection.getSegmentIntersections( this.segments, ray );
+  }
+
+  /**
+   * Lists the faces that can be coated, which are the edges in order
+   * @public
+   * @returns {Array.<Line|Arc>}
+   */
+  getFaces() {
+    return this.segments;
+  }
+
+  /**
+   * Creates a lens whose optical axis is along x, centered at the origin.  The radii of curvature follow the usual
+   * sign convention for light traveling in the +x direction: a surface is positive if its center of curvature is
+   * to its right, so a biconvex lens has radius1 > 0 and radius2 < 0.
+   * @public
+   * @param {number} diameter - height of the lens
+   * @param {number} thickness - thickness of the lens along the optical axis
+   * @param {number} radius1 - radius of curvature of the left surface, or Infinity if it is flat
+   * @param {number} radius2 - radius of curvature of the right surface, or Infinity if it is flat
+   * @returns {CurvedPolygon}
+   */
+  static createLens( diameter, thickness, radius1, radius2 ) {
+    const h = diameter / 2;
+
+    // distance from the vertex of a surface to the surface at the edge of the lens, along +x
+    const getSag = radius => isFinite( radius ) ? radius - Math.sign( radius ) * Math.sqrt( radius * radius - h * h ) : 0;
+    const left = -thickness / 2 + getSag( radius1 );
+    const right = thickness / 2 + getSag( radius2 );
+    assert && assert( right > left, 'the lens is too thin at its edge' );
+
+    // counterclockwise from the top left corner, with the left surface bulging outward if it is convex (radius1 > 0)
+    // and the right surface bulging outward if it is convex (radius2 < 0)
+    return new CurvedPolygon( 0, [
+      new Vector2( left, h ),
+      new Vector2( left, -h ),
+      new Vector2( right, -h ),
+      new Vector2( right, h )
+    ], [
+      isFinite( radius1 ) ? radius1 : 0,
+      0,
+      isFinite( radius2 ) ? -radius2 : 0,
+      0
+    ] );
+  }
+
+  /**
+   * Converts the shape to a plain object, for example to send it to a Web Worker
+   * @public
+   * @returns {Object}
+   */
+  toStateObject() {
+    return {
+      type: 'CurvedPolygon',
+      referencePointIndex: this.referencePointIndex,
+      points: this.points.map( point => point.toStateObject() ),
+      radii: this.radii
+    };
+  }
+
+  /**
+   * Creates a CurvedPolygon from a plain object made by toStateObject
+   * @public
+   * @param {Object} stateObject
+   * @returns {CurvedPolygon}
+   */
+  static fromStateObject( stateObject ) {
+    return new CurvedPolygon( stateObject.referencePointIndex, stateObject.points.map( Vector2.fromStateObject ),
+      stateObject.radii );
+  }
+}
+
+bendingLight.register( 'CurvedPolygon', CurvedPolygon );
+
+export default CurvedPolygon;
@@ -0,0 +1,170 @@
+// Copyright 2021, University of Colorado Boulder
+
+/**
+ * Shape of a transmission diffraction grating for use in the prisms screen, with the same interface as the prism shapes
+ * (Polygon, Circle and SemiCircle).  The grating is a thin plate whose lines run perpendicular to the screen, so light
+ * that crosses it is split into the diffraction orders in the plane of the screen, see RayTracingCore.  Like a mirror,
+ * it does not contain a medium.
+ *
+ * The plate is described in a local frame where it is vertical and centered at the origin, so light traveling along x
+ * meets it at normal incidence.  The light is diffracted where it crosses the middle of the plate, x = 0.
+ *
+ * @author Sam Reid (PhET Interactive Simulations)
+ */
+
+import Vector2 from '../../../../dot/js/Vector2.js';
+import Shape from '../../../../kite/js/Shape.js';
+import bendingLight from '../../bendingLight.js';
+import Intersection from './Intersection.js';
+
+// constants
+const NUMBER_OF_LINES = 12; // number of lines that are drawn across the plate, which is far fewer than it has
+
+class Grating {
+
+  /**
+   * @param {Vector2} center - position of the center of the grating
+   * @param {number} angle - rotation of the grating, 0 means that the plate is vertical
+   * @param {number} halfHeight - half of the length of the plate, measured along the local y axis
+   * @param {number} thickness - thickness of the plate, which is only for display
+   */
+  constructor( center, angle, halfHeight, thickness ) {
+
+    this.center = center; // @public (read-only)
+    this.centroid = center; // @public (read-only)
+    this.angle = angle; // @public (read-only)
+    this.halfHeight = halfHeight; // @private
+    this.thickness = thickness; // @private
+
+    // @public (read-only) - the shape of the plate, for display and hit testing
+    this.shape = Shape.polygon( [
+      this.toWorld( new Vector2( -thickness / 2, -halfHeight ) ),
+      this.toWorld( new Vector2( thickness / 2, -halfHeight ) ),
+      this.toWorld( new Vector2( thickness / 2, halfHeight ) ),
+      this.toWorld( new Vector2( -thickness / 2, halfHeight ) )
+    ] );
+
+    // @public (read-only) - lines across the plate, for display
+    this.linesShape = new Shape();
+    for ( let i = 0; i < NUMBER_OF_LINES; i++ ) {
+      const y = -halfHeight + 2 * halfHeight * ( i + 0.5 ) / NUMBER_OF_LINES;
+      this.linesShape.moveToPoint( this.toWorld( new Vector2( -thickness / 2, y ) ) )
+        .lineToPoint( this.toWorld( new Vector2( thickness / 2, y ) ) );
+    }
+  }
+
+  /**
+   * Converts a point from the local frame of the grating to model coordinates
+   * @private
+   * @param {Vector2} point
+   * @returns {Vector2}
+   */
+  toWorld( point ) {
+    return point.rotated( this.angle ).add( this.center );
+  }
+
+  /**
+   * Create a new Grating translated by the specified amount
+   * @public
+   * @param {number} deltaX - amount of space to be translate in x direction
+   * @param {number} deltaY - amount of space to be translate in y direction
+   * @returns {Grating}
+   */
+  getTranslatedInstance( deltaX, deltaY ) {
+    return new Grating( this.center.plusXY( deltaX, deltaY ), this.angle, this.halfHeight, this.thickness );
+  }
+
+  /**
+   * Gets a rotated copy of this Grating
+   * @public
+   * @param {number} angle - angle to be rotated
+   * @param {Vector2} rotationPoint - point around which the grating is rotated
+   * @returns {Grating}
+   */
+  getRotatedInstance( angle, rotationPoint ) {
+    return new Grating( this.center.minus( rotationPoint ).rotate( angle ).add( rotationPoint ), this.angle + angle,
+      this.halfHeight, this.thickness );
+  }
+
+  /**
+   * The grating rotates about its center
+   * @public
+   * @returns {Vector2}
+   */
+  getRotationCenter() {
+    return this.center;
+  }
+
+  /**
+   * The top end of the grating is used for the rotation drag handle
+   * @public
+   * @returns {Vector2}
+   */
+  getReferencePoint() {
+    return this.toWorld( new Vector2( 0, this.halfHeight ) );
+  }
+
+  /**
+   * Determines whether shape contains given point or not
+   * @public
+   * @param {Vector2} point
+   * @returns {boolean}
+   */
+  containsPoint( point ) {
+    return this.shape.containsPoint( point );
+  }
+
+  /**
+   * Finds where the specified ray crosses the middle of the grating, from either side
+   * @public
+   * @param {ColoredRay} ray - model of the ray
+   * @returns {Intersection[]}
+   */
+  getIntersections( ray ) {
+
+    // Transform the ray to the local frame
+    const o = ray.tail.minus( this.center ).rotate( -this.angle );
+    const d = ray.directionUnitVector.rotated( -this.angle );
+    if ( d.x === 0 ) {
+      return [];
+    }
+    const t = -o.x / d.x;
+    if ( t <= 0 || Math.abs( o.y + t * d.y ) > this.halfHeight ) {
+      return [];
+    }
+
+    // The normal points toward the incident ray
+    const unitNormal = new Vector2( d.x > 0 ? -1 : 1, 0 ).rotate( this.angle );
+    return [ new Intersection( unitNormal, ray.tail.plus( ray.directionUnitVector.times( t ) ), 'grating' ) ];
+  }
+
+  /**
+   * Converts the shape to a plain object, for example to send it to a Web Worker
+   * @public
+   * @returns {Object}
+   */
+  toStateObject() {
+    return {
+      type: 'Grating',
+      center: this.center.toStateObject(),
+      angle: this.angle,
+      halfHeight: this.halfHeight,
+      thickness: this.thickness
+    };
+  }
+
+  /**
+   * Creates a Grating from a plain object made by toStateObject
+   * @public
+   * @param {Object} stateObject
+   * @returns {Grating}
+   */
+  static fromStateObject( stateObject ) {
+    return new Grating( Vector2.fromStateObject( stateObject.center ), stateObject.angle, stateObject.halfHeight,
+      stateObject.thickness );
+  }
+}
+
+bendingLight.register( 'Grating', Grating );
+
+export default Grating;
@@ -15,14 +15,27 @@ class Intersection {
   /**
    * @param {Vector2} unitNormal - unit normal at the intersection of light ray
    * @param {Vector2} point - point where the light ray intersects
+   * @param {string} [surface] - 'interface' between two media, the front ('mirror') or back ('mirrorBack') of a
+   *                           - mirror, or a 'grating'
+   * @param {number|null} [faceIndex] - which face of a prism was struck, see getFaces of the shapes
    */
-  constructor( unitNormal, point ) {
+  constructor( unitNormal, point, surface = 'interface', faceIndex = null ) {
 
     // Unit normal at the meeting between two interfaces where the light ray has struck
     this.unitNormal = unitNormal; // @public (read-only)
 
     // The point where the light ray struck
     this.point = point; // @public (read-only)
+
+    // The kind of surface that was struck, which determines what happens to the light
+    this.surface = surface; // @public (read-only)
+
+    // The face of the prism that was struck, so that its coating can be found
+    this.faceIndex = faceIndex; // @public (read-only)
+
+    // {{indexOfRefraction: number, thickness: number}[]|null} - the films of the coating on the face in the order that
+    // the light meets them, or null if the face is not coated, see ScenePrism
+    this.coatingLayers = null; // @public
   }
 }
 
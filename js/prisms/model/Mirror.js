@@ -0,0 +1,255 @@
+// Copyright 2021, University of Colorado Boulder
+
+/**
+ * Shape of a mirror for use in the prisms screen, with the same interface as the prism shapes (Polygon, Circle and
+ * SemiCircle).  The mirror reflects light that hits its front surface, and absorbs light that hits it from behind.
+ *
+ * The surface is described in a local frame where the mirror is vertical, its vertex is at the origin and its front
+ * faces -x.  The surface is x = f(y) for -halfHeight <= y <= halfHeight, where f depends on the profile:
+ * flat: f(y) = 0
+ * concave: a circle of radius R curving toward the front, f(y) = -( R - sqrt( R^2 - y^2 ) )
+ * convex: a circle of radius R curving away from the front, f(y) = R - sqrt( R^2 - y^2 )
+ * parabolic: a concave parabola with the same radius of curvature at the vertex, f(y) = -y^2 / ( 2R )
+ *
+ * @author Sam Reid (PhET Interactive Simulations)
+ */
+
+import Vector2 from '../../../../dot/js/Vector2.js';
+import Shape from '../../../../kite/js/Shape.js';
+import bendingLight from '../../bendingLight.js';
+import Intersection from './Intersection.js';
+
+// constants
+const NUMBER_OF_SAMPLES = 24; // number of points along the surface that are used to create the shape
+
+class Mirror {
+
+  /**
+   * @param {string} profile - 'flat' | 'concave' | 'convex' | 'parabolic'
+   * @param {Vector2} center - position of the vertex of the mirror
+   * @param {number} angle - rotation of the mirror, 0 means that the front of the mirror faces -x
+   * @param {number} halfHeight - half of the distance between the ends of the mirror, measured along the local y axis
+   * @param {number} radiusOfCurvature - radius of curvature at the vertex, ignored for flat mirrors
+   * @param {number} thickness - thickness of the backing of the mirror, which is shown behind the reflective surface
+   */
+  constructor( profile, center, angle, halfHeight, radiusOfCurvature, thickness ) {
+    assert && assert( profile === 'flat' || radiusOfCurvature > halfHeight, 'mirror is too curved' );
+
+    this.profile = profile; // @public (read-only)
+    this.center = center; // @public (read-only)
+    this.centroid = center; // @public (read-only)
+    this.angle = angle; // @public (read-only)
+    this.halfHeight = halfHeight; // @private
+    this.radiusOfCurvature = radiusOfCurvature; // @private
+    this.thickness = thickness; // @private
+
+    // points along the front surface and the back of the backing
+    const frontPoints = [];
+    const backPoints = [];
+    for ( let i = 0; i <= NUMBER_OF_SAMPLES; i++ ) {
+      const y = -halfHeight + 2 * halfHeight * i / NUMBER_OF_SAMPLES;
+      const x = this.getSurfaceX( y );
+      frontPoints.push( this.toWorld( new Vector2( x, y ) ) );
+      backPoints.push( this.toWorld( new Vector2( x + thickness, y ) ) );
+    }
+
+    // @public (read-only) - the shape of the front surface and the backing, for display and hit testing
+    this.shape = Shape.polygon( frontPoints.concat( backPoints.reverse() ) );
+
+    // @public (read-only) - just the reflective front surface, for display
+    this.frontShape = new Shape().moveToPoint( frontPoints[ 0 ] );
+    frontPoints.slice( 1 ).forEach( point => this.frontShape.lineToPoint( point ) );
+  }
+
+  /**
+   * Gets the x coordinate of the surface in the local frame
+   * @private
+   * @param {number} y - in the local frame
+   * @returns {number}
+   */
+  getSurfaceX( y ) {
+    const R = this.radiusOfCurvature;
+    return this.profile === 'concave' ? -( R - Math.sqrt( R * R - y * y ) ) :
+           this.profile === 'convex' ? R - Math.sqrt( R * R - y * y ) :
+           this.profile === 'parabolic' ? -y * y / ( 2 * R ) :
+           0;
+  }
+
+  /**
+   * Gets the slope dx/dy of the surface in the local frame
+   * @private
+   * @param {number} y - in the local frame
+   * @returns {number}
+   */
+  getSurfaceSlope( y ) {
+    const R = this.radiusOfCurvature;
+    return this.profile === 'concave' ? -y / Math.sqrt( R * R - y * y ) :
+           this.profile === 'convex' ? y / Math.sqrt( R * R - y * y ) :
+           this.profile === 'parabolic' ? -y / R :
+           0;
+  }
+
+  /**
+   * Converts a point from the local frame of the mirror to model coordinates
+   * @private
+   * @param {Vector2} point
+   * @returns {Vector2}
+   */
+  toWorld( point ) {
+    return point.rotated( this.angle ).add( this.center );
+  }
+
+  /**
+   * Create a new Mirror translated by the specified amount
+   * @public
+   * @param {number} deltaX - amount of space to be translate in x direction
+   * @param {number} deltaY - amount of space to be translate in y direction
+   * @returns {Mirror}
+   */
+  getTranslatedInstance( deltaX, deltaY ) {
+    return new Mirror( this.profile, this.center.plusXY( deltaX, deltaY ), this.angle, this.halfHeight,
+      this.radiusOfCurvature, this.thickness );
+  }
+
+  /**
+   * Gets a rotated copy of this Mirror
+   * @public
+   * @param {number} angle - angle to be rotated
+   * @param {Vector2} rotationPoint - point around which the mirror is rotated
+   * @returns {Mirror}
+   */
+  getRotatedInstance( angle, rotationPoint ) {
+    return new Mirror( this.profile, this.center.minus( rotationPoint ).rotate( angle ).add( rotationPoint ),
+      this.angle + angle, this.halfHeight, this.radiusOfCurvature, this.thickness );
+  }
+
+  /**
+   * The mirror rotates about its vertex
+   * @public
+   * @returns {Vector2}
+   */
+  getRotationCenter() {
+    return this.center;
+  }
+
+  /**
+   * The top end of the mirror is used for the rotation drag handle
+   * @public
+   * @returns {Vector2}
+   */
+  getReferencePoint() {
+    return this.toWorld( new Vector2( this.getSurfaceX( this.halfHeight ), this.halfHeight ) );
+  }
+
+  /**
+   * Determines whether shape contains given point or not
+   * @public
+   * @param {Vector2} point
+   * @returns {boolean}
+   */
+  containsPoint( point ) {
+    return this.shape.containsPoint( point );
+  }
+
+  /**
+   * Finds the intersection between the surface of the mirror and the specified ray.  The intersection is a 'mirror'
+   * intersection if the ray hits the front of the mirror, or a 'mirrorBack' intersection if it hits from behind.
+   * @public
+   * @param {ColoredRay} ray - model of the ray
+   * @returns {Intersection[]}
+   */
+  getIntersections( ray ) {
+
+    // Transform the ray to the local frame
+    const o = ray.tail.minus( this.center ).rotate( -this.angle );
+    const d = ray.directionUnitVector.rotated( -this.angle );
+    const R = this.radiusOfCurvature;
+
+    // distances along the ray where it meets the (extended) surface
+    let candidates;
+    if ( this.profile === 'flat' ) {
+      candidates = d.x === 0 ? [] : [ -o.x / d.x ];
+    }
+    else if ( this.profile === 'parabolic' ) {
+
+      // o.x + t d.x = -( o.y + t d.y )^2 / ( 2R )
+      candidates = solveQuadratic( d.y * d.y, 2 * ( o.y * d.y + R * d.x ), o.y * o.y + 2 * R * o.x );
+    }
+    else {
+
+      // |o + t d - c|^2 = R^2 for the circle centered at c, keeping only the branch that contains the vertex
+      const c = new Vector2( this.profile === 'concave' ? -R : R, 0 );
+      const oc = o.minus( c );
+      candidates = solveQuadratic( 1, 2 * oc.dot( d ), oc.magnitudeSquared - R * R ).filter( t => {
+        const x = o.x + t * d.x;
+        return this.profile === 'concave' ? x > -R : x < R;
+      } );
+    }
+    const hits = candidates.filter( t => t > 0 && Math.abs( o.y + t * d.y ) <= this.halfHeight );
+    if ( hits.length === 0 ) {
+      return [];
+    }
+    const t = _.min( hits );
+    const y = o.y + t * d.y;
+
+    // The front of the mirror faces -x in the local frame
+    const frontNormal = new Vector2( -1, this.getSurfaceSlope( y ) ).normalize().rotate( this.angle );
+    const hitsFront = frontNormal.dot( ray.directionUnitVector ) < 0;
+    return [ new Intersection(
+      hitsFront ? frontNormal : frontNormal.negated(),
+      ray.tail.plus( ray.directionUnitVector.times( t ) ),
+      hitsFront ? 'mirror' : 'mirrorBack'
+    ) ];
+  }
+
+  /**
+   * Converts the shape to a plain object, for example to send it to a Web Worker
+   * @public
+   * @returns {Object}
+   */
+  toStateObject() {
+    return {
+      type: 'Mirror',
+      profile: this.profile,
+      center: this.center.toStateObject(),
+      angle: this.angle,
+      halfHeight: this.halfHeight,
+      radiusOfCurvature: this.radiusOfCurvature,
+      thickness: this.thickness
+    };
+  }
+
+  /**
+   * Creates a Mirror from a plain object made by toStateObject
+   * @public
+   * @param {Object} stateObject
+   * @returns {Mirror}
+   */
+  static fromStateObject( stateObject ) {
+    return new Mirror( stateObject.profile, Vector2.fromStateObject( stateObject.center ), stateObject.angle,
+      stateObject.halfHeight, stateObject.radiusOfCurvature, stateObject.thickness );
+  }
+}
+
+/**
+ * Finds the real roots of a t^2 + b t + c = 0
+ * @param {number} a
+ * @param {number} b
+ * @param {number} c
+ * @returns {number[]}
+ */
+const solveQuadratic = ( a, b, c ) => {
+  if ( Math.abs( a ) < 1E-12 * Math.abs( b ) ) {
+    return b === 0 ? [] : [ -c / b ];
+  }
+  const discriminant = b * b - 4 * a * c;
+  if ( discriminant < 0 ) {
+    return [];
+  }
+  const sqrtDiscriminant = Math.sqrt( discriminant );
+  return [ ( -b - sqrtDiscriminant ) / ( 2 * a ), ( -b + sqrtDiscriminant ) / ( 2 * a ) ];
+};
+
+bendingLight.register( 'Mirror', Mirror );
+
+export default Mirror;
@@ -183,12 +183,30 @@ class Polygon {
    * @returns {Array}
    */
   getIntersections( ray ) {
-    let arc = null;
-    if ( this.radius !== 0 ) {
-      const startAngle = Math.atan2( this.center.y - this.points[ 3 ].y, this.center.x - this.points[ 3 ].x );
-      arc = new Arc( this.center, this.radius, startAngle, startAngle + Math.PI, true );
+    return PrismIntersection.getIntersections( this.getEdges(), this.getArc(), this.center, ray );
+  }
+
+  /**
+   * Lists the faces that can be coated, in the order of their indices: the edges, then the arc of a diverging lens
+   * @public
+   * @returns {Array.<Line|Arc>}
+   */
+  getFaces() {
+    const arc = this.getArc();
+    return arc ? this.getEdges().concat( [ arc ] ) : this.getEdges();
+  }
+
+  /**
+   * Gets the curved side of a diverging lens
+   * @private
+   * @returns {Arc|null} - null for a polygon without a curved side
+   */
+  getArc() {
+    if ( this.radius === 0 ) {
+      return null;
     }
-    return PrismIntersection.getIntersections( this.getEdges(), arc, this.center, ray );
+    const startAngle = Math.atan2( this.center.y - this.points[ 3 ].y, this.center.x - this.points[ 3 ].x );
+    return new Arc( this.center, this.radius, startAngle, startAngle + Math.PI, true );
   }
 
   /**
@@ -206,8 +224,112 @@ class Polygon {
     }
     return lineSegments;
   }
+
+  /**
+   * Checks whether corner points make a valid (simple) polygon for a prism
+   * @public
+   * @param {Vector2[]} points - corner points in order
+   * @param {number} minimumArea - smallest allowed area
+   * @returns {string|null} - null if the polygon is valid, otherwise the problem: 'tooFewCorners' |
+   *                        - 'selfIntersecting' | 'tooSmall'
+   */
+  static getValidationError( points, minimumArea ) {
+    if ( points.length < 3 ) {
+      return 'tooFewCorners';
+    }
+
+    // Each edge must not touch any other edge, except at the corners shared by consecutive edges
+    const n = points.length;
+    for ( let i = 0; i < n; i++ ) {
+      const a = points[ i ];
+      const b = points[ ( i + 1 ) % n ];
+      if ( a.equals( b ) ) {
+        return 'selfIntersecting';
+      }
+      for ( let j = i + 1; j < n; j++ ) {
+        const c = points[ j ];
+        const d = points[ ( j + 1 ) % n ];
+        const adjacent = j === i + 1 || ( i === 0 && j === n - 1 );
+        if ( adjacent ) {
+
+          // consecutive edges only overlap if they double back along the same line
+          const shared = j === i + 1 ? b : a;
+          const other1 = j === i + 1 ? a : b;
+          const other2 = j === i + 1 ? d : c;
+          const u = other1.minus( shared );
+          const v = other2.minus( shared );
+          if ( u.crossScalar( v ) === 0 && u.dot( v ) > 0 ) {
+            return 'selfIntersecting';
+          }
+        }
+        else if ( segmentsTouch( a, b, c, d ) ) {
+          return 'selfIntersecting';
+        }
+      }
+    }
+
+    // shoelace formula
+    let area = 0;
+    for ( let i = 0; i < n; i++ ) {
+      area += points[ i ].crossScalar( points[ ( i + 1 ) % n ] ) / 2;
+    }
+    return Math.abs( area ) < minimumArea ? 'tooSmall' : null;
+  }
+
+  /**
+   * Converts the shape to a plain object, for example to send it to a Web Worker
+   * @public
+   * @returns {Object}
+   */
+  toStateObject() {
+    return {
+      type: 'Polygon',
+      referencePointIndex: this.referencePointIndex,
+      points: this.points.map( point => point.toStateObject() ),
+      radius: this.radius
+    };
+  }
+
+  /**
+   * Creates a Polygon from a plain object made by toStateObject
+   * @public
+   * @param {Object} stateObject
+   * @returns {Polygon}
+   */
+  static fromStateObject( stateObject ) {
+    return new Polygon( stateObject.referencePointIndex, stateObject.points.map( Vector2.fromStateObject ),
+      stateObject.radius );
+  }
 }
 
+/**
+ * Determines whether the segments ab and cd intersect or touch
+ * @param {Vector2} a
+ * @param {Vector2} b
+ * @param {Vector2} c
+ * @param {Vector2} d
+ * @returns {boolean}
+ */
+const segmentsTouch = ( a, b, c, d ) => {
+
+  // sign of the turn from p to q to r
+  const orientation = ( p, q, r ) => Math.sign( q.minus( p ).crossScalar( r.minus( p ) ) );
+
+  // whether q is within the bounding box of p and r, for collinear points
+  const onSegment = ( p, q, r ) => q.x <= Math.max( p.x, r.x ) && q.x >= Math.min( p.x, r.x ) &&
+                                   q.y <= Math.max( p.y, r.y ) && q.y >= Math.min( p.y, r.y );
+
+  const o1 = orientation( a, b, c );
+  const o2 = orientation( a, b, d );
+  const o3 = orientation( c, d, a );
+  const o4 = orientation( c, d, b );
+  return ( o1 !== o2 && o3 !== o4 ) ||
+         ( o1 === 0 && onSegment( a, c, b ) ) ||
+         ( o2 === 0 && onSegment( a, d, b ) ) ||
+         ( o3 === 0 && onSegment( c, a, d ) ) ||
+         ( o4 === 0 && onSegment( c, b, d ) );
+};
+
 bendingLight.register( 'Polygon', Polygon );
 
 export default Polygon;
\ No newline at end of file
@@ -11,23 +11,50 @@ import Property from '../../../../axon/js/Property.js';
 import Vector2 from '../../../../dot/js/Vector2.js';
 import Vector2Property from '../../../../dot/js/Vector2Property.js';
 import bendingLight from '../../bendingLight.js';
+import Grating from './Grating.js';
+import Mirror from './Mirror.js';
 
 class Prism {
 
   /**
-   * @param {Polygon|Circle|SemiCircle} shape
+   * @param {Polygon|Circle|SemiCircle|CurvedPolygon|Mirror|Grating} shape
    * @param {string} typeName for keeping track of how many of each kind there are, to remove from toolbox
+   * @param {Medium|null} medium - material of the prism, null for mirrors and gratings
    */
-  constructor( shape, typeName ) {
+  constructor( shape, typeName, medium ) {
 
     // @public
     this.shapeProperty = new Property( shape );
 
+    // @public - material of the prism, which can be changed while the prism is in the play area
+    this.mediumProperty = new Property( medium );
+
+    // @public {Property.<Array.<Coating|null>>} - the coating of each face, by the index of the face (see getFaces).
+    // Faces past the end of the array are not coated.
+    this.coatingsProperty = new Property( [] );
+
     // @public - overall translation
     this.positionProperty = new Vector2Property( new Vector2( 0, 0 ) );
 
     // @public (read-only)
     this.typeName = typeName;
+
+    // @private {Polygon|Circle|SemiCircle|CurvedPolygon|Mirror|Grating|null} - the shape moved to the position, which is used
+    // many times for each ray so it is only recreated after the prism moves or rotates
+    this.translatedShape = null;
+    const clearTranslatedShape = () => {
+      this.translatedShape = null;
+    };
+    this.shapeProperty.lazyLink( clearTranslatedShape );
+    this.positionProperty.lazyLink( clearTranslatedShape );
+
+    // Drop the coatings of faces that the new shape does not have
+    this.shapeProperty.lazyLink( () => {
+      const numberOfFaces = this.getFaces().length;
+      if ( this.coatingsProperty.value.length > numberOfFaces ) {
+        this.coatingsProperty.value = this.coatingsProperty.value.slice( 0, numberOfFaces );
+      }
+    } );
   }
 
   /**
@@ -40,16 +67,49 @@ class Prism {
     this.positionProperty.value = this.positionProperty.value.plusXY( deltaX, deltaY );
   }
 
-  // @private
+  /**
+   * Gets the shape of the prism at its position
+   * @public
+   * @returns {Polygon|Circle|SemiCircle|CurvedPolygon|Mirror|Grating}
+   */
   getTranslatedShape() {
-    return this.shapeProperty.value.getTranslatedInstance( this.positionProperty.value.x, this.positionProperty.value.y );
+    if ( !this.translatedShape ) {
+      this.translatedShape = this.shapeProperty.value.getTranslatedInstance( this.positionProperty.value.x,
+        this.positionProperty.value.y );
+    }
+    return this.translatedShape;
+  }
+
+  /**
+   * Lists the faces of the prism at its position, which can be coated.  Mirrors and gratings have no faces that can be
+   * coated.
+   * @public
+   * @returns {Array.<Line|Arc>}
+   */
+  getFaces() {
+    return this.hasMedium() ? this.getTranslatedShape().getFaces() : [];
+  }
+
+  /**
+   * Coats a face of the prism, or removes its coating.  Coatings are only kept for the faces that the prism has.
+   * @public
+   * @param {number} faceIndex - see getFaces
+   * @param {Coating|null} coating
+   */
+  setCoating( faceIndex, coating ) {
+    const numberOfFaces = this.getFaces().length;
+    assert && assert( faceIndex >= 0 && faceIndex < numberOfFaces, `the prism has no face ${faceIndex}` );
+    const coatings = this.coatingsProperty.value.slice();
+    coatings[ faceIndex ] = coating;
+    this.coatingsProperty.value = _.range( Math.min( coatings.length, numberOfFaces ) )
+      .map( i => coatings[ i ] || null );
   }
 
   /**
    * Compute the intersections of the specified ray with this polygon's edges
    * @public
    * @param {ColoredRay} incidentRay - model of the ray
-   * @returns {Array}
+   * @returns {Intersection[]}
    */
   getIntersections( incidentRay ) {
     return this.getTranslatedShape().getIntersections( incidentRay );
@@ -65,13 +125,43 @@ class Prism {
     return this.getTranslatedShape().containsPoint( point );
   }
 
+  /**
+   * Mirrors reflect light instead of refracting it, and do not contain a medium
+   * @public
+   * @returns {boolean}
+   */
+  isMirror() {
+    return this.shapeProperty.value instanceof Mirror;
+  }
+
+  /**
+   * Gratings split light into diffraction orders instead of refracting it, and do not contain a medium
+   * @public
+   * @returns {boolean}
+   */
+  isGrating() {
+    return this.shapeProperty.value instanceof Grating;
+  }
+
+  /**
+   * Whether the prism is made of a medium that light can travel through, which is not the case for mirrors and
+   * gratings
+   * @public
+   * @returns {boolean}
+   */
+  hasMedium() {
+    return !this.isMirror() && !this.isGrating();
+  }
+
   /**
    * Creates a copy of the prism
    * @public
    * @returns {Prism}
    */
   copy() {
-    return new Prism( this.shapeProperty.get(), this.typeName );
+    const prism = new Prism( this.shapeProperty.get(), this.typeName, this.mediumProperty.get() );
+    prism.coatingsProperty.value = this.coatingsProperty.value;
+    return prism;
   }
 
   /**
@@ -0,0 +1,163 @@
+// Copyright 2021, University of Colorado Boulder
+
+/**
+ * Bounding volume hierarchy over the prisms in the play area, used as a broad phase so that only the prisms whose
+ * bounding boxes are hit by a ray (or contain a point) are tested against their exact shapes.  It is a binary tree of
+ * bounding boxes, built top-down by splitting the prisms at the median of their centers along the longer axis.
+ *
+ * The hierarchy does not follow the prisms itself; call build() again after a prism is added, removed, moved or
+ * rotated.
+ *
+ * @author Sam Reid (PhET Interactive Simulations)
+ */
+
+import Bounds2 from '../../../../dot/js/Bounds2.js';
+import bendingLight from '../../bendingLight.js';
+
+// constants
+const MAX_LEAF_SIZE = 2;
+
+class PrismBoundingVolumeHierarchy {
+
+  constructor() {
+
+    // @private {Object|null} - root node of the tree.  Each node has bounds, and either children (two nodes) or
+    // entries (for leaves), where an entry is { prism: ScenePrism, bounds: Bounds2, index: number }
+    this.root = null;
+  }
+
+  /**
+   * Builds the tree for the current shapes and positions of the prisms
+   * @public
+   * @param {ScenePrism[]} prisms - the order of the prisms is kept in the query results
+   */
+  build( prisms ) {
+    const entries = prisms.map( ( prism, index ) => ( { prism: prism, bounds: prism.getBounds(), index: index } ) );
+    this.root = entries.length === 0 ? null : createNode( entries );
+  }
+
+  /**
+   * Gets the prisms whose bounding boxes are hit by a ray
+   * @public
+   * @param {ColoredRay} ray
+   * @returns {ScenePrism[]} - in the order they were given to build()
+   */
+  getPrismsAlongRay( ray ) {
+    const tail = ray.tail;
+    const direction = ray.directionUnitVector;
+    return this.query( bounds => rayHitsBounds( tail, direction, Number.POSITIVE_INFINITY, bounds ) );
+  }
+
+  /**
+   * Gets the prisms whose bounding boxes contain a point
+   * @public
+   * @param {Vector2} point
+   * @returns {ScenePrism[]} - in the order they were given to build()
+   */
+  getPrismsAtPoint( point ) {
+    return this.query( bounds => bounds.containsPoint( point ) );
+  }
+
+  /**
+   * Collects the prisms in the leaves whose bounds (and the bounds of all of their ancestors) pass a test
+   * @private
+   * @param {function(Bounds2):boolean} test
+   * @returns {ScenePrism[]}
+   */
+  query( test ) {
+    const entries = [];
+    const stack = this.root ? [ this.root ] : [];
+    while ( stack.length > 0 ) {
+      const node = stack.pop();
+      if ( test( node.bounds ) ) {
+        if ( node.entries ) {
+          node.entries.forEach( entry => {
+            if ( test( entry.bounds ) ) {
+              entries.push( entry );
+            }
+          } );
+        }
+        else {
+          stack.push( node.children[ 0 ], node.children[ 1 ] );
+        }
+      }
+    }
+    entries.sort( ( a, b ) => a.index - b.index );
+    return entries.map( entry => entry.prism );
+  }
+
+  /**
+   * Determines whether a line segment touches a bounding box
+   * @public
+   * @param {Vector2} start
+   * @param {Vector2} end
+   * @param {Bounds2} bounds
+   * @returns {boolean}
+   */
+  static segmentHitsBounds( start, end, bounds ) {
+    const length = start.distance( end );
+    return length === 0 ? bounds.containsPoint( start ) :
+           rayHitsBounds( start, end.minus( start ).dividedScalar( length ), length, bounds );
+  }
+}
+
+/**
+ * Creates a node of the tree for the specified entries
+ * @param {Object[]} entries - see PrismBoundingVolumeHierarchy.root
+ * @returns {Object}
+ */
+const createNode = entries => {
+  const bounds = entries.reduce( ( union, entry ) => union.includeBounds( entry.bounds ), Bounds2.NOTHING.copy() );
+  if ( entries.length <= MAX_LEAF_SIZE ) {
+    return { bounds: bounds, entries: entries, children: null };
+  }
+
+  // Split at the median along the longer axis
+  const key = bounds.width >= bounds.height ? 'centerX' : 'centerY';
+  const sorted = entries.slice().sort( ( a, b ) => a.bounds[ key ] - b.bounds[ key ] );
+  const half = Math.floor( sorted.length / 2 );
+  return {
+    bounds: bounds,
+    entries: null,
+    children: [ createNode( sorted.slice( 0, half ) ), createNode( sorted.slice( half ) ) ]
+  };
+};
+
+/**
+ * Determines whether a ray hits a bounding box within a distance of its tail, with the slab method
+ * @param {Vector2} tail
+ * @param {Vector2} direction - unit vector
+ * @param {number} maxDistance - the ray ends here, may be infinite
+ * @param {Bounds2} bounds
+ * @returns {boolean}
+ */
+const rayHitsBounds = ( tail, direction, maxDistance, bounds ) => {
+  let tMin = 0;
+  let tMax = maxDistance;
+  const slabs = [
+    [ tail.x, direction.x, bounds.minX, bounds.maxX ],
+    [ tail.y, direction.y, bounds.minY, bounds.maxY ]
+  ];
+  for ( let i = 0; i < slabs.length; i++ ) {
+    const [ origin, d, min, max ] = slabs[ i ];
+    if ( d === 0 ) {
+      if ( origin < min || origin > max ) {
+        return false;
+      }
+    }
+    else {
+      const t1 = ( min - origin ) / d;
+      const t2 = ( max - origin ) / d;
+      tMin = Math.max( tMin, Math.min( t1, t2 ) );
+      tMax = Math.min( tMax, Math.max( t1, t2 ) );
+      if ( tMin > tMax ) {
+        return false;
+      }
+    }
+  }
+  return true;
+};
+
+bendingLight.register( 'PrismBoundingVolumeHierarchy', PrismBoundingVolumeHierarchy );
+
+export default PrismBoundingVolumeHierarchy;
@@ -7,6 +7,7 @@
  * @author Chandrashekar Bemagoni (Actual Concepts)
  */
 
+import Arc from '../../../../kite/js/segments/Arc.js';
 import bendingLight from '../../bendingLight.js';
 import Intersection from './Intersection.js';
 
@@ -16,7 +17,8 @@ class PrismIntersection {
   }
 
   /**
-   * @param {array.<Line>} edges - edges of the prism, or an empty array for a circle
+   * @param {array.<Line>} edges - edges of the prism, or an empty array for a circle.  The index of each edge is the
+   *                              - index of its face, followed by the arc.
    * @param {Shape} arc - arc of the prism
    * @param {Vector2} center - center of the arc if prism contains arc otherwise null
    * @param {ColoredRay} coloredRay - light ray intersecting the prism
@@ -27,7 +29,7 @@ class PrismIntersection {
     let intersection;
     let unitNormal;
     if ( edges.length !== 0 ) {
-      edges.forEach( lineSegment => {
+      edges.forEach( ( lineSegment, faceIndex ) => {
 
         // Get the intersection if there is one
         intersection = lineSegment.intersection( coloredRay.ray );
@@ -42,7 +44,7 @@ class PrismIntersection {
             unitNormal.negate();
           }
           // Add to the array of intersections
-          intersections.push( new Intersection( unitNormal, intersection[ 0 ].point ) );
+          intersections.push( new Intersection( unitNormal, intersection[ 0 ].point, 'interface', faceIndex ) );
         }
       } );
     }
@@ -58,12 +60,39 @@ class PrismIntersection {
           unitNormal.negate();
         }
         // Add to the array of intersections
-        intersections.push( new Intersection( unitNormal, intersection[ 0 ].point ) );
+        intersections.push( new Intersection( unitNormal, intersection[ 0 ].point, 'interface', edges.length ) );
       }
     }
 
     return intersections;
   }
+
+  /**
+   * Finds all intersections between a light ray and a sequence of line and arc edges, such as those of a
+   * CurvedPolygon.  A ray can cross an arc twice, so every crossing is included.  The index of each segment is the
+   * index of its face.
+   * @param {Array.<Line|Arc>} segments - edges of the prism
+   * @param {ColoredRay} coloredRay - light ray intersecting the prism
+   * @returns {Intersection[]}
+   * @public
+   */
+  static getSegmentIntersections( segments, coloredRay ) {
+    const intersections = [];
+    segments.forEach( ( segment, faceIndex ) => {
+      segment.intersection( coloredRay.ray ).forEach( rayIntersection => {
+        const unitNormal = segment instanceof Arc ?
+                           rayIntersection.point.minus( segment.center ).normalize() :
+                           segment.end.minus( segment.start ).rotate( +Math.PI / 2 ).normalize();
+
+        // The normal points the opposite direction of the incoming ray
+        if ( unitNormal.dot( coloredRay.directionUnitVector ) > 0 ) {
+          unitNormal.negate();
+        }
+        intersections.push( new Intersection( unitNormal, rayIntersection.point, 'interface', faceIndex ) );
+      } );
+    } );
+    return intersections;
+  }
 }
 
 bendingLight.register( 'PrismIntersection', PrismIntersection );
@@ -0,0 +1,139 @@
+// Copyright 2021, University of Colorado Boulder
+
+/**
+ * Region model for the play area of the prisms screen, which determines the medium at each point and which prism
+ * surfaces are actual interfaces between different media.
+ *
+ * Where prisms overlap, the prism that was added last is on top and its material fills the overlap.  A surface inside
+ * another prism of the same material (as where two glass prisms overlap) is not an interface.  Surfaces that are
+ * closer than CONTACT_TOLERANCE along a ray (as where the faces of two prisms are butted together) are treated as a
+ * single interface between the medium before the first surface and the medium after the last one.  A coated surface is
+ * always an interface, since the coating reflects light even between prisms of the same material, and the films of
+ * coated surfaces in contact are stacked.
+ *
+ * The regions are made for one arrangement of the prisms, and are made again when the prisms change.
+ *
+ * @author Sam Reid (PhET Interactive Simulations)
+ */
+
+import bendingLight from '../../bendingLight.js';
+import PrismBoundingVolumeHierarchy from './PrismBoundingVolumeHierarchy.js';
+
+// constants
+
+// Surfaces closer than this (about two pixels at the default zoom) are considered to be in contact
+const CONTACT_TOLERANCE = 1E-7;
+
+// distance from a surface at which the medium is sampled on either side of it
+const SAMPLE_OFFSET = 1E-12;
+
+class PrismRegions {
+
+  /**
+   * @param {ScenePrism[]} prisms - prisms, mirrors and gratings in the play area, later prisms are on top, see
+   *                              - RayTracingCore
+   * @param {SceneMedium} environmentMedium - medium that is not in any prism
+   */
+  constructor( prisms, environmentMedium ) {
+
+    // @private
+    this.environmentMedium = environmentMedium;
+
+    // @private - broad phase for finding the prisms along a ray or at a point
+    this.boundingVolumeHierarchy = new PrismBoundingVolumeHierarchy();
+    this.boundingVolumeHierarchy.build( prisms );
+  }
+
+  /**
+   * Determine the medium at a point, which is the material of the topmost prism that contains it or else the
+   * environment.  Mirrors and gratings do not contain a medium.
+   * @public
+   * @param {Vector2} point
+   * @returns {SceneMedium}
+   */
+  getMediumAt( point ) {
+    const prisms = this.boundingVolumeHierarchy.getPrismsAtPoint( point );
+    for ( let i = prisms.length - 1; i >= 0; i-- ) {
+      const prism = prisms[ i ];
+      if ( prism.hasMedium() && prism.contains( point ) ) {
+        return prism.medium;
+      }
+    }
+    return this.environmentMedium;
+  }
+
+  /**
+   * Finds the next place along a ray where the medium changes, or where the ray hits a mirror or a grating.
+   * @public
+   * @param {ColoredRay} ray
+   * @returns {{intersection: Intersection, medium: SceneMedium|null, exitPoint: Vector2}|null} - null if there is no
+   * interface along the ray.  Otherwise the intersection is the first surface that is hit, medium is the medium on the
+   * other side (null for mirrors and gratings) and exitPoint is where the ray leaves the last of the surfaces in
+   * contact.
+   */
+  getNextInterface( ray ) {
+    const tail = ray.tail;
+    const direction = ray.directionUnitVector;
+    const wavelength = ray.getBaseWavelength();
+
+    const intersections = [];
+    this.boundingVolumeHierarchy.getPrismsAlongRay( ray ).forEach( prism => {
+      prism.getIntersections( ray ).forEach( intersection => intersections.push( {
+        intersection: intersection,
+        distance: intersection.point.distance( tail )
+      } ) );
+    } );
+    intersections.sort( ( a, b ) => a.distance - b.distance );
+
+    let i = 0;
+    while ( i < intersections.length ) {
+      const first = intersections[ i ].intersection;
+      if ( first.surface !== 'interface' ) {
+        return { intersection: first, medium: null, exitPoint: first.point };
+      }
+
+      // Group the surfaces that are in contact
+      let j = i;
+      while ( j + 1 < intersections.length &&
+              intersections[ j + 1 ].intersection.surface === 'interface' &&
+              intersections[ j + 1 ].distance - intersections[ j ].distance <= CONTACT_TOLERANCE ) {
+        j++;
+      }
+      const last = intersections[ j ].intersection;
+
+      // The films of coated faces in contact are stacked in the order that the light meets them
+      const coatingLayers = _.flatten( intersections.slice( i, j + 1 ).map( item =>
+        item.intersection.coatingLayers || [] ) );
+
+      const mediumBefore = this.getMediumAt( first.point.plus( direction.times( -SAMPLE_OFFSET ) ) );
+      const mediumAfter = this.getMediumAt( last.point.plus( direction.times( SAMPLE_OFFSET ) ) );
+      if ( coatingLayers.length > 0 || !isSameMaterial( mediumBefore, mediumAfter, first.point, wavelength ) ) {
+        first.coatingLayers = coatingLayers.length > 0 ? coatingLayers : null;
+        return { intersection: first, medium: mediumAfter, exitPoint: last.point };
+      }
+      i = j + 1;
+    }
+    return null;
+  }
+}
+
+/**
+ * Determines whether light passes between two media at a point without refracting, reflecting or changing how it is
+ * absorbed
+ * @param {SceneMedium} medium1
+ * @param {SceneMedium} medium2
+ * @param {Vector2} point
+ * @param {number} wavelength - in meters
+ * @returns {boolean}
+ */
+const isSameMaterial = ( medium1, medium2, point, wavelength ) => medium1 === medium2 || (
+  medium1.getIndexOfRefractionAt( point, wavelength ) === medium2.getIndexOfRefractionAt( point, wavelength ) &&
+  medium1.getAbsorptionCoefficient( wavelength ) === medium2.getAbsorptionCoefficient( wavelength )
+);
+
+// @public - surfaces closer than this along a ray are treated as a single interface
+PrismRegions.CONTACT_TOLERANCE = CONTACT_TOLERANCE;
+
+bendingLight.register( 'PrismRegions', PrismRegions );
+
+export default PrismRegions;
@@ -0,0 +1,88 @@
+// Copyright 2021, University of Colorado Boulder
+
+/**
+ * Measures how long it takes to update the rays while a prism is dragged on the Prisms screen, with the incremental
+ * updates of PrismsModel and with all of the rays propagated again.  White light is shown with reflections, through
+ * several prisms in a row, and each prism is dragged in turn.  Run with the ?benchmark query parameter, and the
+ * results are shown in a dialog, see PrismsBenchmarkDialog.
+ *
+ * @author Sam Reid (PhET Interactive Simulations)
+ */
+
+import Utils from '../../../../dot/js/Utils.js';
+import bendingLight from '../../bendingLight.js';
+import BendingLightConstants from '../../common/BendingLightConstants.js';
+import PrismsModel from './PrismsModel.js';
+
+// constants
+const NUMBER_OF_DRAG_STEPS = 100;
+
+// prototypes of the prisms in the row, see PrismsModel.getPrismPrototypes
+const PRISM_TYPES = [ 'triangle', 'circle', 'biconvex-lens', 'square', 'trapezoid' ];
+
+class PrismsBenchmark {
+  constructor() {
+    assert && assert( false, 'should not be instantiated' );
+  }
+
+  /**
+   * Runs the benchmark
+   * @public
+   * @returns {string} - the results, one line for each prism
+   */
+  static run() {
+    // The rays are traced on the main thread, so that each update can be timed
+    const prismsModel = new PrismsModel( { useWorker: false } );
+    prismsModel.laser.onProperty.value = true;
+    prismsModel.laser.colorModeProperty.value = 'white';
+    prismsModel.showReflectionsProperty.value = true;
+
+    // Put the prisms in a row along the beam
+    const a = BendingLightConstants.WAVELENGTH_RED * 10;
+    const tail = prismsModel.laser.emissionPointProperty.value;
+    const direction = prismsModel.laser.getDirectionUnitVector();
+    const perpendicular = direction.rotated( Math.PI / 2 );
+    const prototypes = prismsModel.getPrismPrototypes();
+    const prisms = PRISM_TYPES.map( ( typeName, i ) => {
+      const prism = _.find( prototypes, prototype => prototype.typeName === typeName ).copy();
+      const position = tail.plus( direction.times( ( i + 1 ) * 1.6 * a ) )
+        .plus( perpendicular.times( ( i % 2 ) * 0.3 * a ) );
+      prism.translate( position.x, position.y );
+      prismsModel.addPrism( prism );
+      return prism;
+    } );
+
+    /**
+     * Drags a prism back and forth perpendicular to the beam and returns the average time per step
+     * @param {Prism} prism
+     * @returns {number} - in milliseconds
+     */
+    const timeDrag = prism => {
+      const delta = perpendicular.times( 0.02 * a );
+      const startTime = window.performance.now();
+      for ( let i = 0; i < NUMBER_OF_DRAG_STEPS; i++ ) {
+        const sign = i % 2 === 0 ? 1 : -1;
+        prism.translate( sign * delta.x, sign * delta.y );
+      }
+      return ( window.performance.now() - startTime ) / NUMBER_OF_DRAG_STEPS;
+    };
+
+    const lines = [
+      `Prisms benchmark: ${prisms.length} prisms, white light with reflections, ${prismsModel.rays.length} ray segments`
+    ];
+    prisms.forEach( ( prism, i ) => {
+      prismsModel.incrementalRayUpdates = false;
+      const fullTime = timeDrag( prism );
+      prismsModel.incrementalRayUpdates = true;
+      const incrementalTime = timeDrag( prism );
+      lines.push( `dragging prism ${i + 1} (${prism.typeName}): ${Utils.toFixed( fullTime, 2 )}ms per update for ` +
+                  `all rays, ${Utils.toFixed( incrementalTime, 2 )}ms incremental, ` +
+                  `speedup ${Utils.toFixed( fullTime / incrementalTime, 1 )}x` );
+    } );
+    return lines.join( '\n' );
+  }
+}
+
+bendingLight.register( 'PrismsBenchmark', PrismsBenchmark );
+
+export default PrismsBenchmark;
@@ -8,32 +8,79 @@
  */
 
 import createObservableArray from '../../../../axon/js/createObservableArray.js';
+import DerivedProperty from '../../../../axon/js/DerivedProperty.js';
 import Property from '../../../../axon/js/Property.js';
-import Ray2 from '../../../../dot/js/Ray2.js';
-import Utils from '../../../../dot/js/Utils.js';
+import Range from '../../../../dot/js/Range.js';
 import Vector2 from '../../../../dot/js/Vector2.js';
 import Shape from '../../../../kite/js/Shape.js';
-import VisibleColor from '../../../../scenery-phet/js/VisibleColor.js';
+import merge from '../../../../phet-core/js/merge.js';
 import Color from '../../../../scenery/js/util/Color.js';
 import bendingLight from '../../bendingLight.js';
 import BendingLightConstants from '../../common/BendingLightConstants.js';
+import BendingLightQueryParameters from '../../common/BendingLightQueryParameters.js';
 import BendingLightModel from '../../common/model/BendingLightModel.js';
+import GradedIndexMedium from '../../common/model/GradedIndexMedium.js';
+import IndexProfile from '../../common/model/IndexProfile.js';
+import Laser from '../../common/model/Laser.js';
 import LightRay from '../../common/model/LightRay.js';
 import Medium from '../../common/model/Medium.js';
 import MediumColorFactory from '../../common/model/MediumColorFactory.js';
 import Substance from '../../common/model/Substance.js';
+import LaserColor from '../../common/view/LaserColor.js';
 import Circle from './Circle.js';
-import ColoredRay from './ColoredRay.js';
+import Coating from './Coating.js';
+import CurvedPolygon from './CurvedPolygon.js';
+import Grating from './Grating.js';
+import Intersection from './Intersection.js';
+import Mirror from './Mirror.js';
 import Polygon from './Polygon.js';
 import Prism from './Prism.js';
+import RayTracingCore from './RayTracingCore.js';
+import RayTruncation from './RayTruncation.js';
+import RayTunneling from './RayTunneling.js';
+import SceneMedium from './SceneMedium.js';
+import ScenePrism from './ScenePrism.js';
 import SemiCircle from './SemiCircle.js';
 
 // constants
 const WAVELENGTH_RED = BendingLightConstants.WAVELENGTH_RED;
 const CHARACTERISTIC_LENGTH = WAVELENGTH_RED;
 
+// smallest area of a prism made by the user, so that it can still be seen and grabbed
+const MIN_CUSTOM_PRISM_AREA = Math.pow( 2 * CHARACTERISTIC_LENGTH, 2 );
+
+// default and range of the change in the index of refraction across the graded environment profiles
+const GRADED_DELTA_N = 0.3;
+const GRADED_DELTA_N_RANGE = new Range( 0.05, 0.5 );
+
+// largest bounce limit and range of power cutoffs that can be chosen in the toolbox
+const MAX_BOUNCES = 200;
+const MIN_POWER_RANGE = new Range( 1E-5, 1E-1 );
+
+// largest number of lasers, including the one that is always there, and the wavelengths of the lasers that are added
+const MAX_LASERS = 3;
+const ADDED_LASER_WAVELENGTHS = [ 450E-9, 532E-9 ];
+
+// distance between the lasers that are added and the laser that is always there, in meters
+const ADDED_LASER_SPACING = CHARACTERISTIC_LENGTH * 6;
+
+// When the rays are mixed additively, they are drawn with an eighth of their alpha so that the wavelengths of white
+// light can add up, see WhiteLightCanvasNode.  Rays of one color are drawn with 64 times their power, which makes them
+// 8 times brighter since the alpha follows the square root of the power.
+const SINGLE_COLOR_BRIGHTNESS = 64;
+
 class PrismsModel extends BendingLightModel {
-  constructor() {
+
+  /**
+   * @param {Object} [options]
+   */
+  constructor( options ) {
+
+    options = merge( {
+
+      // whether the rays are traced in a Web Worker where that is supported, instead of on the main thread
+      useWorker: true
+    }, options );
 
     super( Math.PI, false, 1E-16 );
 
@@ -42,43 +89,284 @@ class PrismsModel extends BendingLightModel {
     // @public (read-only) - List of intersections, which can be shown graphically
     this.intersections = createObservableArray();
 
-    this.mediumColorFactory = new MediumColorFactory();
+    // @public (read-only) {ObservableArrayDef.<RayTruncation>} - where rays were dropped because of the bounce limit or
+    // the power cutoff
+    this.truncations = createObservableArray();
 
+    // @public (read-only) {ObservableArrayDef.<RayTunneling>} - where light tunneled across a gap instead of being
+    // totally internally reflected
+    this.tunnelings = createObservableArray();
 
-    // Show multiple beams to help show how lenses work
-    this.manyRaysProperty = new Property( 1 );
+    this.mediumColorFactory = new MediumColorFactory();
 
     // If false, will hide non TIR reflections
     this.showReflectionsProperty = new Property( false );
     this.showNormalsProperty = new Property( false );
     this.showProtractorProperty = new Property( false );// @public
 
+    // @public - fraction of the light that is reflected by the mirrors, the rest is absorbed
+    this.mirrorReflectanceProperty = new Property( 1 );
+
+    // @public - number of lines per millimeter of the gratings
+    this.gratingLineDensityRange = new Range( 100, 1200 );
+    this.gratingLineDensityProperty = new Property( 600, {
+      isValidValue: density => this.gratingLineDensityRange.contains( density )
+    } );
+
+    // @public (read-only) - ranges of the limits of the ray tracing that can be chosen in the toolbox, extended to
+    // include the values from the query parameters
+    this.maxBouncesRange = new Range( 0, Math.max( MAX_BOUNCES, BendingLightQueryParameters.maxBounces ) );
+    this.minPowerRange = new Range( Math.min( MIN_POWER_RANGE.min, BendingLightQueryParameters.minPower ),
+      Math.max( MIN_POWER_RANGE.max, BendingLightQueryParameters.minPower ) );
+
+    // @public - number of reflections and refractions after which a ray is no longer propagated
+    this.maxBouncesProperty = new Property( BendingLightQueryParameters.maxBounces, {
+      isValidValue: value => Number.isInteger( value ) && this.maxBouncesRange.contains( value )
+    } );
+
+    // @public - rays weaker than this fraction of the laser power are no longer propagated
+    this.minPowerProperty = new Property( BendingLightQueryParameters.minPower, {
+      isValidValue: value => this.minPowerRange.contains( value )
+    } );
+
     // Environment the laser is in
     this.environmentMediumProperty = new Property( new Medium( Shape.rect( -1, 0, 2, 1 ), Substance.AIR, this.mediumColorFactory.getColor( Substance.AIR.indexOfRefractionForRedLight ) ), { reentrant: true } );
 
-    // Material that comprises the prisms
+    // @public - How the index of refraction of the environment varies with position.  In a 'mirage' the index
+    // increases upward (like air above a hot road), in 'looming' it decreases upward (like air above cold water) and
+    // 'grinLens' is a radial profile centered in the play area.
+    this.environmentIndexProfileProperty = new Property( 'uniform', {
+      validValues: [ 'uniform', 'mirage', 'looming', 'grinLens' ]
+    } );
+
+    // @public (read-only) - ranges of the parameters of the index profile
+    this.indexProfileDeltaNRange = GRADED_DELTA_N_RANGE;
+    this.indexProfileSizeRange = new Range( this.modelHeight / 8, this.modelHeight );
+
+    // @public - the change in the index of refraction across the profile, and the distance in meters from the center
+    // of the play area over which it changes: half of the height of the gradient for a mirage or looming, or the
+    // radius of the GRIN lens
+    this.indexProfileDeltaNProperty = new Property( GRADED_DELTA_N, {
+      isValidValue: deltaN => this.indexProfileDeltaNRange.contains( deltaN )
+    } );
+    this.indexProfileSizeProperty = new Property( this.modelHeight / 2, {
+      isValidValue: size => this.indexProfileSizeRange.contains( size )
+    } );
+
+    /**
+     * @param {string} indexProfile - see environmentIndexProfileProperty
+     * @param {number} deltaN
+     * @param {number} size
+     * @returns {IndexProfile}
+     */
+    const createIndexProfile = ( indexProfile, deltaN, size ) => {
+      const bottom = new Vector2( 0, -size );
+      const top = new Vector2( 0, size );
+      return indexProfile === 'mirage' ? IndexProfile.createLinear( bottom, top, deltaN ) :
+             indexProfile === 'looming' ? IndexProfile.createLinear( top, bottom, deltaN ) :
+             IndexProfile.createRadial( Vector2.ZERO, size, deltaN );
+    };
+
+    // @public (read-only) - the environment medium with its index profile, through which the rays are traced
+    this.gradedEnvironmentMediumProperty = new DerivedProperty( [
+      this.environmentMediumProperty,
+      this.environmentIndexProfileProperty,
+      this.indexProfileDeltaNProperty,
+      this.indexProfileSizeProperty
+    ], ( environmentMedium, indexProfile, deltaN, size ) => indexProfile === 'uniform' ? environmentMedium :
+      new GradedIndexMedium( environmentMedium.shape, environmentMedium.substance, environmentMedium.color,
+        createIndexProfile( indexProfile, deltaN, size ) ) );
+
+    // @private - rays in graded media are traced until they leave this region
+    this.gradedTracingBounds = {
+      minX: -this.modelWidth,
+      minY: -this.modelHeight,
+      maxX: this.modelWidth,
+      maxY: this.modelHeight
+    };
+
+    // Material of the selected prism, which is also used for new prisms from the toolbox
     this.prismMediumProperty = new Property( new Medium( Shape.rect( -1, -1, 2, 1 ), Substance.GLASS, this.mediumColorFactory.getColor( Substance.GLASS.indexOfRefractionForRedLight ) ), { reentrant: true } );
 
+    // @public {Property.<Prism|null>} - the prism whose material is shown in the control panel, mirrors cannot be
+    // selected
+    this.selectedPrismProperty = new Property( null );
+    this.selectedPrismProperty.link( selectedPrism => {
+      if ( selectedPrism ) {
+        this.prismMediumProperty.value = selectedPrism.mediumProperty.value;
+      }
+    } );
+    this.prismMediumProperty.link( prismMedium => {
+      if ( this.selectedPrismProperty.value ) {
+        this.selectedPrismProperty.value.mediumProperty.value = prismMedium;
+      }
+    } );
+
+    // @public - the face of the selected prism whose coating is shown in the control panel, see Prism.getFaces
+    this.selectedFaceIndexProperty = new Property( 0 );
+
+    // @public - the coating of the selected face: 'none', or one of Coating.TYPES.  The thickness (in meters) and index
+    // of refraction are for the single film.
+    this.coatingTypeProperty = new Property( 'none', {
+      validValues: [ 'none' ].concat( Coating.TYPES )
+    } );
+    this.filmThicknessProperty = new Property( Coating.DEFAULT_FILM.layers[ 0 ].thickness );
+    this.filmIndexOfRefractionProperty = new Property( Coating.DEFAULT_FILM.layers[ 0 ].indexOfRefraction );
+
+    // Show the coating of the selected face, without coating it again
+    let showingCoating = false;
+    const showCoating = () => {
+      const prism = this.selectedPrismProperty.value;
+      const coating = prism && prism.coatingsProperty.value[ this.selectedFaceIndexProperty.value ];
+      showingCoating = true;
+      this.coatingTypeProperty.value = coating ? coating.type : 'none';
+      if ( coating && coating.type === 'film' ) {
+        this.filmThicknessProperty.value = coating.layers[ 0 ].thickness;
+        this.filmIndexOfRefractionProperty.value = coating.layers[ 0 ].indexOfRefraction;
+      }
+      showingCoating = false;
+    };
+    this.selectedPrismProperty.lazyLink( () => {
+      this.selectedFaceIndexProperty.value = 0;
+      showCoating();
+    } );
+    this.selectedFaceIndexProperty.lazyLink( showCoating );
+
+    // Keep the selected face on the selected prism when its shape changes
+    const clampSelectedFace = () => {
+      const prism = this.selectedPrismProperty.value;
+      const maxFaceIndex = prism ? Math.max( prism.getFaces().length - 1, 0 ) : 0;
+      if ( this.selectedFaceIndexProperty.value > maxFaceIndex ) {
+        this.selectedFaceIndexProperty.value = maxFaceIndex;
+      }
+    };
+
+    // Coat the selected face when the coating is changed in the control panel
+    Property.lazyMultilink( [
+      this.coatingTypeProperty,
+      this.filmThicknessProperty,
+      this.filmIndexOfRefractionProperty
+    ], ( coatingType, filmThickness, filmIndexOfRefraction ) => {
+      const prism = this.selectedPrismProperty.value;
+      if ( prism && !showingCoating ) {
+        prism.setCoating( this.selectedFaceIndexProperty.value,
+          coatingType === 'none' ? null :
+          coatingType === 'film' ? Coating.createFilm( filmIndexOfRefraction, filmThickness ) :
+          coatingType === 'antiReflection' ? Coating.ANTI_REFLECTION :
+          Coating.HIGH_REFLECTION );
+      }
+    } );
+
+    // @public - whether only the rays near a prism are traced again when it changes, instead of all of the rays.
+    // Turned off by the benchmark for comparison.
+    this.incrementalRayUpdates = true;
+
+    // @private - traces the rays when there is no worker
+    this.rayTracingCore = new RayTracingCore();
+
+    // @private {Worker|null} - traces the rays off of the main thread, so that dragging stays smooth even when there
+    // are many rays, see ray-tracing-worker.js
+    this.rayTracingWorker = options.useWorker ? createRayTracingWorker() : null;
+    this.rayTracingWorker && this.rayTracingWorker.addEventListener( 'message', event => {
+      this.handleRayTracingResult( event.data );
+    } );
+    this.rayTracingWorker && this.rayTracingWorker.addEventListener( 'error', () => {
+      this.useSynchronousRayTracing();
+    } );
+
+    // @private - whether the worker is tracing a scene, and the newest scene that is waiting for it.  Scenes that are
+    // replaced while waiting (such as the positions of a prism that is being dragged) are never traced.
+    this.rayTracingInProgress = false;
+    this.pendingScene = null;
+
+    // @private {Object|null} - the last result of the ray tracing, see RayTracingCore.trace
+    this.rayTracingResult = null;
+
+    // @private {Map.<number,LightRay>}, {Map.<number,Intersection>}, {Map.<number,RayTruncation>} and
+    // {Map.<number,RayTunneling>} - the rays, intersections, truncations and tunnelings in the model by the id of their
+    // result, so that the ones that are not traced again are kept
+    this.lightRaysById = new Map();
+    this.intersectionsById = new Map();
+    this.truncationsById = new Map();
+    this.tunnelingsById = new Map();
+
+    // Trace the rays again when a prism is added, moved, rotated, changes material or coating or is removed
+    const updateModel = () => this.updateModel();
+    this.prisms.addItemAddedListener( prism => {
+      prism.shapeProperty.lazyLink( updateModel );
+      prism.positionProperty.lazyLink( updateModel );
+      prism.mediumProperty.lazyLink( updateModel );
+      prism.coatingsProperty.lazyLink( updateModel );
+      prism.shapeProperty.lazyLink( clampSelectedFace );
+      this.updateModel();
+    } );
+    this.prisms.addItemRemovedListener( prism => {
+      prism.shapeProperty.unlink( updateModel );
+      prism.positionProperty.unlink( updateModel );
+      prism.mediumProperty.unlink( updateModel );
+      prism.coatingsProperty.unlink( updateModel );
+      prism.shapeProperty.unlink( clampSelectedFace );
+      if ( this.selectedPrismProperty.value === prism ) {
+        this.selectedPrismProperty.value = null;
+      }
+      this.updateModel();
+    } );
+
+    // @public (read-only) {ObservableArrayDef.<Laser>} - the lasers whose rays are traced, the first is this.laser
+    // which is always there, and up to MAX_LASERS - 1 more can be added by the user
+    this.lasers = createObservableArray();
+
+    // @private {Map.<Laser,number>} - the slot of each laser that was added, which determines its wavelength and
+    // position, so that a new laser does not take the place of one that is still there
+    this.addedLaserSlots = new Map();
+
+    // @public {Property.<Laser>} - the laser that is shown in the laser control panel
+    this.selectedLaserProperty = new Property( this.laser );
+
+    // @public (read-only) - 'white' if the rays are drawn with additive color mixing, which is the case for white light,
+    // for spectral lines, for a blackbody and whenever there is more than one laser, otherwise 'singleColor'
+    this.lightColorModeProperty = new Property( 'singleColor' );
+    const updateLightColorMode = () => {
+      this.lightColorModeProperty.value = this.getLightColorMode();
+    };
+
+    // Trace the rays again when a laser is added, moved, changed or removed
+    this.lasers.addItemAddedListener( laser => {
+      getLaserProperties( laser ).forEach( property => property.lazyLink( updateModel ) );
+      laser.colorModeProperty.link( updateLightColorMode );
+      this.updateModel();
+    } );
+    this.lasers.addItemRemovedListener( laser => {
+      getLaserProperties( laser ).forEach( property => property.unlink( updateModel ) );
+      laser.colorModeProperty.unlink( updateLightColorMode );
+      this.addedLaserSlots.delete( laser );
+      if ( this.selectedLaserProperty.value === laser ) {
+        this.selectedLaserProperty.value = this.laser;
+      }
+      updateLightColorMode();
+      this.updateModel();
+    } );
+    this.lasers.add( this.laser );
+
     this.intersectionStrokeProperty = new Property( 'black' );
-    this.laser.colorModeProperty.link( colorMode => {
+    this.lightColorModeProperty.link( colorMode => {
       this.intersectionStrokeProperty.value = colorMode === 'white' ? 'white' : 'black';
     } );
     Property.multilink( [
-      this.manyRaysProperty,
-      this.environmentMediumProperty,
+      this.gradedEnvironmentMediumProperty,
       this.showReflectionsProperty,
-      this.prismMediumProperty,
-      this.laser.onProperty,
-      this.laser.pivotProperty,
-      this.laser.emissionPointProperty,
       this.showNormalsProperty,
-      this.laser.colorModeProperty,
-      this.laser.colorProperty,
-      this.laserViewProperty
-    ], () => {
-      this.clear();
-      this.updateModel();
-      this.dirty = true;
+      this.mirrorReflectanceProperty,
+      this.gratingLineDensityProperty,
+      this.maxBouncesProperty,
+      this.minPowerProperty
+    ], updateModel );
+
+    // The paths of the rays do not depend on the view, so the rays are just made again from the last result
+    this.laserViewProperty.lazyLink( () => {
+      this.clearModel();
+      this.lightRaysById.clear();
+      this.rayTracingResult && this.applyRayTracingResult( this.rayTracingResult );
     } );
 
     // coalesce repeat updates so work is not duplicated in white light node.
@@ -94,13 +382,26 @@ class PrismsModel extends BendingLightModel {
    */
   reset() {
     super.reset();
+    this.selectedPrismProperty.reset();
     this.prisms.clear();
-    this.manyRaysProperty.reset();
+    this.selectedLaserProperty.reset();
+    this.lasers.removeAll( this.lasers.filter( laser => laser !== this.laser ) );
     this.environmentMediumProperty.reset();
+    this.environmentIndexProfileProperty.reset();
+    this.indexProfileDeltaNProperty.reset();
+    this.indexProfileSizeProperty.reset();
     this.prismMediumProperty.reset();
+    this.selectedFaceIndexProperty.reset();
+    this.coatingTypeProperty.reset();
+    this.filmThicknessProperty.reset();
+    this.filmIndexOfRefractionProperty.reset();
     this.showReflectionsProperty.reset();
     this.showNormalsProperty.reset();
     this.showProtractorProperty.reset();
+    this.mirrorReflectanceProperty.reset();
+    this.gratingLineDensityProperty.reset();
+    this.maxBouncesProperty.reset();
+    this.minPowerProperty.reset();
   }
 
   /**
@@ -110,6 +411,7 @@ class PrismsModel extends BendingLightModel {
    */
   getPrismPrototypes() {
     const prismsTypes = [];
+    const medium = this.prismMediumProperty.value;
 
     // characteristic length scale
     const a = CHARACTERISTIC_LENGTH * 10;
@@ -119,7 +421,7 @@ class PrismsModel extends BendingLightModel {
       new Vector2( -a / 2, -a / ( 2 * Math.sqrt( 3 ) ) ),
       new Vector2( a / 2, -a / ( 2 * Math.sqrt( 3 ) ) ),
       new Vector2( 0, a / Math.sqrt( 3 ) )
-    ], 0 ), 'triangle' ) );
+    ], 0 ), 'triangle', medium ) );
 
     // trapezoid, attach at bottom right
     prismsTypes.push( new Prism( new Polygon( 1, [
@@ -127,7 +429,7 @@ class PrismsModel extends BendingLightModel {
       new Vector2( a / 2, -a * Math.sqrt( 3 ) / 4 ),
       new Vector2( a / 4, a * Math.sqrt( 3 ) / 4 ),
       new Vector2( -a / 4, a * Math.sqrt( 3 ) / 4 )
-    ], 0 ), 'trapezoid' ) );
+    ], 0 ), 'trapezoid', medium ) );
 
     // attach at bottom right
     prismsTypes.push( new Prism( new Polygon( 2, [
@@ -135,18 +437,18 @@ class PrismsModel extends BendingLightModel {
       new Vector2( a / 2, a / 2 ),
       new Vector2( a / 2, -a / 2 ),
       new Vector2( -a / 2, -a / 2 )
-    ], 0 ), 'square' ) );
+    ], 0 ), 'square', medium ) );
 
     const radius = a / 2;
 
     // Continuous Circle
-    prismsTypes.push( new Prism( new Circle( new Vector2( 0, 0 ), radius ), 'circle' ) );
+    prismsTypes.push( new Prism( new Circle( new Vector2( 0, 0 ), radius ), 'circle', medium ) );
 
     // SemiCircle
     prismsTypes.push( new Prism( new SemiCircle( 1, [
       new Vector2( 0, radius ),
       new Vector2( 0, -radius )
-    ], radius ), 'semicircle' ) );
+    ], radius ), 'semicircle', medium ) );
 
     // DivergingLens
     prismsTypes.push( new Prism( new Polygon( 2, [
@@ -154,10 +456,55 @@ class PrismsModel extends BendingLightModel {
       new Vector2( 0.6 * radius, radius ),
       new Vector2( 0.6 * radius, -radius ),
       new Vector2( -0.6 * radius, -radius )
-    ], radius ), 'diverging-lens' ) );
+    ], radius ), 'diverging-lens', medium ) );
+
+    // Lenses with spherical surfaces and the same diameter as the circle.  With glass in air, the biconvex lens has a
+    // focal length of about a
+    const radiusOfCurvature = a;
+    prismsTypes.push( new Prism( CurvedPolygon.createLens( a, 0.4 * a, radiusOfCurvature, -radiusOfCurvature ),
+      'biconvex-lens', medium ) );
+    prismsTypes.push( new Prism( CurvedPolygon.createLens( a, 0.25 * a, radiusOfCurvature, Number.POSITIVE_INFINITY ),
+      'plano-convex-lens', medium ) );
+    prismsTypes.push( new Prism( CurvedPolygon.createLens( a, 0.2 * a, radiusOfCurvature, 2 * radiusOfCurvature ),
+      'meniscus-lens', medium ) );
+    prismsTypes.push( new Prism( CurvedPolygon.createLens( a, 0.1 * a, -radiusOfCurvature, radiusOfCurvature ),
+      'biconcave-lens', medium ) );
     return prismsTypes;
   }
 
+  /**
+   * List of mirror prototypes that can be created in the sim
+   * @public
+   * @returns {Prism[]}
+   */
+  getMirrorPrototypes() {
+
+    // characteristic length scale, the same as for the prisms
+    const a = CHARACTERISTIC_LENGTH * 10;
+    const halfHeight = 0.75 * a;
+
+    // The curved mirrors have a focal length of a
+    const radiusOfCurvature = 2 * a;
+    const thickness = a / 15;
+    return [ 'flat', 'concave', 'convex', 'parabolic' ].map( profile => new Prism(
+      new Mirror( profile, new Vector2( 0, 0 ), 0, halfHeight, radiusOfCurvature, thickness ),
+      `${profile}-mirror`,
+      null
+    ) );
+  }
+
+  /**
+   * Prototype of the diffraction grating that can be created in the sim
+   * @public
+   * @returns {Prism}
+   */
+  getGratingPrototype() {
+
+    // characteristic length scale, the same as for the mirrors
+    const a = CHARACTERISTIC_LENGTH * 10;
+    return new Prism( new Grating( new Vector2( 0, 0 ), 0, 0.75 * a, a / 15 ), 'grating', null );
+  }
+
   /**
    * Adds a prism to the model.
    * @public
@@ -167,6 +514,33 @@ class PrismsModel extends BendingLightModel {
     this.prisms.add( prism );
   }
 
+  /**
+   * Checks whether corner points entered by the user make a valid prism
+   * @public
+   * @param {Vector2[]} points - corner points in order, in model coordinates
+   * @returns {string|null} - null if valid, otherwise the problem, see Polygon.getValidationError
+   */
+  getCustomPrismError( points ) {
+    return Polygon.getValidationError( points, MIN_CUSTOM_PRISM_AREA );
+  }
+
+  /**
+   * Creates a prism with the specified corners and adds it to the model.  Like the prisms from the toolbox, its shape
+   * is centered on the origin and it is moved into place with its position.
+   * @public
+   * @param {Vector2[]} points - corner points in order, in model coordinates
+   * @returns {Prism}
+   */
+  addCustomPrism( points ) {
+    assert && assert( this.getCustomPrismError( points ) === null, 'invalid custom prism' );
+    const centroid = new Polygon( 0, points, 0 ).centroid;
+    const prism = new Prism( new Polygon( 0, points.map( point => point.minus( centroid ) ), 0 ), 'custom',
+      this.prismMediumProperty.value );
+    prism.translate( centroid.x, centroid.y );
+    this.addPrism( prism );
+    return prism;
+  }
+
   /**
    * Removes a prism from the model
    * @public
@@ -174,260 +548,359 @@ class PrismsModel extends BendingLightModel {
    */
   removePrism( prism ) {
     this.prisms.remove( prism );
-    this.updateModel();
   }
 
   /**
-   * Determines whether white light or single color light
+   * Adds a laser below the laser that is always there, in the first slot that is not used by another added laser, with
+   * the default wavelength of that slot.  It starts out on, so that its rays can be compared with the others right away.
+   * @public
+   * @returns {Laser}
+   */
+  addLaser() {
+    assert && assert( this.lasers.length < MAX_LASERS, 'too many lasers' );
+    const usedSlots = Array.from( this.addedLaserSlots.values() );
+    const slot = _.range( MAX_LASERS - 1 ).find( i => !usedSlots.includes( i ) );
+    const offset = -( slot + 1 ) * ADDED_LASER_SPACING;
+    const laser = new Laser( new Property( ADDED_LASER_WAVELENGTHS[ slot ] ), 1E-16, Math.PI, false );
+    laser.pivotProperty.value = this.laser.pivotProperty.value.plusXY( 0, offset );
+    laser.emissionPointProperty.value = this.laser.emissionPointProperty.value.plusXY( 0, offset );
+    laser.onProperty.value = true;
+    this.addedLaserSlots.set( laser, slot );
+    this.lasers.add( laser );
+    this.selectedLaserProperty.value = laser;
+    return laser;
+  }
+
+  /**
+   * Removes a laser that was added by the user
+   * @public
+   * @param {Laser} laser
+   */
+  removeLaser( laser ) {
+    assert && assert( laser !== this.laser, 'the first laser cannot be removed' );
+    this.lasers.remove( laser );
+  }
+
+  /**
+   * Determines how the rays are drawn, see lightColorModeProperty
    * @private
-   * @param {Ray2} ray - tail and direction for light
-   * @param {number} power - amount of power this light has
-   * @param {boolean} laserInPrism - specifies whether laser in prism
+   * @returns {string}
    */
-  propagate( ray, power, laserInPrism ) {
-
-    // Determines whether to use white light or single color light
-    let mediumIndexOfRefraction;
-    if ( this.laser.colorModeProperty.value === 'white' ) {
-      // This number is the number of (equally spaced wavelength) rays to show in a white beam. More rays looks
-      // better but is more computationally intensive.
-      const wavelengths = BendingLightConstants.WHITE_LIGHT_WAVELENGTHS;
-
-      for ( let i = 0; i < wavelengths.length; i++ ) {
-        const wavelength = wavelengths[ i ] / 1E9; // convert to meters
-        mediumIndexOfRefraction = laserInPrism ?
-                                  this.prismMediumProperty.value.getIndexOfRefraction( wavelength ) :
-                                  this.environmentMediumProperty.value.getIndexOfRefraction( wavelength );
-
-        // show the intersection for the smallest and largest wavelengths.  Protect against floating point error for
-        // the latter
-        const showIntersection = ( i === 0 ) || ( i === wavelengths.length - 1 );
-        this.propagateTheRay( new ColoredRay( ray, power, wavelength, mediumIndexOfRefraction,
-          BendingLightConstants.SPEED_OF_LIGHT / wavelength ), 0, showIntersection );
-      }
-    }
-    else {
-      mediumIndexOfRefraction = laserInPrism ?
-                                this.prismMediumProperty.value.getIndexOfRefraction( this.laser.getWavelength() ) :
-                                this.environmentMediumProperty.value.getIndexOfRefraction( this.laser.getWavelength() );
-      this.propagateTheRay( new ColoredRay( ray, power, this.laser.getWavelength(),
-        mediumIndexOfRefraction, this.laser.getFrequency() ), 0, true );
-    }
+  getLightColorMode() {
+    return this.lasers.length > 1 || this.lasers.some( laser => laser.colorModeProperty.value !== 'singleColor' ) ?
+           'white' : 'singleColor';
   }
 
   /**
-   * Algorithm that computes the trajectories of the rays throughout the system
+   * Describes the light, the environment and the prisms with a plain object, see RayTracingCore.trace
    * @public
+   * @returns {Object}
    */
-  propagateRays() {
+  getSceneStateObject() {
+    const sources = [];
+    this.lasers.forEach( laser => {
+      if ( laser.onProperty.value ) {
+        const colorMode = laser.colorModeProperty.value;
+        let wavelengths = [ laser.getWavelength() ];
+        let powers = [ 1 ];
+        if ( colorMode === 'white' ) {
+
+          // White light is divided among its wavelengths according to the spectrum of the laser
+          wavelengths = BendingLightConstants.WHITE_LIGHT_WAVELENGTHS.map( wavelength => wavelength / 1E9 );
+          powers = wavelengths.map( wavelength => laser.spectrumProperty.value.getPower( wavelength ) );
+        }
+        else if ( colorMode === 'blackbody' ) {
 
-    if ( this.laser.onProperty.value ) {
-      const tail = this.laser.emissionPointProperty.value;
-      const laserInPrism = this.isLaserInPrism();
-      const directionUnitVector = this.laser.getDirectionUnitVector();
-      if ( this.manyRaysProperty.value === 1 ) {
+          // Thermal radiation is sampled at the wavelengths of white light according to Planck's law
+          wavelengths = BendingLightConstants.WHITE_LIGHT_WAVELENGTHS.map( wavelength => wavelength / 1E9 );
+          powers = wavelengths.map( wavelength => laser.blackbodySpectrumProperty.value.getPower( wavelength ) );
+        }
+        else if ( colorMode === 'spectralLines' ) {
 
-        // This can be used to show the main central ray
-        this.propagate( new Ray2( tail, directionUnitVector ), 1.0, laserInPrism );
-      }
-      else {
+          // A ray for each line, with the relative intensity of the line
+          wavelengths = laser.spectralLinesProperty.value.wavelengths;
+          powers = laser.spectralLinesProperty.value.intensities;
+        }
+        const sPolarizationFraction = laser.getSPolarizationFraction();
+
+        // When the rays are mixed additively, a laser of one color is drawn as brightly as it would be by itself
+        const brightness = colorMode === 'singleColor' && this.getLightColorMode() === 'white' ?
+                           SINGLE_COLOR_BRIGHTNESS : 1;
+        // A source can carry a share of the power of the laser, and is then drawn brighter to make up for it
+        const addSource = ( tail, direction, powerFraction = 1 ) => sources.push( {
+          tail: tail.toStateObject(),
+          direction: direction.toStateObject(),
+          wavelengths: wavelengths,
+          powers: powers.map( power => power * powerFraction ),
+          sPolarizationFraction: sPolarizationFraction,
+          brightness: brightness / powerFraction
+        } );
+
+        const tail = laser.emissionPointProperty.value;
+        const directionUnitVector = laser.getDirectionUnitVector();
+        if ( laser.sourceTypeProperty.value === 'point' ) {
+
+          // Rays fanned out from the emission point, which share the power of the laser like in IntroModel
+          const directions = laser.getFanDirections();
+          directions.forEach( direction => addSource( tail, direction, 1 / directions.length ) );
+        }
+        else if ( !laser.manyRaysProperty.value ) {
 
-        // Many parallel rays
-        for ( let x = -WAVELENGTH_RED; x <= WAVELENGTH_RED * 1.1; x += WAVELENGTH_RED / 2 ) {
-          const offset = directionUnitVector.rotated( Math.PI / 2 ).multiplyScalar( x );
-          this.propagate( new Ray2( offset.add( tail ), directionUnitVector ), 1.0, laserInPrism );
+          // This can be used to show the main central ray
+          addSource( tail, directionUnitVector );
+        }
+        else {
+
+          // Many parallel rays, evenly spaced across the width of the beam
+          const count = laser.parallelRayCountProperty.value;
+          const beamWidth = laser.beamWidthProperty.value;
+          for ( let i = 0; i < count; i++ ) {
+            const x = -beamWidth / 2 + i * beamWidth / ( count - 1 );
+            addSource( directionUnitVector.rotated( Math.PI / 2 ).multiplyScalar( x ).add( tail ), directionUnitVector );
+          }
         }
       }
-    }
+    } );
+
+    // The media are described for every wavelength of every laser
+    const wavelengths = _.sortBy( _.uniq( _.flatten( sources.map( source => source.wavelengths ) ) ) );
+
+    return {
+      wavelengths: wavelengths,
+      sources: sources,
+      environmentMedium: SceneMedium.createStateObject( this.gradedEnvironmentMediumProperty.value, wavelengths ),
+      prisms: this.prisms.map( prism => ScenePrism.createStateObject( prism, wavelengths ) ),
+      showReflections: this.showReflectionsProperty.value,
+      mirrorReflectance: this.mirrorReflectanceProperty.value,
+      gratingPeriod: 1E-3 / this.gratingLineDensityProperty.value,
+      maxBounces: this.maxBouncesProperty.value,
+      minPower: this.minPowerProperty.value,
+      gradedTracingBounds: this.gradedTracingBounds,
+      incremental: this.incrementalRayUpdates
+    };
   }
 
   /**
-   * Determine if the laser beam originates within a prism for purpose of determining what index of refraction to use
-   * initially
+   * Traces the rays for the current scene.  With the worker, the rays and intersections are updated when the result
+   * arrives.
    * @public
-   * @returns {boolean}
+   * @override
    */
-  isLaserInPrism() {
-    const emissionPoint = this.laser.emissionPointProperty.value;
-    for ( let i = 0; i < this.prisms.length; i++ ) {
-      if ( this.prisms.get( i ).contains( emissionPoint ) ) {
-        return true;
+  updateModel() {
+    const scene = this.getSceneStateObject();
+    if ( this.rayTracingWorker ) {
+      this.pendingScene = scene;
+      if ( !this.rayTracingInProgress ) {
+        this.sendPendingScene();
       }
     }
-    return false;
+    else {
+      this.applyRayTracingResult( this.rayTracingCore.trace( scene ) );
+    }
   }
 
   /**
-   * Recursive algorithm to compute the pattern of rays in the system. This is the main computation of this model,
-   * rays are cleared beforehand and this algorithm adds them as it goes
+   * Sends the newest scene to the worker
    * @private
-   * @param {ColoredRay} incidentRay - model of the ray
-   * @param {number} count - number of rays
-   * @param {boolean} showIntersection - true if the intersection should be shown.  True for single rays and for
-   *                                     extrema of white light wavelengths
    */
-  propagateTheRay( incidentRay, count, showIntersection ) {
-    let rayColor;
-    let rayVisibleColor;
-    const waveWidth = CHARACTERISTIC_LENGTH * 5;
-
-    // Termination condition: we have reached too many iterations or if the ray is very weak
-    if ( count > 50 || incidentRay.power < 0.001 ) {
-      return;
-    }
-
-    // Check for an intersection
-    const intersection = this.getIntersection( incidentRay, this.prisms );
-    const L = incidentRay.directionUnitVector;
-    const n1 = incidentRay.mediumIndexOfRefraction;
-    const wavelengthInN1 = incidentRay.wavelength / n1;
-    if ( intersection !== null ) {
-
-      // List the intersection in the model
-      if ( showIntersection ) {
-        this.intersections.add( intersection );
-      }
+  sendPendingScene() {
+    this.rayTracingWorker.postMessage( this.pendingScene );
+    this.rayTracingInProgress = true;
+    this.pendingScene = null;
+  }
 
-      const pointOnOtherSide = ( incidentRay.directionUnitVector.times( 1E-12 ) ).add( intersection.point );
-      let outputInsidePrism = false;
-      const lightRayAfterIntersectionInRay2Form = new Ray2( pointOnOtherSide, incidentRay.directionUnitVector );
-      this.prisms.forEach( prism => {
-        const intersection = prism.getTranslatedShape().shape.intersection( lightRayAfterIntersectionInRay2Form );
-        if ( intersection.length % 2 === 1 ) {
-          outputInsidePrism = true;
-        }
-      } );
-
-      // Index of refraction of the other medium
-      const n2 = outputInsidePrism ?
-                 this.prismMediumProperty.value.getIndexOfRefraction( incidentRay.getBaseWavelength() ) :
-                 this.environmentMediumProperty.value.getIndexOfRefraction( incidentRay.getBaseWavelength() );
-
-      // Precompute for readability
-      const point = intersection.point;
-      const n = intersection.unitNormal;
-
-      // Compute the output rays, see http://en.wikipedia.org/wiki/Snell's_law#Vector_form
-      const cosTheta1 = n.dotXY( L.x * -1, L.y * -1 );
-      const cosTheta2Radicand = 1 - Math.pow( n1 / n2, 2 ) * ( 1 - Math.pow( cosTheta1, 2 ) );
-      const totalInternalReflection = cosTheta2Radicand < 0;
-      const cosTheta2 = Math.sqrt( Math.abs( cosTheta2Radicand ) );
-      const vReflect = ( n.times( 2 * cosTheta1 ) ).add( L );
-      let vRefract = cosTheta1 > 0 ?
-                     ( L.times( n1 / n2 ) ).addXY(
-                       n.x * ( n1 / n2 * cosTheta1 - cosTheta2 ),
-                       n.y * ( n1 / n2 * cosTheta1 - cosTheta2 )
-                     ) :
-                     ( L.times( n1 / n2 ) ).addXY(
-                       n.x * ( n1 / n2 * cosTheta1 + cosTheta2 ),
-                       n.y * ( n1 / n2 * cosTheta1 + cosTheta2 )
-                     );
-
-      // Normalize the direction vector, see https://github.com/phetsims/bending-light/issues/226
-      vRefract = vRefract.normalized();
-
-      const reflectedPower = totalInternalReflection ? 1
-                                                     : Utils.clamp( BendingLightModel.getReflectedPower( n1, n2, cosTheta1, cosTheta2 ), 0, 1 );
-      const transmittedPower = totalInternalReflection ? 0
-                                                       : Utils.clamp( BendingLightModel.getTransmittedPower( n1, n2, cosTheta1, cosTheta2 ), 0, 1 );
-
-      // Create the new rays and propagate them recursively
-      const reflectedRay = new Ray2( incidentRay.directionUnitVector.times( -1E-12 ).add( point ), vReflect );
-      const reflected = new ColoredRay(
-        reflectedRay,
-        incidentRay.power * reflectedPower,
-        incidentRay.wavelength,
-        incidentRay.mediumIndexOfRefraction,
-        incidentRay.frequency
-      );
-      const refractedRay = new Ray2( incidentRay.directionUnitVector.times( +1E-12 ).add( point ), vRefract );
-      const refracted = new ColoredRay(
-        refractedRay,
-        incidentRay.power * transmittedPower,
-        incidentRay.wavelength,
-        n2,
-        incidentRay.frequency
-      );
-      if ( this.showReflectionsProperty.value || totalInternalReflection ) {
-        this.propagateTheRay( reflected, count + 1, showIntersection );
-      }
-      this.propagateTheRay( refracted, count + 1, showIntersection );
-      rayColor = new Color( 0, 0, 0, 0 );
-      rayVisibleColor = VisibleColor.wavelengthToColor( incidentRay.wavelength * 1E9 );
-      rayColor.set( rayVisibleColor.getRed(), rayVisibleColor.getGreen(), rayVisibleColor.getBlue(),
-        rayVisibleColor.getAlpha() );
-
-      // Add the incident ray itself
-      this.addRay( new LightRay( CHARACTERISTIC_LENGTH / 2,
-        incidentRay.tail,
-        intersection.point,
-        n1,
-        wavelengthInN1,
-        incidentRay.wavelength * 1E9,
-        incidentRay.power,
-        rayColor,
-        waveWidth,
-        0,
-        true,
-        false,
-        this.laserViewProperty.value,
-        'prism'
-      ) );
+  /**
+   * Called when the worker has traced a scene.  If the scene changed in the meantime, the newest scene is sent next.
+   * @private
+   * @param {Object} result - see RayTracingCore.trace
+   */
+  handleRayTracingResult( result ) {
+    this.rayTracingInProgress = false;
+    if ( result.error ) {
+      this.useSynchronousRayTracing();
     }
     else {
-      rayColor = new Color( 0, 0, 0, 0 );
-      rayVisibleColor = VisibleColor.wavelengthToColor( incidentRay.wavelength * 1E9 );
-      rayColor.set( rayVisibleColor.getRed(), rayVisibleColor.getGreen(), rayVisibleColor.getBlue(),
-        rayVisibleColor.getAlpha() );
-
-      // No intersection, so the light ray should just keep going
-      this.addRay( new LightRay(
-        CHARACTERISTIC_LENGTH / 2,
-        incidentRay.tail,
-
-        // If the light ray gets too long, it will cause rendering artifacts like #219
-        incidentRay.tail.plus( incidentRay.directionUnitVector.times( 2E-4 ) ),
-        n1,
-        wavelengthInN1,
-        incidentRay.wavelength * 1E9,
-        incidentRay.power,
-        rayColor,
-        waveWidth,
-        0,
-        true,
-        false,
-        this.laserViewProperty.value,
-        'prism'
-      ) );
+      this.applyRayTracingResult( result );
+      if ( this.pendingScene ) {
+        this.sendPendingScene();
+      }
     }
   }
 
   /**
-   * Find the nearest intersection between a light ray and the set of prisms in the play area
+   * Stops using the worker after it failed, for instance where module workers are not supported, and traces the rays
+   * on the main thread from now on
    * @private
-   * @param {ColoredRay} incidentRay - model of the ray
-   * @param {ObservableArrayDef.<Prism>} prisms
-   * @returns {Intersection|null} - returns the intersection if one was found or null if no intersections
    */
-  getIntersection( incidentRay, prisms ) {
-    let allIntersections = [];
-    prisms.forEach( prism => {
-      prism.getIntersections( incidentRay ).forEach( intersection => allIntersections.push( intersection ) );
-    } );
+  useSynchronousRayTracing() {
+    this.rayTracingWorker.terminate();
+    this.rayTracingWorker = null;
+    this.rayTracingInProgress = false;
+    this.pendingScene = null;
+
+    // The ids of the results from the worker mean nothing to the RayTracingCore on the main thread, which numbers its
+    // results from the start, so none of the elements can be kept
+    this.clearModel();
+    this.lightRaysById.clear();
+    this.intersections.clear();
+    this.intersectionsById.clear();
+    this.truncations.clear();
+    this.truncationsById.clear();
+    this.tunnelings.clear();
+    this.tunnelingsById.clear();
+    this.rayTracingResult = null;
+    this.updateModel();
+  }
 
-    // Get the closest one (which would be hit first)
-    allIntersections = _.sortBy( allIntersections, allIntersection => allIntersection.point.distance( incidentRay.tail ) );
-    return allIntersections.length === 0 ? null : allIntersections[ 0 ];
+  /**
+   * Updates the rays, intersections, truncations and tunnelings in the model to match the result of the ray tracing
+   * @private
+   * @param {Object} result - see RayTracingCore.trace
+   */
+  applyRayTracingResult( result ) {
+    this.rayTracingResult = result;
+    this.lightRaysById = updateElements( this.rays, this.lightRaysById, result.rays,
+      stateObject => this.createLightRay( stateObject ),
+      lightRay => lightRay.particles.clear()
+    );
+    this.intersectionsById = updateElements( this.intersections, this.intersectionsById, result.intersections,
+      stateObject => new Intersection(
+        Vector2.fromStateObject( stateObject.unitNormal ),
+        Vector2.fromStateObject( stateObject.point ),
+        stateObject.surface
+      ),
+      _.noop
+    );
+    this.truncationsById = updateElements( this.truncations, this.truncationsById, result.truncations,
+      stateObject => new RayTruncation( Vector2.fromStateObject( stateObject.point ), stateObject.power,
+        stateObject.reason ),
+      _.noop
+    );
+    this.tunnelingsById = updateElements( this.tunnelings, this.tunnelingsById, result.tunnelings,
+      stateObject => new RayTunneling( Vector2.fromStateObject( stateObject.point ), stateObject.power,
+        stateObject.gapWidth ),
+      _.noop
+    );
+    this.dirty = true;
   }
 
   /**
-   * @public
+   * Creates a LightRay for a segment of a ray from the ray tracing
+   * @private
+   * @param {Object} stateObject - see RayTracingCore.addRay
+   * @returns {LightRay}
    */
-  clear() {
-    this.intersections.clear();
+  createLightRay( stateObject ) {
+    const rayVisibleColor = LaserColor.wavelengthToColor( stateObject.wavelengthInVacuum );
+    return new LightRay(
+      CHARACTERISTIC_LENGTH / 2,
+      Vector2.fromStateObject( stateObject.tail ),
+      Vector2.fromStateObject( stateObject.tip ),
+      stateObject.indexOfRefraction,
+      stateObject.wavelength,
+      stateObject.wavelengthInVacuum,
+      stateObject.power,
+      new Color( rayVisibleColor.getRed(), rayVisibleColor.getGreen(), rayVisibleColor.getBlue(),
+        rayVisibleColor.getAlpha() ),
+      CHARACTERISTIC_LENGTH * 5,
+      0,
+      true,
+      false,
+      this.laserViewProperty.value,
+      'prism',
+      stateObject.sPolarizationFraction,
+      stateObject.absorptionCoefficient,
+      stateObject.emittedPower,
+      stateObject.brightness
+    );
   }
 }
 
+/**
+ * Gets the properties of a laser that change its rays
+ * @param {Laser} laser
+ * @returns {Property[]}
+ */
+const getLaserProperties = laser => [
+  laser.onProperty,
+  laser.pivotProperty,
+  laser.emissionPointProperty,
+  laser.colorModeProperty,
+  laser.colorProperty,
+  laser.polarizationProperty,
+  laser.polarizationAngleProperty,
+  laser.sourceTypeProperty,
+  laser.fanAngleProperty,
+  laser.fanRayCountProperty,
+  laser.manyRaysProperty,
+  laser.parallelRayCountProperty,
+  laser.beamWidthProperty,
+  laser.spectrumProperty,
+  laser.spectralLinesProperty,
+  laser.blackbodySpectrumProperty
+];
+
+/**
+ * Creates the Web Worker that traces the rays, see ray-tracing-worker.js.  The worker is only used when the simulation
+ * is run from its modules, which the worker loads.  A built simulation is a single file without those modules, and
+ * traces the rays on the main thread, see implementation-notes.md.
+ * @returns {Worker|null} - null if the simulation is built or workers are not available
+ */
+const createRayTracingWorker = () => {
+  if ( phet.chipper.isProduction ) {
+    return null;
+  }
+  try {
+    const worker = new Worker( new URL( './ray-tracing-worker.js', import.meta.url ), { type: 'module' } );
+
+    // Initialize the worker with the query parameters and assertions of the page
+    worker.postMessage( {
+      queryParameters: phet.chipper.queryParameters,
+      assertionsEnabled: !!window.assert
+    } );
+    return worker;
+  }
+  catch( e ) {
+    return null;
+  }
+};
+
+/**
+ * Updates the elements in an observable array to match the results of the ray tracing.  Elements whose results have
+ * the same id are kept, the others are removed or created.
+ * @param {ObservableArrayDef} observableArray
+ * @param {Map.<number,*>} elementsById - the elements in the array, by the id of their result
+ * @param {Object[]} stateObjects - the results, each with an id
+ * @param {function(Object):*} createElement
+ * @param {function(*)} disposeElement - called for each element that is removed
+ * @returns {Map.<number,*>} - the new elements by id
+ */
+const updateElements = ( observableArray, elementsById, stateObjects, createElement, disposeElement ) => {
+  const newElementsById = new Map();
+  const addedElements = [];
+  stateObjects.forEach( stateObject => {
+    let element = elementsById.get( stateObject.id );
+    if ( !element ) {
+      element = createElement( stateObject );
+      addedElements.push( element );
+    }
+    newElementsById.set( stateObject.id, element );
+  } );
+  const removedElements = [];
+  elementsById.forEach( ( element, id ) => {
+    if ( !newElementsById.has( id ) ) {
+      disposeElement( element );
+      removedElements.push( element );
+    }
+  } );
+  observableArray.removeAll( removedElements );
+  observableArray.addAll( addedElements );
+  return newElementsById;
+};
+
+// @public (read-only)
+PrismsModel.MAX_LASERS = MAX_LASERS;
+
 bendingLight.register( 'PrismsModel', PrismsModel );
 
 export default PrismsModel;
\ No newline at end of file
@@ -0,0 +1,731 @@
+// Copyright 2021, University of Colorado Boulder
+
+/**
+ * Computes the paths of the rays in the prisms screen.  It takes a plain description of the scene (the light, the
+ * environment and the prisms, see PrismsModel.getSceneStateObject) and returns plain objects for the ray segments and
+ * the intersections, so that it can run in a Web Worker (see ray-tracing-worker.js) as well as on the main thread.  It
+ * does not depend on axon or scenery.
+ *
+ * It keeps a tree of the rays from the previous scene (RayTreeNode), so when only the prisms changed, only the rays that
+ * came near the prisms that changed are traced again.  The segments and intersections of the other rays keep their
+ * ids, so that the model can keep the corresponding LightRays.
+ *
+ * @author Sam Reid (PhET Interactive Simulations)
+ * @author Chandrashekar Bemagoni (Actual Concepts)
+ */
+
+import Bounds2 from '../../../../dot/js/Bounds2.js';
+import Ray2 from '../../../../dot/js/Ray2.js';
+import Utils from '../../../../dot/js/Utils.js';
+import Vector2 from '../../../../dot/js/Vector2.js';
+import bendingLight from '../../bendingLight.js';
+import BendingLightConstants from '../../common/BendingLightConstants.js';
+import FresnelEquations from '../../common/model/FresnelEquations.js';
+import ColoredRay from './ColoredRay.js';
+import PrismRegions from './PrismRegions.js';
+import RayTreeNode from './RayTreeNode.js';
+import SceneMedium from './SceneMedium.js';
+import ScenePrism from './ScenePrism.js';
+
+// constants
+
+// If the light ray gets too long, it will cause rendering artifacts like #219
+const MAX_RAY_LENGTH = 2E-4;
+
+// Rays in graded-index media are traced in steps of this length, each of which is rendered as a straight LightRay
+const GRADED_STEP_LENGTH = 4E-7;
+const MAX_GRADED_STEPS = 1000;
+
+// Light that is totally internally reflected can tunnel to surfaces up to this far away, beyond which the tunneled power
+// is negligible except within a tiny fraction of a degree of the critical angle
+const MAX_TUNNELING_GAP = 2E-6;
+
+// The power of the diffraction orders of a grating follows the diffraction pattern of a single slit of the grating,
+// which is this fraction of the period wide.  Orders past the largest one are too weak to be worth tracing.
+const GRATING_SLIT_FRACTION = 0.25;
+const MAX_GRATING_ORDER = 3;
+
+class RayTracingCore {
+
+  constructor() {
+
+    // @private {string|null} - describes everything in the previous scene except for the prisms
+    this.settingsKey = null;
+
+    // @private {string[]} - describes each prism in the previous scene
+    this.prismKeys = [];
+
+    // @private {Map.<string,ScenePrism>} - the prisms of the previous scene, so they are only made again when they change
+    this.scenePrisms = new Map();
+
+    // @private {RayTreeNode[]} - the rays from the sources and all of the rays they produced
+    this.rayTrees = [];
+
+    // @private - for the scene that is being traced
+    this.scene = null;
+    this.prismRegions = null;
+    this.gradedTracingBounds = null;
+
+    // @private {RayTreeNode|null} - the node for the ray that is being propagated
+    this.rayTreeNode = null;
+
+    // @private - ids for the segments and intersections, which are not reused
+    this.nextId = 0;
+  }
+
+  /**
+   * Traces the rays of a scene
+   * @public
+   * @param {Object} scene - plain description of the scene, with these fields:
+   *   wavelengths: {number[]} - in meters, all of the wavelengths of the sources, for which the media are described
+   *   sources: {{tail:Object, direction:Object, wavelengths:number[], powers:number[], sPolarizationFraction:number,
+   *            brightness:number}[]} - where the rays start, as state objects of Vector2.  A ray is traced for each of
+   *            the wavelengths of the source, with the power for that wavelength and the fraction of the power that is
+   *            s-polarized.  The brightness is passed on to the rays for drawing, see LightRay.
+   *   environmentMedium: {Object} - see SceneMedium.createStateObject
+   *   prisms: {Object[]} - see ScenePrism.createStateObject, later prisms are on top
+   *   showReflections: {boolean} - whether partial reflections are traced, or only total internal reflection
+   *   mirrorReflectance: {number} - fraction of the light that is reflected by the mirrors
+   *   gratingPeriod: {number} - distance between the lines of the gratings, in meters
+   *   maxBounces: {number} - number of reflections and refractions after which a ray is no longer propagated
+   *   minPower: {number} - rays weaker than this are no longer propagated
+   *   gradedTracingBounds: {{minX:number, minY:number, maxX:number, maxY:number}} - rays in graded media are traced
+   *                                                                                 until they leave these bounds
+   *   incremental: {boolean} - whether only the rays near the prisms that changed are traced again
+   * @returns {{rays: Object[], intersections: Object[], truncations: Object[], tunnelings: Object[]}} - see addRay,
+   *                                                                   addIntersection, addTruncation and addTunneling
+   */
+  trace( scene ) {
+    const wavelengths = scene.wavelengths;
+    const settingsKey = JSON.stringify( [ wavelengths, scene.sources, scene.environmentMedium, scene.showReflections,
+      scene.mirrorReflectance, scene.gratingPeriod, scene.maxBounces, scene.minPower, scene.gradedTracingBounds ] );
+    const prismKeys = scene.prisms.map( prism => JSON.stringify( prism ) );
+    const incremental = scene.incremental && settingsKey === this.settingsKey;
+
+    // The media of the prisms depend on the wavelengths, so the prisms are only kept if the rest of the scene is the same
+    if ( settingsKey !== this.settingsKey ) {
+      this.scenePrisms.clear();
+    }
+    prismKeys.forEach( ( key, i ) => {
+      if ( !this.scenePrisms.has( key ) ) {
+        this.scenePrisms.set( key, ScenePrism.fromStateObject( scene.prisms[ i ], wavelengths ) );
+      }
+    } );
+    const boundsList = incremental ? this.getChangedBounds( prismKeys ) : [];
+
+    this.scene = scene;
+    this.prismRegions = new PrismRegions( prismKeys.map( key => this.scenePrisms.get( key ) ),
+      SceneMedium.fromStateObject( scene.environmentMedium, wavelengths ) );
+    this.gradedTracingBounds = new Bounds2( scene.gradedTracingBounds.minX, scene.gradedTracingBounds.minY,
+      scene.gradedTracingBounds.maxX, scene.gradedTracingBounds.maxY );
+
+    // The medium that the light starts in may have changed, so start over
+    if ( !incremental || _.some( this.rayTrees, rayTree => _.some( boundsList,
+      bounds => bounds.containsPoint( rayTree.incidentRay.tail ) ) ) ) {
+      this.propagateRays();
+    }
+    else if ( boundsList.length > 0 ) {
+      this.rayTrees = this.rayTrees.map( rayTree => this.updateRayTree( rayTree, boundsList ) );
+    }
+
+    // Forget the prisms that are gone
+    const keys = new Set( prismKeys );
+    Array.from( this.scenePrisms.keys() ).forEach( key => {
+      if ( !keys.has( key ) ) {
+        this.scenePrisms.delete( key );
+      }
+    } );
+    this.settingsKey = settingsKey;
+    this.prismKeys = prismKeys;
+
+    const rays = [];
+    const intersections = [];
+    const truncations = [];
+    const tunnelings = [];
+    this.rayTrees.forEach( rayTree => rayTree.forEachNode( node => {
+      node.lightRays.forEach( lightRay => rays.push( lightRay.stateObject ) );
+      node.intersections.forEach( intersection => intersections.push( intersection ) );
+      node.truncations.forEach( truncation => truncations.push( truncation ) );
+      node.tunnelings.forEach( tunneling => tunnelings.push( tunneling ) );
+    } ) );
+    return { rays: rays, intersections: intersections, truncations: truncations, tunnelings: tunnelings };
+  }
+
+  /**
+   * Gets the bounds of the prisms that were added, changed or removed since the previous scene, including the
+   * surfaces that are close enough to interact with them, see PrismRegions and getTunneling
+   * @private
+   * @param {string[]} prismKeys - describes each prism in the new scene
+   * @returns {Bounds2[]}
+   */
+  getChangedBounds( prismKeys ) {
+
+    // Compare the number of prisms with each description, since there may be identical prisms
+    const counts = new Map();
+    this.prismKeys.forEach( key => counts.set( key, ( counts.get( key ) || 0 ) + 1 ) );
+    prismKeys.forEach( key => counts.set( key, ( counts.get( key ) || 0 ) - 1 ) );
+    const boundsList = [];
+    counts.forEach( ( count, key ) => {
+      if ( count !== 0 ) {
+        boundsList.push( this.scenePrisms.get( key ).getBounds().dilated(
+          Math.max( PrismRegions.CONTACT_TOLERANCE, MAX_TUNNELING_GAP ) ) );
+      }
+    } );
+    return boundsList;
+  }
+
+  /**
+   * Propagates again the rays in a tree that touch any of the bounds, along with all of the rays they produced
+   * @private
+   * @param {RayTreeNode} rayTreeNode
+   * @param {Bounds2[]} boundsList
+   * @returns {RayTreeNode} - the updated tree
+   */
+  updateRayTree( rayTreeNode, boundsList ) {
+    if ( rayTreeNode.intersectsAnyBounds( boundsList ) ) {
+      return this.propagateTheRay( rayTreeNode.incidentRay, rayTreeNode.count, rayTreeNode.showIntersection,
+        rayTreeNode.showTunneling );
+    }
+    else {
+      rayTreeNode.children = rayTreeNode.children.map( child => this.updateRayTree( child, boundsList ) );
+      return rayTreeNode;
+    }
+  }
+
+  /**
+   * Traces all of the rays from the sources
+   * @private
+   */
+  propagateRays() {
+    this.rayTrees = [];
+    this.scene.sources.forEach( source => {
+      const wavelengths = source.wavelengths;
+      const tail = Vector2.fromStateObject( source.tail );
+      const ray = new Ray2( tail, Vector2.fromStateObject( source.direction ) );
+      const medium = this.prismRegions.getMediumAt( tail );
+
+      for ( let i = 0; i < wavelengths.length; i++ ) {
+        const wavelength = wavelengths[ i ];
+
+        // show the intersection for the smallest and largest wavelengths, and the light that tunneled across a gap
+        // only once
+        const showIntersection = ( i === 0 ) || ( i === wavelengths.length - 1 );
+        const showTunneling = i === 0;
+        const power = source.powers[ i ];
+        this.rayTrees.push( this.propagateTheRay( new ColoredRay( ray, power, wavelength,
+          medium.getIndexOfRefractionAt( tail, wavelength ), BendingLightConstants.SPEED_OF_LIGHT / wavelength,
+          source.sPolarizationFraction, medium.getAbsorptionCoefficient( wavelength ), medium, power,
+          source.brightness ), 0, showIntersection, showTunneling ) );
+      }
+    } );
+  }
+
+  /**
+   * Recursive algorithm to compute the pattern of rays in the system. This is the main computation of this model,
+   * rays are cleared beforehand and this algorithm adds them as it goes
+   * @private
+   * @param {ColoredRay} incidentRay - model of the ray
+   * @param {number} count - number of rays
+   * @param {boolean} showIntersection - true if the intersection should be shown.  True for single rays and for
+   *                                     extrema of white light wavelengths
+   * @param {boolean} showTunneling - true if the light that tunneled across a gap should be shown.  True for single
+   *                                  rays and for the first of the white light wavelengths, so that there is one
+   *                                  readout for each gap.
+   * @returns {RayTreeNode} - what was traced for the ray, which is also added to the node of the ray that produced it
+   */
+  propagateTheRay( incidentRay, count, showIntersection, showTunneling ) {
+    const rayTreeNode = new RayTreeNode( incidentRay, count, showIntersection, showTunneling );
+    const parentRayTreeNode = this.rayTreeNode;
+    parentRayTreeNode && parentRayTreeNode.children.push( rayTreeNode );
+    this.rayTreeNode = rayTreeNode;
+    this.traceRay( incidentRay, count, showIntersection, showTunneling );
+    this.rayTreeNode = parentRayTreeNode;
+    return rayTreeNode;
+  }
+
+  /**
+   * Adds a segment of a ray to the node of the ray that is being propagated
+   * @private
+   * @param {Vector2} tail
+   * @param {Vector2} tip
+   * @param {ColoredRay} incidentRay - the ray that the segment is part of
+   * @param {number} indexOfRefraction - of the medium at the tail of the segment
+   * @param {number} power - at the tail of the segment
+   */
+  addRay( tail, tip, incidentRay, indexOfRefraction, power ) {
+    this.rayTreeNode.lightRays.push( {
+      tail: tail,
+      tip: tip,
+
+      // the result, which has the arguments for a LightRay
+      stateObject: {
+        id: this.nextId++,
+        tail: tail.toStateObject(),
+        tip: tip.toStateObject(),
+        indexOfRefraction: indexOfRefraction,
+        wavelength: incidentRay.wavelength / indexOfRefraction, // in meters, in the medium
+        wavelengthInVacuum: incidentRay.wavelength * 1E9, // in nm
+        power: power,
+        sPolarizationFraction: incidentRay.sPolarizationFraction,
+        absorptionCoefficient: incidentRay.absorptionCoefficient,
+        emittedPower: incidentRay.emittedPower,
+        brightness: incidentRay.brightness
+      }
+    } );
+  }
+
+  /**
+   * Adds an intersection to the node of the ray that is being propagated
+   * @private
+   * @param {Intersection} intersection
+   */
+  addIntersection( intersection ) {
+    this.rayTreeNode.intersections.push( {
+      id: this.nextId++,
+      unitNormal: intersection.unitNormal.toStateObject(),
+      point: intersection.point.toStateObject(),
+      surface: intersection.surface
+    } );
+  }
+
+  /**
+   * Adds a marker where the ray that is being propagated was dropped because of a limit of the ray tracing, instead of
+   * leaving the scene or being absorbed
+   * @private
+   * @param {ColoredRay} incidentRay
+   * @param {string} reason - 'bounces' if it was reflected or refracted too many times, 'power' if it was too weak
+   */
+  addTruncation( incidentRay, reason ) {
+    this.rayTreeNode.truncations.push( {
+      id: this.nextId++,
+      point: incidentRay.tail.toStateObject(),
+      power: incidentRay.power,
+      reason: reason
+    } );
+  }
+
+  /**
+   * Adds a readout of the fraction of the power that tunneled across a gap to the node of the ray that is being
+   * propagated
+   * @private
+   * @param {Vector2} point - the middle of the gap
+   * @param {number} power - fraction of the power at the gap that tunneled across it
+   * @param {number} gapWidth - in meters
+   */
+  addTunneling( point, power, gapWidth ) {
+    this.rayTreeNode.tunnelings.push( {
+      id: this.nextId++,
+      point: point.toStateObject(),
+      power: power,
+      gapWidth: gapWidth
+    } );
+  }
+
+  /**
+   * Computes what happens to one ray, see propagateTheRay
+   * @private
+   * @param {ColoredRay} incidentRay - model of the ray
+   * @param {number} count - number of rays
+   * @param {boolean} showIntersection - true if the intersection should be shown
+   * @param {boolean} showTunneling - true if the light that tunneled across a gap should be shown
+   */
+  traceRay( incidentRay, count, showIntersection, showTunneling ) {
+
+    // Termination condition: we have reached too many iterations or if the ray is very weak.  Rays that carry no
+    // light at all (like the transmitted part of a total internal reflection) are not marked.
+    if ( count > this.scene.maxBounces || incidentRay.power < this.scene.minPower ) {
+      if ( showIntersection && incidentRay.power > 0 ) {
+        this.addTruncation( incidentRay, count > this.scene.maxBounces ? 'bounces' : 'power' );
+      }
+      return;
+    }
+
+    // In a graded-index medium the path curves, so trace it up to the last straight step before the next surface
+    if ( incidentRay.medium.isGraded() ) {
+      incidentRay = this.traceGradedRay( incidentRay );
+      if ( incidentRay === null ) {
+        return;
+      }
+    }
+
+    // Distance at which absorption in the current medium makes the ray too weak to continue
+    const absorptionLength = incidentRay.absorptionCoefficient > 0 ?
+                             Math.log( incidentRay.power / this.scene.minPower ) / incidentRay.absorptionCoefficient :
+                             Number.POSITIVE_INFINITY;
+
+    // Check for an interface, ignoring surfaces the light is absorbed before reaching
+    let nextInterface = this.prismRegions.getNextInterface( incidentRay );
+    if ( nextInterface !== null && nextInterface.intersection.point.distance( incidentRay.tail ) > absorptionLength ) {
+      nextInterface = null;
+    }
+    const intersection = nextInterface === null ? null : nextInterface.intersection;
+    const L = incidentRay.directionUnitVector;
+    const n1 = incidentRay.mediumIndexOfRefraction;
+    if ( intersection !== null ) {
+
+      // List the intersection in the model
+      if ( showIntersection ) {
+        this.addIntersection( intersection );
+      }
+
+      if ( intersection.surface === 'grating' ) {
+        this.diffractFromGrating( incidentRay, intersection, count, showIntersection, showTunneling );
+        return;
+      }
+      if ( intersection.surface !== 'interface' ) {
+        this.reflectFromMirror( incidentRay, intersection, count, showIntersection, showTunneling );
+        return;
+      }
+
+      // Index of refraction and absorption coefficient of the other medium
+      const medium2 = nextInterface.medium;
+      const n2 = medium2.getIndexOfRefractionAt( intersection.point, incidentRay.getBaseWavelength() );
+      const absorptionCoefficient2 = medium2.getAbsorptionCoefficient( incidentRay.getBaseWavelength() );
+
+      // Power that reaches the surface after absorption along the way
+      const powerAtIntersection = incidentRay.power *
+                                  Math.exp( -incidentRay.absorptionCoefficient * intersection.point.distance( incidentRay.tail ) );
+
+      // Precompute for readability
+      const point = intersection.point;
+      const n = intersection.unitNormal;
+
+      // Compute the output rays, see http://en.wikipedia.org/wiki/Snell's_law#Vector_form
+      const cosTheta1 = n.dotXY( L.x * -1, L.y * -1 );
+      const cosTheta2Radicand = 1 - Math.pow( n1 / n2, 2 ) * ( 1 - Math.pow( cosTheta1, 2 ) );
+      const totalInternalReflection = cosTheta2Radicand < 0;
+
+      // Where the face is coated, the films decide how much light is reflected and transmitted
+      const coatingLayers = intersection.coatingLayers;
+      const coated = coatingLayers ? FresnelEquations.getCoatedPowers( n1, n2, coatingLayers,
+        Math.sqrt( 1 - cosTheta1 * cosTheta1 ), incidentRay.wavelength, incidentRay.sPolarizationFraction ) : null;
+
+      // Where the light is totally internally reflected, some of it may tunnel across a narrow gap
+      const tunneling = totalInternalReflection && !coated ?
+                        this.getTunneling( incidentRay, intersection, medium2, n2, powerAtIntersection ) :
+                        null;
+      const cosTheta2 = Math.sqrt( Math.abs( cosTheta2Radicand ) );
+      const vReflect = ( n.times( 2 * cosTheta1 ) ).add( L );
+      let vRefract = cosTheta1 > 0 ?
+                     ( L.times( n1 / n2 ) ).addXY(
+                       n.x * ( n1 / n2 * cosTheta1 - cosTheta2 ),
+                       n.y * ( n1 / n2 * cosTheta1 - cosTheta2 )
+                     ) :
+                     ( L.times( n1 / n2 ) ).addXY(
+                       n.x * ( n1 / n2 * cosTheta1 + cosTheta2 ),
+                       n.y * ( n1 / n2 * cosTheta1 + cosTheta2 )
+                     );
+
+      // Normalize the direction vector, see https://github.com/phetsims/bending-light/issues/226
+      vRefract = vRefract.normalized();
+
+      // Fresnel equations for the mix of s- and p-polarized light in the incident ray, unless the face is coated
+      const sPolarizationFraction = incidentRay.sPolarizationFraction;
+      const reflectedPower = coated ? Utils.clamp( coated.reflectedPower, 0, 1 ) :
+                             totalInternalReflection ? 1 - ( tunneling ? tunneling.power : 0 )
+                                                     : Utils.clamp( FresnelEquations.getPolarizedReflectedPower( n1, n2, cosTheta1, cosTheta2, sPolarizationFraction ), 0, 1 );
+      const transmittedPower = coated ? Utils.clamp( coated.transmittedPower, 0, 1 ) :
+                               totalInternalReflection ? 0
+                                                       : Utils.clamp( FresnelEquations.getPolarizedTransmittedPower( n1, n2, cosTheta1, cosTheta2, sPolarizationFraction ), 0, 1 );
+
+      // The s and p components are reflected and transmitted in different proportions, so the polarization changes
+      const reflectedSPolarizationFraction = coated ? coated.reflectedSPolarizationFraction :
+                                             totalInternalReflection ? sPolarizationFraction :
+                                             FresnelEquations.getReflectedSPolarizationFraction( n1, n2, cosTheta1, cosTheta2, sPolarizationFraction );
+      const transmittedSPolarizationFraction = coated ? coated.transmittedSPolarizationFraction :
+                                               totalInternalReflection ? sPolarizationFraction :
+                                               FresnelEquations.getTransmittedSPolarizationFraction( n1, n2, cosTheta1, cosTheta2, sPolarizationFraction );
+
+      // Create the new rays and propagate them recursively
+      const reflectedRay = new Ray2( incidentRay.directionUnitVector.times( -1E-12 ).add( point ), vReflect );
+      const reflected = new ColoredRay(
+        reflectedRay,
+        powerAtIntersection * reflectedPower,
+        incidentRay.wavelength,
+        incidentRay.mediumIndexOfRefraction,
+        incidentRay.frequency,
+        reflectedSPolarizationFraction,
+        incidentRay.absorptionCoefficient,
+        incidentRay.medium,
+        incidentRay.emittedPower,
+        incidentRay.brightness
+      );
+      // If surfaces are in contact, the refracted ray continues from the last of them
+      const refractedRay = new Ray2( incidentRay.directionUnitVector.times( +1E-12 ).add( nextInterface.exitPoint ),
+        vRefract );
+      const refracted = new ColoredRay(
+        refractedRay,
+        powerAtIntersection * transmittedPower,
+        incidentRay.wavelength,
+        n2,
+        incidentRay.frequency,
+        transmittedSPolarizationFraction,
+        absorptionCoefficient2,
+        medium2,
+        incidentRay.emittedPower,
+        incidentRay.brightness
+      );
+
+      // The light reflected by a coating is always shown, since the coating is there to change it
+      if ( this.scene.showReflections || totalInternalReflection || coated ) {
+        this.propagateTheRay( reflected, count + 1, showIntersection, showTunneling );
+      }
+      this.propagateTheRay( refracted, count + 1, showIntersection, showTunneling );
+      if ( tunneling ) {
+        if ( showIntersection ) {
+          this.addIntersection( tunneling.intersection );
+        }
+        if ( showTunneling ) {
+          this.addTunneling( point.average( tunneling.intersection.point ), tunneling.power,
+            point.distance( tunneling.intersection.point ) );
+        }
+        this.propagateTheRay( tunneling.ray, count + 1, showIntersection, showTunneling );
+      }
+
+      // Add the incident ray itself
+      this.addRay( incidentRay.tail, intersection.point, incidentRay, n1, incidentRay.power );
+    }
+    else {
+
+      // No intersection, so the light ray should just keep going.  If the light ray gets too long, it will cause
+      // rendering artifacts like #219.  Stop where it is absorbed.
+      this.addRay(
+        incidentRay.tail,
+        incidentRay.tail.plus( incidentRay.directionUnitVector.times( Math.min( MAX_RAY_LENGTH, absorptionLength ) ) ),
+        incidentRay,
+        n1,
+        incidentRay.power
+      );
+    }
+  }
+
+  /**
+   * Finds whether a totally internally reflected ray tunnels across a gap to a nearby surface, which is frustrated
+   * total internal reflection.  The gap is measured along the normal, and the tunneled ray leaves the far side of the
+   * gap opposite of where it was reflected, in the direction it would have if the gap were not there.
+   * @private
+   * @param {ColoredRay} incidentRay
+   * @param {Intersection} intersection - where the ray is totally internally reflected
+   * @param {SceneMedium} gapMedium - the medium on the other side of the surface
+   * @param {number} gapIndexOfRefraction - index of refraction of the gap medium at the intersection
+   * @param {number} powerAtIntersection - power of the incident ray at the intersection
+   * @returns {{power: number, intersection: Intersection, ray: ColoredRay}|null} - the fraction of the power that
+   *          tunnels, the intersection with the far side of the gap and the tunneled ray, or null if no light tunnels
+   */
+  getTunneling( incidentRay, intersection, gapMedium, gapIndexOfRefraction, powerAtIntersection ) {
+
+    // The evanescent wave is only modeled in a uniform gap
+    if ( gapMedium.isGraded() ) {
+      return null;
+    }
+    const L = incidentRay.directionUnitVector;
+    const wavelength = incidentRay.getBaseWavelength();
+
+    // Look across the gap, away from the incident light
+    const gapDirection = intersection.unitNormal.times( -1 );
+    const gapRay = new ColoredRay( new Ray2( gapDirection.times( 1E-12 ).add( intersection.point ), gapDirection ), 0,
+      incidentRay.wavelength, gapIndexOfRefraction, incidentRay.frequency, incidentRay.sPolarizationFraction,
+      gapMedium.getAbsorptionCoefficient( wavelength ), gapMedium, incidentRay.emittedPower,
+      incidentRay.brightness );
+    const farInterface = this.prismRegions.getNextInterface( gapRay );
+    if ( farInterface === null || farInterface.intersection.surface !== 'interface' ||
+         farInterface.intersection.point.distance( intersection.point ) > MAX_TUNNELING_GAP ) {
+      return null;
+    }
+    const farIntersection = farInterface.intersection;
+    const gapWidth = farIntersection.point.distance( intersection.point );
+
+    // Like Snell's law from the incident medium to the far medium, at the far surface
+    const n1 = incidentRay.mediumIndexOfRefraction;
+    const n3 = farInterface.medium.getIndexOfRefractionAt( farIntersection.point, wavelength );
+    const m = farIntersection.unitNormal;
+    const cosTheta1 = m.dotXY( -L.x, -L.y );
+    const cosTheta3Radicand = 1 - Math.pow( n1 / n3, 2 ) * ( 1 - cosTheta1 * cosTheta1 );
+    if ( cosTheta1 <= 0 || cosTheta3Radicand < 0 ) {
+      return null;
+    }
+    const direction = L.times( n1 / n3 ).plus( m.times( n1 / n3 * cosTheta1 - Math.sqrt( cosTheta3Radicand ) ) )
+      .normalized();
+
+    const sinTheta1 = Math.sqrt( 1 - Math.pow( intersection.unitNormal.dotXY( -L.x, -L.y ), 2 ) );
+    const sPolarizationFraction = incidentRay.sPolarizationFraction;
+    const power = Utils.clamp( FresnelEquations.getTunneledPower( n1, gapIndexOfRefraction, n3, sinTheta1, gapWidth,
+      incidentRay.wavelength, sPolarizationFraction ), 0, 1 );
+
+    // Too little light tunnels to be traced
+    if ( powerAtIntersection * power < this.scene.minPower ) {
+      return null;
+    }
+    return {
+      power: power,
+      intersection: farIntersection,
+      ray: new ColoredRay(
+        new Ray2( direction.times( 1E-12 ).add( farInterface.exitPoint ), direction ),
+        powerAtIntersection * power,
+        incidentRay.wavelength,
+        n3,
+        incidentRay.frequency,
+        FresnelEquations.getTunneledSPolarizationFraction( n1, gapIndexOfRefraction, n3, sinTheta1, gapWidth,
+          incidentRay.wavelength, sPolarizationFraction ),
+        farInterface.medium.getAbsorptionCoefficient( wavelength ),
+        farInterface.medium,
+        incidentRay.emittedPower,
+        incidentRay.brightness
+      )
+    };
+  }
+
+  /**
+   * Reflects a ray from the front of a mirror, or absorbs it if it hits the back of the mirror.  Like the other
+   * surfaces, the normal of the intersection points toward the incident ray.
+   * @private
+   * @param {ColoredRay} incidentRay
+   * @param {Intersection} intersection - where the ray hits the mirror
+   * @param {number} count - number of rays so far
+   * @param {boolean} showIntersection - true if the intersection should be shown
+   * @param {boolean} showTunneling - true if the light that tunneled across a gap should be shown
+   */
+  reflectFromMirror( incidentRay, intersection, count, showIntersection, showTunneling ) {
+    const L = incidentRay.directionUnitVector;
+    const n = intersection.unitNormal;
+    const point = intersection.point;
+    const powerAtIntersection = incidentRay.power *
+                                Math.exp( -incidentRay.absorptionCoefficient * point.distance( incidentRay.tail ) );
+
+    if ( intersection.surface === 'mirror' ) {
+      const vReflect = ( n.times( 2 * n.dotXY( L.x * -1, L.y * -1 ) ) ).add( L );
+      this.propagateTheRay( new ColoredRay(
+        new Ray2( L.times( -1E-12 ).add( point ), vReflect ),
+        powerAtIntersection * this.scene.mirrorReflectance,
+        incidentRay.wavelength,
+        incidentRay.mediumIndexOfRefraction,
+        incidentRay.frequency,
+        incidentRay.sPolarizationFraction,
+        incidentRay.absorptionCoefficient,
+        incidentRay.medium,
+        incidentRay.emittedPower,
+        incidentRay.brightness
+      ), count + 1, showIntersection, showTunneling );
+    }
+
+    // Add the incident ray itself
+    this.addRay( incidentRay.tail, point, incidentRay, incidentRay.mediumIndexOfRefraction, incidentRay.power );
+  }
+
+  /**
+   * Splits a ray that crosses a grating into its diffraction orders, which continue in the same medium on the other
+   * side.  The direction of each order m follows the grating equation,
+   * n sin( theta_m ) = n sin( theta_i ) + m lambda / d, for the wavelength lambda in vacuum and the period d, so longer
+   * wavelengths are diffracted more.  The power is shared among the orders that can propagate in proportion to the
+   * single-slit envelope, sinc^2( m a / d ) for slits of width a.
+   * @private
+   * @param {ColoredRay} incidentRay
+   * @param {Intersection} intersection - where the ray crosses the grating
+   * @param {number} count - number of rays so far
+   * @param {boolean} showIntersection - true if the intersection should be shown
+   * @param {boolean} showTunneling - true if the light that tunneled across a gap should be shown
+   */
+  diffractFromGrating( incidentRay, intersection, count, showIntersection, showTunneling ) {
+    const L = incidentRay.directionUnitVector;
+    const point = intersection.point;
+    const powerAtIntersection = incidentRay.power *
+                                Math.exp( -incidentRay.absorptionCoefficient * point.distance( incidentRay.tail ) );
+
+    // Directions across the lines of the grating and through it
+    const across = intersection.unitNormal.rotated( Math.PI / 2 );
+    const through = intersection.unitNormal.negated();
+
+    // Change of sin( theta ) from one order to the next
+    const sinThetaI = L.dot( across );
+    const orderStep = incidentRay.getBaseWavelength() / ( incidentRay.mediumIndexOfRefraction * this.scene.gratingPeriod );
+    const orders = _.range( -MAX_GRATING_ORDER, MAX_GRATING_ORDER + 1 )
+      .filter( m => Math.abs( sinThetaI + m * orderStep ) < 1 );
+    const envelope = orders.map( m => m === 0 ? 1 :
+                                      Math.pow( Math.sin( Math.PI * m * GRATING_SLIT_FRACTION ) /
+                                                ( Math.PI * m * GRATING_SLIT_FRACTION ), 2 ) );
+    const totalEnvelope = _.sum( envelope );
+
+    orders.forEach( ( m, i ) => {
+      const sinTheta = sinThetaI + m * orderStep;
+      const direction = across.times( sinTheta ).add( through.times( Math.sqrt( 1 - sinTheta * sinTheta ) ) );
+      this.propagateTheRay( new ColoredRay(
+        new Ray2( direction.times( 1E-12 ).add( point ), direction ),
+        powerAtIntersection * envelope[ i ] / totalEnvelope,
+        incidentRay.wavelength,
+        incidentRay.mediumIndexOfRefraction,
+        incidentRay.frequency,
+        incidentRay.sPolarizationFraction,
+        incidentRay.absorptionCoefficient,
+        incidentRay.medium,
+        incidentRay.emittedPower,
+        incidentRay.brightness
+      ), count + 1, showIntersection, showTunneling );
+    } );
+
+    // Add the incident ray itself
+    this.addRay( incidentRay.tail, point, incidentRay, incidentRay.mediumIndexOfRefraction, incidentRay.power );
+  }
+
+  /**
+   * Traces a ray through a graded-index medium, where its path curves toward higher index of refraction.  The ray
+   * equation d/ds( n dr/ds ) = grad( n ) is integrated with the midpoint method in short steps, each of which is added
+   * as a straight segment, until the next step would reach the surface of a prism.
+   * @private
+   * @param {ColoredRay} incidentRay - a ray in a graded-index medium
+   * @returns {ColoredRay|null} - the last straight step toward the surface, or null if the ray left the play area or
+   *                              was absorbed before reaching a surface
+   */
+  traceGradedRay( incidentRay ) {
+    const medium = incidentRay.medium;
+    const wavelength = incidentRay.getBaseWavelength();
+
+    /**
+     * Turns the direction toward the gradient of the index of refraction over a distance
+     * @param {Vector2} direction - unit vector
+     * @param {Vector2} position - where the gradient is evaluated
+     * @param {number} distance
+     * @returns {Vector2}
+     */
+    const bend = ( direction, position, distance ) => {
+      const gradient = medium.getIndexGradientAt( position );
+
+      // only the component of the gradient perpendicular to the ray changes its direction
+      const perpendicularGradient = gradient.minus( direction.times( gradient.dot( direction ) ) );
+      return direction.plus( perpendicularGradient.times( distance / medium.getIndexOfRefractionAt( position, wavelength ) ) )
+        .normalized();
+    };
+
+    let position = incidentRay.tail;
+    let direction = incidentRay.directionUnitVector;
+    let power = incidentRay.power;
+    for ( let i = 0; i < MAX_GRADED_STEPS && power >= this.scene.minPower; i++ ) {
+      const n = medium.getIndexOfRefractionAt( position, wavelength );
+      const stepRay = new ColoredRay( new Ray2( position, direction ), power, incidentRay.wavelength, n,
+        incidentRay.frequency, incidentRay.sPolarizationFraction, incidentRay.absorptionCoefficient, medium,
+        incidentRay.emittedPower, incidentRay.brightness );
+
+      // The surface is close enough to treat the rest of the path as straight
+      const nextInterface = this.prismRegions.getNextInterface( stepRay );
+      if ( nextInterface !== null && nextInterface.intersection.point.distance( position ) <= GRADED_STEP_LENGTH ) {
+        return stepRay;
+      }
+      if ( !this.gradedTracingBounds.containsPoint( position ) ) {
+        return null;
+      }
+
+      const midpoint = position.plus( bend( direction, position, GRADED_STEP_LENGTH / 2 ).times( GRADED_STEP_LENGTH / 2 ) );
+      const nextDirection = bend( direction, midpoint, GRADED_STEP_LENGTH );
+      const nextPosition = position.plus( direction.plus( nextDirection ).normalized().times( GRADED_STEP_LENGTH ) );
+
+      this.addRay( position, nextPosition, incidentRay, n, power );
+      power = power * Math.exp( -incidentRay.absorptionCoefficient * GRADED_STEP_LENGTH );
+      position = nextPosition;
+      direction = nextDirection;
+    }
+    return null;
+  }
+}
+
+bendingLight.register( 'RayTracingCore', RayTracingCore );
+
+export default RayTracingCore;
@@ -0,0 +1,73 @@
+// Copyright 2021, University of Colorado Boulder
+
+/**
+ * Records the results of propagating one ray in the prisms screen: the segments and intersections that were traced for
+ * it, where it was cut short or tunneled across a gap, and the nodes for the reflected, refracted and tunneled rays
+ * that it produced.  The tree is kept so that when a prism changes, only the rays that came near it need to be
+ * propagated again, see RayTracingCore.
+ *
+ * @author Sam Reid (PhET Interactive Simulations)
+ */
+
+import bendingLight from '../../bendingLight.js';
+import PrismBoundingVolumeHierarchy from './PrismBoundingVolumeHierarchy.js';
+
+class RayTreeNode {
+
+  /**
+   * @param {ColoredRay} incidentRay - the ray that was propagated
+   * @param {number} count - number of reflections and refractions before this ray
+   * @param {boolean} showIntersection - whether the intersections of the ray are shown
+   * @param {boolean} showTunneling - whether the light that tunneled across gaps is shown
+   */
+  constructor( incidentRay, count, showIntersection, showTunneling ) {
+
+    // @public (read-only) - the arguments for propagating the ray again
+    this.incidentRay = incidentRay;
+    this.count = count;
+    this.showIntersection = showIntersection;
+    this.showTunneling = showTunneling;
+
+    // @public {{tail: Vector2, tip: Vector2, stateObject: Object}[]} - the segments of the ray, see
+    // RayTracingCore.addRay
+    this.lightRays = [];
+
+    // @public {Object[]} - the intersections of the ray, see RayTracingCore.addIntersection
+    this.intersections = [];
+
+    // @public {Object[]} - where the ray was dropped because of a limit, see RayTracingCore.addTruncation
+    this.truncations = [];
+
+    // @public {Object[]} - readouts of the light that tunneled across gaps, see RayTracingCore.addTunneling
+    this.tunnelings = [];
+
+    // @public {RayTreeNode[]} - the rays that this ray produced
+    this.children = [];
+  }
+
+  /**
+   * Determines whether any segment of this ray (not including its children) touches any of the bounds
+   * @public
+   * @param {Bounds2[]} boundsList
+   * @returns {boolean}
+   */
+  intersectsAnyBounds( boundsList ) {
+    return _.some( this.lightRays, lightRay => _.some( boundsList,
+      bounds => PrismBoundingVolumeHierarchy.segmentHitsBounds( lightRay.tail, lightRay.tip, bounds )
+    ) );
+  }
+
+  /**
+   * Calls a function for this node and all of its descendants
+   * @public
+   * @param {function(RayTreeNode)} callback
+   */
+  forEachNode( callback ) {
+    callback( this );
+    this.children.forEach( child => child.forEachNode( callback ) );
+  }
+}
+
+bendingLight.register( 'RayTreeNode', RayTreeNode );
+
+export default RayTreeNode;
@@ -0,0 +1,29 @@
+// Copyright 2021, University of Colorado Boulder
+
+/**
+ * Models a place where a ray was no longer propagated because of the bounce limit or the power cutoff of the ray
+ * tracing, so that rays which were cut short can be told apart from rays that left the scene.
+ *
+ * @author Sam Reid (PhET Interactive Simulations)
+ */
+
+import bendingLight from '../../bendingLight.js';
+
+class RayTruncation {
+
+  /**
+   * @param {Vector2} point - where the ray that was dropped would have started
+   * @param {number} power - of the ray that was dropped, as a fraction of the power of the laser
+   * @param {string} reason - 'bounces' if the ray was reflected or refracted too many times, 'power' if it was too weak
+   */
+  constructor( point, power, reason ) {
+
+    this.point = point; // @public (read-only)
+    this.power = power; // @public (read-only)
+    this.reason = reason; // @public (read-only)
+  }
+}
+
+bendingLight.register( 'RayTruncation', RayTruncation );
+
+export default RayTruncation;
@@ -0,0 +1,29 @@
+// Copyright 2021, University of Colorado Boulder
+
+/**
+ * Models a gap that light tunneled across where it would otherwise have been totally internally reflected, which is
+ * frustrated total internal reflection, so that the fraction of the light that crossed the gap can be shown.
+ *
+ * @author Sam Reid (PhET Interactive Simulations)
+ */
+
+import bendingLight from '../../bendingLight.js';
+
+class RayTunneling {
+
+  /**
+   * @param {Vector2} point - the middle of the gap
+   * @param {number} power - fraction of the power at the gap that tunneled across it
+   * @param {number} gapWidth - in meters
+   */
+  constructor( point, power, gapWidth ) {
+
+    this.point = point; // @public (read-only)
+    this.power = power; // @public (read-only)
+    this.gapWidth = gapWidth; // @public (read-only)
+  }
+}
+
+bendingLight.register( 'RayTunneling', RayTunneling );
+
+export default RayTunneling;
@@ -0,0 +1,120 @@
+// Copyright 2021, University of Colorado Boulder
+
+/**
+ * The properties of a medium that are needed to trace rays through it, see RayTracingCore.  Instead of a Substance with
+ * a dispersion function, it has the index of refraction and absorption coefficient at each wavelength of the light
+ * in the scene, so that it can be made from a plain object in a Web Worker.
+ *
+ * @author Sam Reid (PhET Interactive Simulations)
+ */
+
+import bendingLight from '../../bendingLight.js';
+import IndexProfile from '../../common/model/IndexProfile.js';
+
+class SceneMedium {
+
+  /**
+   * @param {number[]} wavelengths - wavelengths of the light in the scene, in meters
+   * @param {number[]} indicesOfRefraction - for each wavelength
+   * @param {number[]} absorptionCoefficients - for each wavelength, in 1/m
+   * @param {IndexProfile|null} indexProfile - change in the index of refraction with position, null unless the medium
+   *                                         - is graded
+   */
+  constructor( wavelengths, indicesOfRefraction, absorptionCoefficients, indexProfile ) {
+
+    // @private
+    this.wavelengths = wavelengths;
+    this.indicesOfRefraction = indicesOfRefraction;
+    this.absorptionCoefficients = absorptionCoefficients;
+    this.indexProfile = indexProfile;
+  }
+
+  /**
+   * Finds the wavelength of the scene that is closest to a wavelength, which may differ slightly because of floating
+   * point error
+   * @private
+   * @param {number} wavelength - in meters
+   * @returns {number} - index into the wavelengths
+   */
+  getWavelengthIndex( wavelength ) {
+    let index = 0;
+    for ( let i = 1; i < this.wavelengths.length; i++ ) {
+      if ( Math.abs( this.wavelengths[ i ] - wavelength ) < Math.abs( this.wavelengths[ index ] - wavelength ) ) {
+        index = i;
+      }
+    }
+    return index;
+  }
+
+  /**
+   * Determines the index of refraction of the medium at a position, see Medium.getIndexOfRefractionAt
+   * @public
+   * @param {Vector2} position - in meters
+   * @param {number} wavelength - in meters
+   * @returns {number}
+   */
+  getIndexOfRefractionAt( position, wavelength ) {
+    const indexOfRefraction = this.indicesOfRefraction[ this.getWavelengthIndex( wavelength ) ];
+    return this.indexProfile ? indexOfRefraction + this.indexProfile.getIndexChangeAt( position ) : indexOfRefraction;
+  }
+
+  /**
+   * Determines the gradient of the index of refraction at a position, see GradedIndexMedium.getIndexGradientAt
+   * @public
+   * @param {Vector2} position - in meters
+   * @returns {Vector2} - in 1/m
+   */
+  getIndexGradientAt( position ) {
+    return this.indexProfile.getGradientAt( position );
+  }
+
+  /**
+   * Determines the absorption coefficient of the medium
+   * @public
+   * @param {number} wavelength - in meters
+   * @returns {number} - in 1/m
+   */
+  getAbsorptionCoefficient( wavelength ) {
+    return this.absorptionCoefficients[ this.getWavelengthIndex( wavelength ) ];
+  }
+
+  /**
+   * Determines whether the index of refraction varies with position
+   * @public
+   * @returns {boolean}
+   */
+  isGraded() {
+    return this.indexProfile !== null;
+  }
+
+  /**
+   * Describes a medium with a plain object
+   * @public
+   * @param {Medium} medium
+   * @param {number[]} wavelengths - wavelengths of the light in the scene, in meters
+   * @returns {Object}
+   */
+  static createStateObject( medium, wavelengths ) {
+    return {
+      indicesOfRefraction: wavelengths.map( wavelength => medium.getIndexOfRefraction( wavelength ) ),
+      absorptionCoefficients: wavelengths.map( wavelength => medium.getAbsorptionCoefficient( wavelength ) ),
+      indexProfile: medium.isGraded() ? medium.indexProfile.toStateObject() : null
+    };
+  }
+
+  /**
+   * Creates a SceneMedium from a plain object made by createStateObject
+   * @public
+   * @param {Object} stateObject
+   * @param {number[]} wavelengths - the same wavelengths that the state object was made for
+   * @returns {SceneMedium}
+   */
+  static fromStateObject( stateObject, wavelengths ) {
+    return new SceneMedium( wavelengths, stateObject.indicesOfRefraction, stateObject.absorptionCoefficients,
+      stateObject.indexProfile ? IndexProfile.fromStateObject( stateObject.indexProfile ) : null );
+  }
+}
+
+bendingLight.register( 'SceneMedium', SceneMedium );
+
+export default SceneMedium;
@@ -0,0 +1,142 @@
+// Copyright 2021, University of Colorado Boulder
+
+/**
+ * A prism, mirror or grating at a fixed position, as seen by the ray tracing, see RayTracingCore.  Unlike Prism it has no
+ * Properties, and it can be made from a plain object in a Web Worker.
+ *
+ * @author Sam Reid (PhET Interactive Simulations)
+ */
+
+import bendingLight from '../../bendingLight.js';
+import Circle from './Circle.js';
+import CurvedPolygon from './CurvedPolygon.js';
+import Grating from './Grating.js';
+import Mirror from './Mirror.js';
+import Polygon from './Polygon.js';
+import SceneMedium from './SceneMedium.js';
+import SemiCircle from './SemiCircle.js';
+
+// constants
+
+// distance from a face at which the prism is sampled to find which side of the face the light comes from
+const SAMPLE_OFFSET = 1E-12;
+
+const SHAPE_TYPES = {
+  Circle: Circle,
+  CurvedPolygon: CurvedPolygon,
+  Grating: Grating,
+  Mirror: Mirror,
+  Polygon: Polygon,
+  SemiCircle: SemiCircle
+};
+
+class ScenePrism {
+
+  /**
+   * @param {Polygon|Circle|SemiCircle|CurvedPolygon|Mirror|Grating} shape - at the position of the prism
+   * @param {SceneMedium|null} medium - material of the prism, null for mirrors and gratings
+   * @param {Array.<Array.<Object>|null>} coatings - the layers of the coating of each face from the face outward, see
+   *                                              - Coating.  Faces past the end of the array are not coated.
+   */
+  constructor( shape, medium, coatings ) {
+
+    // @public (read-only)
+    this.shape = shape;
+    this.medium = medium;
+
+    // @private
+    this.coatings = coatings;
+  }
+
+  /**
+   * Gets the bounding box of the prism
+   * @public
+   * @returns {Bounds2}
+   */
+  getBounds() {
+    return this.shape.shape.bounds;
+  }
+
+  /**
+   * Compute the intersections of the specified ray with the edges of the prism, with the coatings of the faces
+   * @public
+   * @param {ColoredRay} incidentRay
+   * @returns {Intersection[]}
+   */
+  getIntersections( incidentRay ) {
+    const intersections = this.shape.getIntersections( incidentRay );
+    intersections.forEach( intersection => {
+      const layers = intersection.faceIndex === null ? null : this.coatings[ intersection.faceIndex ];
+      if ( layers ) {
+
+        // The films are on the outside of the face, so light from outside of the prism meets them in reverse order.
+        // The normal points toward the side the light comes from.
+        const fromInside = this.contains( intersection.point.plus( intersection.unitNormal.times( SAMPLE_OFFSET ) ) );
+        intersection.coatingLayers = fromInside ? layers : layers.slice().reverse();
+      }
+    } );
+    return intersections;
+  }
+
+  /**
+   * Determines whether the prism contains a point
+   * @public
+   * @param {Vector2} point
+   * @returns {boolean}
+   */
+  contains( point ) {
+    return this.shape.containsPoint( point );
+  }
+
+  /**
+   * Mirrors reflect light instead of refracting it, and do not contain a medium
+   * @public
+   * @returns {boolean}
+   */
+  isMirror() {
+    return this.shape instanceof Mirror;
+  }
+
+  /**
+   * Whether the prism is made of a medium, which is not the case for mirrors and gratings
+   * @public
+   * @returns {boolean}
+   */
+  hasMedium() {
+    return this.medium !== null;
+  }
+
+  /**
+   * Describes a prism at its current position with a plain object
+   * @public
+   * @param {Prism} prism
+   * @param {number[]} wavelengths - wavelengths of the light in the scene, in meters
+   * @returns {Object}
+   */
+  static createStateObject( prism, wavelengths ) {
+    return {
+      shape: prism.getTranslatedShape().toStateObject(),
+      medium: prism.hasMedium() ? SceneMedium.createStateObject( prism.mediumProperty.value, wavelengths ) : null,
+      coatings: prism.coatingsProperty.value.map( coating => coating ? coating.layers : null )
+    };
+  }
+
+  /**
+   * Creates a ScenePrism from a plain object made by createStateObject
+   * @public
+   * @param {Object} stateObject
+   * @param {number[]} wavelengths - the same wavelengths that the state object was made for
+   * @returns {ScenePrism}
+   */
+  static fromStateObject( stateObject, wavelengths ) {
+    return new ScenePrism(
+      SHAPE_TYPES[ stateObject.shape.type ].fromStateObject( stateObject.shape ),
+      stateObject.medium ? SceneMedium.fromStateObject( stateObject.medium, wavelengths ) : null,
+      stateObject.coatings
+    );
+  }
+}
+
+bendingLight.register( 'ScenePrism', ScenePrism );
+
+export default ScenePrism;
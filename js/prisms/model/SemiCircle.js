@@ -7,6 +7,7 @@
  * @author Chandrashekar Bemagoni (Actual Concepts)
  */
 
+import Vector2 from '../../../../dot/js/Vector2.js';
 import Arc from '../../../../kite/js/segments/Arc.js';
 import Line from '../../../../kite/js/segments/Line.js';
 import Shape from '../../../../kite/js/Shape.js';
@@ -126,10 +127,46 @@ class SemiCircle {
    * @returns {array.<Intersection>}
    */
   getIntersections( ray ) {
-    const segment = new Line( this.points[ 0 ], this.points[ 1 ] );
+    const faces = this.getFaces();
+    return PrismIntersection.getIntersections( [ faces[ 0 ] ], faces[ 1 ], this.center, ray );
+  }
+
+  /**
+   * Lists the faces that can be coated, in the order of their indices: the flat side, then the curved side
+   * @public
+   * @returns {Array.<Line|Arc>}
+   */
+  getFaces() {
     const startAngle = Math.atan2( this.points[ 1 ].y - this.center.y, this.points[ 1 ].x - this.center.x );
-    const arc = new Arc( this.center, this.radius, startAngle, startAngle + Math.PI, true );
-    return PrismIntersection.getIntersections( [ segment ], arc, this.center, ray );
+    return [
+      new Line( this.points[ 0 ], this.points[ 1 ] ),
+      new Arc( this.center, this.radius, startAngle, startAngle + Math.PI, true )
+    ];
+  }
+
+  /**
+   * Converts the shape to a plain object, for example to send it to a Web Worker
+   * @public
+   * @returns {Object}
+   */
+  toStateObject() {
+    return {
+      type: 'SemiCircle',
+      referencePointIndex: this.referencePointIndex,
+      points: this.points.map( point => point.toStateObject() ),
+      radius: this.radius
+    };
+  }
+
+  /**
+   * Creates a SemiCircle from a plain object made by toStateObject
+   * @public
+   * @param {Object} stateObject
+   * @returns {SemiCircle}
+   */
+  static fromStateObject( stateObject ) {
+    return new SemiCircle( stateObject.referencePointIndex, stateObject.points.map( Vector2.fromStateObject ),
+      stateObject.radius );
   }
 }
 
@@ -0,0 +1,49 @@
+// Copyright 2021, University of Colorado Boulder
+
+/**
+ * Entry point of the module Web Worker that traces the rays of the prisms screen off of the main thread, see
+ * PrismsModel.  The first message has the settings of the main thread, see PrismsModel.createRayTracingWorker.  Each
+ * later message is a scene from PrismsModel.getSceneStateObject, and the reply is the result of RayTracingCore.trace,
+ * or an error message if the rays could not be traced.  The RayTracingCore is kept between messages so that it can
+ * trace only the rays that changed.
+ *
+ * The worker loads the modules of the simulation, which are only there when the simulation is run from its modules, so
+ * a built simulation traces the rays on the main thread instead.
+ *
+ * @author Sam Reid (PhET Interactive Simulations)
+ */
+
+// The modules of the simulation refer to the global object as window, which is self in a worker
+self.window = self;
+
+/**
+ * Loads the libraries that the page loads before the simulation (assert and lodash), initializes them with the
+ * settings of the main thread, and then loads the modules
+ * @param {{queryParameters: Object, assertionsEnabled: boolean}} settings
+ * @returns {Promise.<RayTracingCore>}
+ */
+const initialize = settings => import( '../../../../assert/js/assert.js' )
+  .then( () => import( '../../../../sherpa/lib/lodash-4.17.4.min.js' ) )
+  .then( () => {
+    settings.assertionsEnabled && window.assertions.enableAssert();
+    self.phet = { chipper: { queryParameters: settings.queryParameters } };
+
+    // The globals must be defined before the modules are loaded, so the modules are imported dynamically
+    return import( './RayTracingCore.js' );
+  } )
+  .then( ( { default: RayTracingCore } ) => new RayTracingCore() );
+
+let rayTracingCorePromise = null;
+self.addEventListener( 'message', event => {
+  if ( !rayTracingCorePromise ) {
+    rayTracingCorePromise = initialize( event.data );
+    return;
+  }
+  rayTracingCorePromise.then( rayTracingCore => {
+    self.postMessage( rayTracingCore.trace( event.data ) );
+  } ).catch( error => {
+
+    // The rays are then traced on the main thread instead
+    self.postMessage( { error: error.toString() } );
+  } );
+} );
@@ -0,0 +1,95 @@
+// Copyright 2021, University of Colorado Boulder
+
+/**
+ * Sets the temperature of the blackbody that a laser emits in the 'blackbody' color mode.  A swatch shows the color of
+ * the thermal radiation before it is dispersed.
+ *
+ * @author Sam Reid (PhET Interactive Simulations)
+ */
+
+import Dimension2 from '../../../../dot/js/Dimension2.js';
+import Utils from '../../../../dot/js/Utils.js';
+import merge from '../../../../phet-core/js/merge.js';
+import StringUtils from '../../../../phetcommon/js/util/StringUtils.js';
+import PhetFont from '../../../../scenery-phet/js/PhetFont.js';
+import HBox from '../../../../scenery/js/nodes/HBox.js';
+import Rectangle from '../../../../scenery/js/nodes/Rectangle.js';
+import Text from '../../../../scenery/js/nodes/Text.js';
+import VBox from '../../../../scenery/js/nodes/VBox.js';
+import HSlider from '../../../../sun/js/HSlider.js';
+import bendingLight from '../../bendingLight.js';
+import bendingLightStrings from '../../bendingLightStrings.js';
+import Laser from '../../common/model/Laser.js';
+
+const blackbodyString = bendingLightStrings.blackbody;
+const temperaturePatternString = bendingLightStrings.temperaturePattern;
+
+// constants
+const FONT = new PhetFont( 12 );
+const TEXT_MAX_WIDTH = 140;
+const SWATCH_WIDTH = 24;
+const SWATCH_HEIGHT = 12;
+
+class BlackbodyControl extends VBox {
+
+  /**
+   * @param {Laser} laser - the laser whose temperature is controlled
+   * @param {Object} [options]
+   */
+  constructor( laser, options ) {
+    const temperatureText = new Text( '', { font: FONT, maxWidth: TEXT_MAX_WIDTH } );
+    const temperatureListener = temperature => {
+      temperatureText.text = StringUtils.format( temperaturePatternString, Utils.roundSymmetric( temperature ) );
+    };
+    laser.blackbodyTemperatureProperty.link( temperatureListener );
+    const temperatureSlider = new HSlider( laser.blackbodyTemperatureProperty, Laser.BLACKBODY_TEMPERATURE_RANGE, {
+      trackFill: 'white',
+      trackSize: new Dimension2( 100, 1 ),
+      thumbSize: new Dimension2( 10, 20 ),
+      constrainValue: value => Utils.roundToInterval( value, 10 )
+    } );
+
+    // the perceived color of the thermal radiation
+    const swatch = new Rectangle( 0, 0, SWATCH_WIDTH, SWATCH_HEIGHT, {
+      stroke: 'gray'
+    } );
+    const spectrumListener = spectrum => {
+      swatch.fill = spectrum.getPerceivedColor();
+    };
+    laser.blackbodySpectrumProperty.link( spectrumListener );
+
+    super( merge( {
+      spacing: 6,
+      align: 'left',
+      children: [
+        new HBox( {
+          spacing: 8,
+          children: [ new Text( blackbodyString, { font: FONT, maxWidth: TEXT_MAX_WIDTH } ), swatch ]
+        } ),
+        temperatureText,
+        temperatureSlider
+      ]
+    }, options ) );
+
+    // @private
+    this.disposeBlackbodyControl = () => {
+      laser.blackbodyTemperatureProperty.unlink( temperatureListener );
+      laser.blackbodySpectrumProperty.unlink( spectrumListener );
+      temperatureSlider.dispose();
+    };
+  }
+
+  /**
+   * Releases references, for lasers that can be removed
+   * @public
+   * @override
+   */
+  dispose() {
+    this.disposeBlackbodyControl();
+    super.dispose();
+  }
+}
+
+bendingLight.register( 'BlackbodyControl', BlackbodyControl );
+
+export default BlackbodyControl;
@@ -0,0 +1,148 @@
+// Copyright 2021, University of Colorado Boulder
+
+/**
+ * Chooses the thin-film coating of a face of the selected prism: none, a single film with an adjustable thickness and
+ * index of refraction, or an anti-reflection or high-reflection stack.  The arrow buttons step through the faces of
+ * the prism, and the selected face is outlined on the prism, see PrismNode.
+ *
+ * @author Sam Reid (PhET Interactive Simulations)
+ */
+
+import DerivedProperty from '../../../../axon/js/DerivedProperty.js';
+import Dimension2 from '../../../../dot/js/Dimension2.js';
+import Utils from '../../../../dot/js/Utils.js';
+import merge from '../../../../phet-core/js/merge.js';
+import StringUtils from '../../../../phetcommon/js/util/StringUtils.js';
+import PhetFont from '../../../../scenery-phet/js/PhetFont.js';
+import HBox from '../../../../scenery/js/nodes/HBox.js';
+import Text from '../../../../scenery/js/nodes/Text.js';
+import VBox from '../../../../scenery/js/nodes/VBox.js';
+import AquaRadioButton from '../../../../sun/js/AquaRadioButton.js';
+import ArrowButton from '../../../../sun/js/buttons/ArrowButton.js';
+import HSlider from '../../../../sun/js/HSlider.js';
+import bendingLight from '../../bendingLight.js';
+import bendingLightStrings from '../../bendingLightStrings.js';
+import Coating from '../model/Coating.js';
+
+const antiReflectionString = bendingLightStrings.antiReflection;
+const coatingString = bendingLightStrings.coating;
+const facePatternString = bendingLightStrings.facePattern;
+const filmIndexPatternString = bendingLightStrings.filmIndexPattern;
+const filmThicknessPatternString = bendingLightStrings.filmThicknessPattern;
+const highReflectionString = bendingLightStrings.highReflection;
+const noCoatingString = bendingLightStrings.noCoating;
+const singleFilmString = bendingLightStrings.singleFilm;
+
+// constants
+const FONT = new PhetFont( 12 );
+const TEXT_MAX_WIDTH = 90;
+const SLIDER_OPTIONS = {
+  trackFill: 'white',
+  trackSize: new Dimension2( 120, 1 ),
+  thumbSize: new Dimension2( 10, 20 )
+};
+
+class CoatingControl extends VBox {
+
+  /**
+   * @param {PrismsModel} prismsModel
+   * @param {Object} [options]
+   */
+  constructor( prismsModel, options ) {
+    const selectedFaceIndexProperty = prismsModel.selectedFaceIndexProperty;
+
+    // Step through the faces of the selected prism
+    const faceText = new Text( '', { font: FONT, maxWidth: TEXT_MAX_WIDTH } );
+    const arrowButtonOptions = {
+      scale: 0.6
+    };
+    const previousFaceButton = new ArrowButton( 'left', () => {
+      selectedFaceIndexProperty.value = selectedFaceIndexProperty.value - 1;
+    }, arrowButtonOptions );
+    const nextFaceButton = new ArrowButton( 'right', () => {
+      selectedFaceIndexProperty.value = selectedFaceIndexProperty.value + 1;
+    }, arrowButtonOptions );
+    const updateFace = () => {
+      const prism = prismsModel.selectedPrismProperty.value;
+      const numberOfFaces = prism ? prism.getFaces().length : 0;
+      const faceIndex = selectedFaceIndexProperty.value;
+      faceText.text = StringUtils.format( facePatternString, faceIndex + 1, numberOfFaces );
+      previousFaceButton.enabled = faceIndex > 0;
+      nextFaceButton.enabled = faceIndex < numberOfFaces - 1;
+    };
+    prismsModel.selectedPrismProperty.link( updateFace );
+    selectedFaceIndexProperty.link( updateFace );
+
+    const radioButtonOptions = {
+      radius: 6
+    };
+    const createButton = ( value, text ) => new AquaRadioButton(
+      prismsModel.coatingTypeProperty,
+      value,
+      new Text( text, { font: FONT, maxWidth: TEXT_MAX_WIDTH } ),
+      radioButtonOptions
+    );
+
+    // the thickness and index of refraction are only used for the single film
+    const filmProperty = new DerivedProperty( [ prismsModel.coatingTypeProperty ],
+      coatingType => coatingType === 'film' );
+    const thicknessText = new Text( '', { font: FONT, maxWidth: 2 * TEXT_MAX_WIDTH } );
+    prismsModel.filmThicknessProperty.link( thickness => {
+      thicknessText.text = StringUtils.format( filmThicknessPatternString, Utils.roundSymmetric( thickness * 1E9 ) );
+    } );
+    const indexText = new Text( '', { font: FONT, maxWidth: 2 * TEXT_MAX_WIDTH } );
+    prismsModel.filmIndexOfRefractionProperty.link( indexOfRefraction => {
+      indexText.text = StringUtils.format( filmIndexPatternString, Utils.toFixed( indexOfRefraction, 2 ) );
+    } );
+    filmProperty.link( film => {
+      thicknessText.opacity = film ? 1 : 0.5;
+      indexText.opacity = film ? 1 : 0.5;
+    } );
+    const thicknessSlider = new HSlider( prismsModel.filmThicknessProperty, Coating.FILM_THICKNESS_RANGE,
+      merge( {
+        constrainValue: value => Utils.roundToInterval( value, 1E-9 ),
+        enabledProperty: filmProperty
+      }, SLIDER_OPTIONS ) );
+    const indexSlider = new HSlider( prismsModel.filmIndexOfRefractionProperty,
+      Coating.FILM_INDEX_OF_REFRACTION_RANGE, merge( {
+        constrainValue: value => Utils.roundToInterval( value, 0.01 ),
+        enabledProperty: filmProperty
+      }, SLIDER_OPTIONS ) );
+
+    super( merge( {
+      spacing: 6,
+      align: 'left',
+      children: [
+        new Text( coatingString, { font: FONT, maxWidth: 2 * TEXT_MAX_WIDTH } ),
+        new HBox( { spacing: 6, children: [ previousFaceButton, faceText, nextFaceButton ] } ),
+        new HBox( {
+          spacing: 10,
+          align: 'top',
+          children: [
+            new VBox( {
+              spacing: 6,
+              align: 'left',
+              children: [ createButton( 'none', noCoatingString ), createButton( 'film', singleFilmString ) ]
+            } ),
+            new VBox( {
+              spacing: 6,
+              align: 'left',
+              children: [
+                createButton( 'antiReflection', antiReflectionString ),
+                createButton( 'highReflection', highReflectionString )
+              ]
+            } )
+          ]
+        } ),
+        thicknessText,
+        thicknessSlider,
+        indexText,
+        indexSlider
+      ]
+    }, options ) );
+  }
+}
+
+bendingLight.register( 'CoatingControl', CoatingControl );
+
+export default CoatingControl;
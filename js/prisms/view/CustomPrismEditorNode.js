@@ -0,0 +1,261 @@
+// Copyright 2021, University of Colorado Boulder
+
+/**
+ * Lets the user make a prism with any polygon shape, either by clicking its corners in the play area or by typing the
+ * coordinates of the corners in a dialog.  The polygon is validated by the model before the prism is created.
+ *
+ * @author Sam Reid (PhET Interactive Simulations)
+ */
+
+import Vector2 from '../../../../dot/js/Vector2.js';
+import Shape from '../../../../kite/js/Shape.js';
+import StringUtils from '../../../../phetcommon/js/util/StringUtils.js';
+import PhetFont from '../../../../scenery-phet/js/PhetFont.js';
+import Circle from '../../../../scenery/js/nodes/Circle.js';
+import DOM from '../../../../scenery/js/nodes/DOM.js';
+import HBox from '../../../../scenery/js/nodes/HBox.js';
+import Node from '../../../../scenery/js/nodes/Node.js';
+import Path from '../../../../scenery/js/nodes/Path.js';
+import Rectangle from '../../../../scenery/js/nodes/Rectangle.js';
+import Text from '../../../../scenery/js/nodes/Text.js';
+import VBox from '../../../../scenery/js/nodes/VBox.js';
+import TextPushButton from '../../../../sun/js/buttons/TextPushButton.js';
+import Dialog from '../../../../sun/js/Dialog.js';
+import Panel from '../../../../sun/js/Panel.js';
+import bendingLight from '../../bendingLight.js';
+import bendingLightStrings from '../../bendingLightStrings.js';
+
+const cancelString = bendingLightStrings.cancel;
+const createPrismString = bendingLightStrings.createPrism;
+const drawPrismInstructionsString = bendingLightStrings.drawPrismInstructions;
+const enterCornersInstructionsString = bendingLightStrings.enterCornersInstructions;
+const invalidCornerPatternString = bendingLightStrings.invalidCornerPattern;
+const selfIntersectingString = bendingLightStrings.selfIntersecting;
+const tooFewCornersString = bendingLightStrings.tooFewCorners;
+const tooSmallString = bendingLightStrings.tooSmall;
+const undoString = bendingLightStrings.undo;
+
+// constants
+const FONT = new PhetFont( 12 );
+const ERROR_FILL = '#c00000';
+const MAX_TEXT_WIDTH = 400;
+const MICROMETERS_PER_METER = 1E6;
+
+// messages for the problems reported by Polygon.getValidationError
+const ERROR_MESSAGES = {
+  tooFewCorners: tooFewCornersString,
+  selfIntersecting: selfIntersectingString,
+  tooSmall: tooSmallString
+};
+
+class CustomPrismEditorNode extends Node {
+
+  /**
+   * @param {PrismsModel} prismsModel
+   * @param {ModelViewTransform2} modelViewTransform - converts between model and view co-ordinates
+   * @param {Property.<Bounds2>} visibleBoundsProperty - visible bounds of the screen view
+   * @param {function(Prism)} prismCreated - called after a prism was added to the model, to create its node
+   */
+  constructor( prismsModel, modelViewTransform, visibleBoundsProperty, prismCreated ) {
+    super( { visible: false } );
+
+    // @private
+    this.prismsModel = prismsModel;
+    this.modelViewTransform = modelViewTransform;
+    this.visibleBoundsProperty = visibleBoundsProperty;
+    this.prismCreated = prismCreated;
+
+    // @private {Vector2[]} - corners that have been clicked so far, in model coordinates
+    this.points = [];
+
+    // Covers the screen to receive the clicks
+    const overlay = new Rectangle( 0, 0, 0, 0, {
+      fill: 'rgba( 0, 0, 0, 0.08 )',
+      cursor: 'crosshair'
+    } );
+    overlay.addInputListener( {
+      down: event => {
+        if ( event.canStartPress() ) {
+          this.points.push( modelViewTransform.viewToModelPosition( this.globalToLocalPoint( event.pointer.point ) ) );
+          this.update();
+        }
+      }
+    } );
+    this.addChild( overlay );
+
+    // @private - preview of the prism
+    this.outline = new Path( null, {
+      stroke: 'black',
+      lineDash: [ 4, 3 ],
+      fill: 'rgba( 255, 255, 255, 0.3 )',
+      pickable: false
+    } );
+    this.addChild( this.outline );
+    this.cornersNode = new Node( { pickable: false } ); // @private
+    this.addChild( this.cornersNode );
+
+    // @private
+    this.errorText = new Text( '', { font: FONT, fill: ERROR_FILL, maxWidth: MAX_TEXT_WIDTH } );
+    this.createButton = new TextPushButton( createPrismString, {
+      font: FONT,
+      baseColor: 'white',
+      listener: () => this.createPrism()
+    } );
+    this.undoButton = new TextPushButton( undoString, {
+      font: FONT,
+      baseColor: 'white',
+      listener: () => {
+        this.points.pop();
+        this.update();
+      }
+    } );
+    const controlPanel = new Panel( new VBox( {
+      spacing: 6,
+      children: [
+        new Text( drawPrismInstructionsString, { font: FONT, maxWidth: MAX_TEXT_WIDTH } ),
+        this.errorText,
+        new HBox( {
+          spacing: 10,
+          children: [
+            this.createButton,
+            this.undoButton,
+            new TextPushButton( cancelString, {
+              font: FONT,
+              baseColor: 'white',
+              listener: () => {
+                this.visible = false;
+              }
+            } )
+          ]
+        } )
+      ]
+    } ), {
+      fill: '#EEEEEE',
+      stroke: '#696969',
+      cornerRadius: 5,
+      xMargin: 10,
+      yMargin: 6,
+      resize: true
+    } );
+    this.addChild( controlPanel );
+
+    visibleBoundsProperty.link( visibleBounds => {
+      overlay.setRectBounds( visibleBounds );
+      controlPanel.centerX = visibleBounds.centerX;
+      controlPanel.top = visibleBounds.top + 10;
+    } );
+
+    // @private {Dialog|null} - created when first needed
+    this.coordinatesDialog = null;
+  }
+
+  /**
+   * Lets the user click the corners of a new prism in the play area
+   * @public
+   */
+  startDrawing() {
+    this.points = [];
+    this.update();
+    this.visible = true;
+  }
+
+  /**
+   * Stops drawing a prism
+   * @public
+   */
+  reset() {
+    this.visible = false;
+  }
+
+  /**
+   * Shows the clicked corners and enables the buttons
+   * @private
+   */
+  update() {
+    const viewPoints = this.points.map( point => this.modelViewTransform.modelToViewPosition( point ) );
+    this.outline.shape = viewPoints.length >= 2 ? Shape.polygon( viewPoints ) : null;
+    this.cornersNode.children = viewPoints.map( point => new Circle( 3, { fill: 'black', center: point } ) );
+    this.createButton.enabled = this.points.length >= 3;
+    this.undoButton.enabled = this.points.length > 0;
+    this.errorText.text = '';
+  }
+
+  /**
+   * Creates the prism with the clicked corners, or shows the problem with them
+   * @private
+   */
+  createPrism() {
+    const error = this.prismsModel.getCustomPrismError( this.points );
+    if ( error ) {
+      this.errorText.text = ERROR_MESSAGES[ error ];
+    }
+    else {
+      this.prismCreated( this.prismsModel.addCustomPrism( this.points ) );
+      this.visible = false;
+    }
+  }
+
+  /**
+   * Shows a dialog where the user can type the coordinates of the corners of a new prism, which is created in the
+   * middle of the screen
+   * @public
+   */
+  showCoordinatesDialog() {
+    if ( !this.coordinatesDialog ) {
+      const textArea = document.createElement( 'textarea' );
+      textArea.rows = 8;
+      textArea.cols = 24;
+      textArea.placeholder = '0, 0\n5, 0\n0, 5';
+      const errorText = new Text( '', { font: FONT, fill: ERROR_FILL, maxWidth: MAX_TEXT_WIDTH } );
+
+      const createButton = new TextPushButton( createPrismString, {
+        font: FONT,
+        baseColor: 'white',
+        listener: () => {
+
+          // one corner per line, in micrometers
+          const lines = textArea.value.split( /[\n;]/ ).map( line => line.trim() ).filter( line => line.length > 0 );
+          const points = [];
+          for ( let i = 0; i < lines.length; i++ ) {
+            const values = lines[ i ].split( /[\s,]+/ ).map( Number );
+            if ( values.length !== 2 || !isFinite( values[ 0 ] ) || !isFinite( values[ 1 ] ) ) {
+              errorText.text = StringUtils.format( invalidCornerPatternString, lines[ i ] );
+              return;
+            }
+            points.push( new Vector2( values[ 0 ], values[ 1 ] ).timesScalar( 1 / MICROMETERS_PER_METER ) );
+          }
+          const error = this.prismsModel.getCustomPrismError( points );
+          if ( error ) {
+            errorText.text = ERROR_MESSAGES[ error ];
+            return;
+          }
+
+          // Center the corners in the visible part of the screen
+          const center = this.modelViewTransform.viewToModelPosition( this.visibleBoundsProperty.value.center );
+          const average = _.reduce( points, ( sum, point ) => sum.plus( point ), Vector2.ZERO )
+            .timesScalar( 1 / points.length );
+          this.prismCreated( this.prismsModel.addCustomPrism(
+            points.map( point => point.minus( average ).add( center ) )
+          ) );
+          errorText.text = '';
+          this.coordinatesDialog.hide();
+        }
+      } );
+
+      this.coordinatesDialog = new Dialog( new VBox( {
+        spacing: 10,
+        children: [
+          new Text( enterCornersInstructionsString, { font: FONT, maxWidth: MAX_TEXT_WIDTH } ),
+          new DOM( textArea, { allowInput: true } ),
+          errorText,
+          createButton
+        ]
+      } ) );
+    }
+    this.coordinatesDialog.show();
+  }
+}
+
+bendingLight.register( 'CustomPrismEditorNode', CustomPrismEditorNode );
+
+export default CustomPrismEditorNode;
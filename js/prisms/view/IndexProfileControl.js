@@ -0,0 +1,78 @@
+// Copyright 2021, University of Colorado Boulder
+
+/**
+ * Sliders for the change in the index of refraction across the graded environment and the size of its profile, which
+ * are enabled when the environment is not uniform, see PrismsModel.environmentIndexProfileProperty.
+ *
+ * @author Sam Reid (PhET Interactive Simulations)
+ */
+
+import DerivedProperty from '../../../../axon/js/DerivedProperty.js';
+import Dimension2 from '../../../../dot/js/Dimension2.js';
+import Utils from '../../../../dot/js/Utils.js';
+import merge from '../../../../phet-core/js/merge.js';
+import StringUtils from '../../../../phetcommon/js/util/StringUtils.js';
+import PhetFont from '../../../../scenery-phet/js/PhetFont.js';
+import Text from '../../../../scenery/js/nodes/Text.js';
+import VBox from '../../../../scenery/js/nodes/VBox.js';
+import HSlider from '../../../../sun/js/HSlider.js';
+import bendingLight from '../../bendingLight.js';
+import bendingLightStrings from '../../bendingLightStrings.js';
+
+const indexProfileDeltaNPatternString = bendingLightStrings.indexProfileDeltaNPattern;
+const indexProfileSizePatternString = bendingLightStrings.indexProfileSizePattern;
+
+// constants
+const FONT = new PhetFont( 10 );
+const TEXT_MAX_WIDTH = 100;
+
+class IndexProfileControl extends VBox {
+
+  /**
+   * @param {PrismsModel} prismsModel
+   * @param {Object} [options]
+   */
+  constructor( prismsModel, options ) {
+    const gradedProperty = new DerivedProperty( [ prismsModel.environmentIndexProfileProperty ],
+      indexProfile => indexProfile !== 'uniform' );
+
+    // Creates a readout of a value above a slider for it
+    const createControl = ( property, range, format ) => {
+      const valueText = new Text( '', { font: FONT, maxWidth: TEXT_MAX_WIDTH } );
+      property.link( value => {
+        valueText.text = format( value );
+      } );
+      gradedProperty.link( graded => {
+        valueText.opacity = graded ? 1 : 0.5;
+      } );
+      return new VBox( {
+        spacing: 2,
+        align: 'left',
+        children: [
+          valueText,
+          new HSlider( property, range, {
+            trackFill: 'white',
+            trackSize: new Dimension2( 80, 1 ),
+            thumbSize: new Dimension2( 8, 16 ),
+            enabledProperty: gradedProperty
+          } )
+        ]
+      } );
+    };
+
+    super( merge( {
+      spacing: 4,
+      align: 'left',
+      children: [
+        createControl( prismsModel.indexProfileDeltaNProperty, prismsModel.indexProfileDeltaNRange,
+          deltaN => StringUtils.format( indexProfileDeltaNPatternString, Utils.toFixed( deltaN, 2 ) ) ),
+        createControl( prismsModel.indexProfileSizeProperty, prismsModel.indexProfileSizeRange,
+          size => StringUtils.format( indexProfileSizePatternString, Utils.toFixed( size * 1E6, 1 ) ) )
+      ]
+    }, options ) );
+  }
+}
+
+bendingLight.register( 'IndexProfileControl', IndexProfileControl );
+
+export default IndexProfileControl;
@@ -1,7 +1,9 @@
 // Copyright 2015-2020, University of Colorado Boulder
 
 /**
- * Radio button group for choosing between 1x monochromatic, 5x monochromatic or 1x white light.
+ * Radio button group for choosing between 1x monochromatic, many parallel monochromatic rays, 1x white light, many
+ * parallel white light rays, discrete spectral lines, the thermal radiation of a blackbody or a monochromatic point
+ * source.
  *
  * @author Sam Reid (PhET Interactive Simulations)
  */
@@ -15,6 +17,10 @@ import RectangularRadioButtonGroup from '../../../../sun/js/buttons/RectangularR
 import laserImage from '../../../images/laser_png.js';
 import bendingLight from '../../bendingLight.js';
 
+// constants
+const SPECTRAL_LINE_COLORS = [ '#7f00ff', '#00ffc0', '#ff2000' ]; // a few discrete colors along the beam, for spectral lines
+const BLACKBODY_COLOR = '#ffb86d'; // the color of a blackbody at about 3000K
+
 class LaserTypeRadioButtonGroup extends RectangularRadioButtonGroup {
 
   /**
@@ -28,15 +34,30 @@ class LaserTypeRadioButtonGroup extends RectangularRadioButtonGroup {
     } );
 
     const lineWidth = 37;
-    const redLineAt = y => new Line( 0, 0, lineWidth, 0, {
-      stroke: 'red',
+    const lineAt = ( y, stroke ) => new Line( 0, 0, lineWidth, 0, {
+      stroke: stroke,
       lineWidth: 2,
       centerY: laserImageNode.centerY + y,
       left: laserImageNode.centerX
     } );
+    const redLineAt = y => lineAt( y, 'red' );
+
+    // rays fanned out from the emission point, for the point source
+    const fanAngle = Math.PI / 6;
+    const redLineAtAngle = angle => new Line( 0, 0, lineWidth * Math.cos( angle ), lineWidth * Math.sin( angle ), {
+      stroke: 'red',
+      lineWidth: 2,
+      x: laserImageNode.centerX,
+      y: laserImageNode.centerY
+    } );
 
     const dy = 6.25;
     const padding = 2;// vertical padding above the laser in the white light radio button
+
+    // dark background for the white light
+    const createWhiteLightBackground = () => new Rectangle( 60, -padding, 50, laserImageNode.height + padding * 2, {
+      fill: '#261f21'
+    } );
     const overallScale = 0.875;
     super( radioButtonAdapterProperty, [ {
       value: 'singleColor',
@@ -48,7 +69,7 @@ class LaserTypeRadioButtonGroup extends RectangularRadioButtonGroup {
         ]
       } )
     }, {
-      value: 'singleColor5x',
+      value: 'singleColorMany',
       node: new Node( {
         scale: overallScale,
         children: [
@@ -65,13 +86,60 @@ class LaserTypeRadioButtonGroup extends RectangularRadioButtonGroup {
       node: new Node( {
         scale: overallScale,
         children: [
-          new Rectangle( 60, -padding, 50, laserImageNode.height + padding * 2, { fill: '#261f21' } ),
-          new Line( 0, 0, lineWidth, 0, {
-            stroke: 'white',
+          createWhiteLightBackground(),
+          lineAt( 0, 'white' ),
+          laserImageNode
+        ]
+      } )
+    }, {
+      value: 'whiteMany',
+      node: new Node( {
+        scale: overallScale,
+        children: [
+          createWhiteLightBackground(),
+          lineAt( 0, 'white' ),
+          lineAt( -dy, 'white' ),
+          lineAt( -dy * 2, 'white' ),
+          lineAt( +dy, 'white' ),
+          lineAt( +dy * 2, 'white' ),
+          laserImageNode
+        ]
+      } )
+    }, {
+      value: 'spectralLines',
+      node: new Node( {
+        scale: overallScale,
+        children: [
+          createWhiteLightBackground(),
+          ...SPECTRAL_LINE_COLORS.map( ( color, i ) => new Line( 0, 0, lineWidth / SPECTRAL_LINE_COLORS.length, 0, {
+            stroke: color,
             lineWidth: 2,
             centerY: laserImageNode.centerY,
-            left: laserImageNode.centerX
-          } ),
+            left: laserImageNode.centerX + i * lineWidth / SPECTRAL_LINE_COLORS.length
+          } ) ),
+          laserImageNode
+        ]
+      } )
+    }, {
+      value: 'blackbody',
+      node: new Node( {
+        scale: overallScale,
+        children: [
+          createWhiteLightBackground(),
+          lineAt( 0, BLACKBODY_COLOR ),
+          laserImageNode
+        ]
+      } )
+    }, {
+      value: 'pointSource',
+      node: new Node( {
+        scale: overallScale,
+        children: [
+          redLineAtAngle( -fanAngle ),
+          redLineAtAngle( -fanAngle / 2 ),
+          redLineAtAngle( 0 ),
+          redLineAtAngle( fanAngle / 2 ),
+          redLineAtAngle( fanAngle ),
           laserImageNode
         ]
       } )
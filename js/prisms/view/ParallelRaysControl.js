@@ -0,0 +1,99 @@
+// Copyright 2021, University of Colorado Boulder
+
+/**
+ * Sliders for the number of parallel rays and the width of the beam they are spread over, which are enabled when the
+ * laser emits many parallel rays.
+ *
+ * @author Sam Reid (PhET Interactive Simulations)
+ */
+
+import Dimension2 from '../../../../dot/js/Dimension2.js';
+import Utils from '../../../../dot/js/Utils.js';
+import merge from '../../../../phet-core/js/merge.js';
+import StringUtils from '../../../../phetcommon/js/util/StringUtils.js';
+import PhetFont from '../../../../scenery-phet/js/PhetFont.js';
+import Text from '../../../../scenery/js/nodes/Text.js';
+import VBox from '../../../../scenery/js/nodes/VBox.js';
+import HSlider from '../../../../sun/js/HSlider.js';
+import bendingLight from '../../bendingLight.js';
+import bendingLightStrings from '../../bendingLightStrings.js';
+import Laser from '../../common/model/Laser.js';
+
+const beamWidthPatternString = bendingLightStrings.beamWidthPattern;
+const parallelRaysPatternString = bendingLightStrings.parallelRaysPattern;
+
+// constants
+const FONT = new PhetFont( 12 );
+const TEXT_MAX_WIDTH = 140;
+
+class ParallelRaysControl extends VBox {
+
+  /**
+   * @param {Laser} laser - the laser whose parallel rays are controlled
+   * @param {Object} [options]
+   */
+  constructor( laser, options ) {
+
+    // the listeners and sliders that are removed when the control is disposed
+    const disposers = [];
+
+    // Creates a readout of a value above a slider for it
+    const createControl = ( property, range, format, sliderOptions ) => {
+      const valueText = new Text( '', { font: FONT, maxWidth: TEXT_MAX_WIDTH } );
+      const valueListener = value => {
+        valueText.text = format( value );
+      };
+      property.link( valueListener );
+      const manyRaysListener = manyRays => {
+        valueText.opacity = manyRays ? 1 : 0.5;
+      };
+      laser.manyRaysProperty.link( manyRaysListener );
+      const slider = new HSlider( property, range, merge( {
+        trackFill: 'white',
+        trackSize: new Dimension2( 100, 1 ),
+        thumbSize: new Dimension2( 10, 20 ),
+        enabledProperty: laser.manyRaysProperty
+      }, sliderOptions ) );
+      disposers.push( () => {
+        property.unlink( valueListener );
+        laser.manyRaysProperty.unlink( manyRaysListener );
+        slider.dispose();
+      } );
+      return new VBox( {
+        spacing: 2,
+        align: 'left',
+        children: [ valueText, slider ]
+      } );
+    };
+
+    super( merge( {
+      spacing: 6,
+      align: 'left',
+      children: [
+        createControl( laser.parallelRayCountProperty, Laser.PARALLEL_RAY_COUNT_RANGE,
+          count => StringUtils.format( parallelRaysPatternString, count ), {
+            constrainValue: value => Utils.roundSymmetric( value )
+          } ),
+        createControl( laser.beamWidthProperty, Laser.BEAM_WIDTH_RANGE,
+          beamWidth => StringUtils.format( beamWidthPatternString, Utils.toFixed( beamWidth * 1E6, 1 ) ) )
+      ]
+    }, options ) );
+
+    // @private
+    this.disposeParallelRaysControl = () => disposers.forEach( disposer => disposer() );
+  }
+
+  /**
+   * Releases references, for lasers that can be removed
+   * @public
+   * @override
+   */
+  dispose() {
+    this.disposeParallelRaysControl();
+    super.dispose();
+  }
+}
+
+bendingLight.register( 'ParallelRaysControl', ParallelRaysControl );
+
+export default ParallelRaysControl;
@@ -8,6 +8,7 @@
  */
 
 import Vector2 from '../../../../dot/js/Vector2.js';
+import Arc from '../../../../kite/js/segments/Arc.js';
 import Shape from '../../../../kite/js/Shape.js';
 import SimpleDragHandler from '../../../../scenery/js/input/SimpleDragHandler.js';
 import DragListener from '../../../../scenery/js/listeners/DragListener.js';
@@ -18,6 +19,35 @@ import knobImage from '../../../images/knob_png.js';
 import bendingLight from '../../bendingLight.js';
 import BendingLightConstants from '../../common/BendingLightConstants.js';
 
+// constants
+const MIRROR_BACKING_FILL = '#505050';
+const MIRROR_SURFACE_STROKE = '#e4ecf4';
+const GRATING_FILL = 'rgba(200,210,220,0.6)';
+const GRATING_LINES_STROKE = '#606870';
+const STROKE = 'gray';
+const SELECTED_STROKE = '#3291b8';
+const COATING_STROKE = '#c9a227';
+const SELECTED_FACE_LINE_DASH = [ 6, 4 ];
+
+/**
+ * Makes a shape that traces faces of a prism
+ * @param {Array.<Line|Arc>} faces
+ * @returns {Shape}
+ */
+const createFacesShape = faces => {
+  const shape = new Shape();
+  faces.forEach( face => {
+    shape.moveToPoint( face.start );
+    if ( face instanceof Arc ) {
+      shape.arc( face.center.x, face.center.y, face.radius, face.startAngle, face.endAngle, face.anticlockwise );
+    }
+    else {
+      shape.lineToPoint( face.end );
+    }
+  } );
+  return shape;
+};
+
 class PrismNode extends Node {
 
   /**
@@ -38,12 +68,22 @@ class PrismNode extends Node {
     super( { cursor: 'pointer' } );
     const knobHeight = 15;
 
+    // Icons in the toolbox show the material that new prisms are made of
+    const mediumProperty = isIcon ? prismsModel.prismMediumProperty : prism.mediumProperty;
+
     // It looks like a box on the side of the prism
     const knobNode = new Image( knobImage );
     if ( prism.shapeProperty.get().getReferencePoint() ) {
       this.addChild( knobNode );
     }
 
+    // Selecting a prism shows its material in the control panel, so it can be changed
+    const select = () => {
+      if ( prism.hasMedium() ) {
+        prismsModel.selectedPrismProperty.value = prism;
+      }
+    };
+
     // Prism rotation with knob
     let previousAngle;
     let prismCenterPoint;
@@ -51,6 +91,7 @@ class PrismNode extends Node {
       knobNode.addInputListener( new SimpleDragHandler( {
         start: event => {
           this.moveToFront();
+          select();
           const start = knobNode.globalToParentPoint( event.pointer.point );
           prismCenterPoint = prism.getTranslatedShape().getRotationCenter();
           const startX = modelViewTransform.viewToModelX( start.x );// model values
@@ -74,10 +115,46 @@ class PrismNode extends Node {
     }
 
     const prismPathNode = new Path( modelViewTransform.modelToViewShape( prism.getTranslatedShape().shape ), {
-      stroke: 'gray'
+      stroke: STROKE
     } );
     this.addChild( prismPathNode );
 
+    // Mirrors show their reflective surface on top of the backing
+    const mirrorSurfaceNode = new Path( null, {
+      stroke: MIRROR_SURFACE_STROKE,
+      lineWidth: 2,
+      pickable: false
+    } );
+    if ( prism.isMirror() ) {
+      this.addChild( mirrorSurfaceNode );
+    }
+
+    // Gratings show some of their lines across the plate
+    const gratingLinesNode = new Path( null, {
+      stroke: GRATING_LINES_STROKE,
+      pickable: false
+    } );
+    if ( prism.isGrating() ) {
+      this.addChild( gratingLinesNode );
+    }
+
+    // Coated faces are drawn over the outline, and the face whose coating is shown in the control panel is dashed
+    const coatingsNode = new Path( null, {
+      stroke: COATING_STROKE,
+      lineWidth: 3,
+      pickable: false
+    } );
+    const selectedFaceNode = new Path( null, {
+      stroke: SELECTED_STROKE,
+      lineWidth: 3,
+      lineDash: SELECTED_FACE_LINE_DASH,
+      pickable: false
+    } );
+    if ( prism.hasMedium() ) {
+      this.addChild( coatingsNode );
+      this.addChild( selectedFaceNode );
+    }
+
     // When the window reshapes, make sure no prism is left outside of the play area
     // TODO: Broken, see https://github.com/phetsims/bending-light/issues/372
     dragBoundsProperty.link( dragBounds => {
@@ -94,13 +171,14 @@ class PrismNode extends Node {
       // TODO: Do we need to transform the bounds?
       // dragBoundsProperty: dragBoundsProperty, // TODO: get this working, see https://github.com/phetsims/bending-light/issues/372
       transform: modelViewTransform,
+      start: select,
       end: () => {
         occlusionHandler( this );
         if ( prismToolboxNode.visibleBounds.containsCoordinates( this.getCenterX(), this.getCenterY() ) ) {
           if ( prismLayer.hasChild( this ) ) {
             prismsModel.removePrism( prism );
             prism.shapeProperty.unlink( this.updatePrismShape );
-            prismsModel.prismMediumProperty.unlink( this.updatePrismColor );
+            mediumProperty.unlink( this.updatePrismColor );
             prismLayer.removeChild( this );
           }
           prismsModel.dirty = true;
@@ -116,11 +194,14 @@ class PrismNode extends Node {
 
     // @public - also used in PrismToolboxNode
     this.updatePrismShape = () => {
-      prismsModel.clear();
-      prismsModel.updateModel();
-      prismsModel.dirty = true;
       const delta = prism.positionProperty.value;
       prismPathNode.setShape( modelViewTransform.modelToViewShape( prism.shapeProperty.get().getTranslatedInstance( delta.x, delta.y ).shape ) );
+      if ( prism.isMirror() ) {
+        mirrorSurfaceNode.setShape( modelViewTransform.modelToViewShape( prism.getTranslatedShape().frontShape ) );
+      }
+      if ( prism.isGrating() ) {
+        gratingLinesNode.setShape( modelViewTransform.modelToViewShape( prism.getTranslatedShape().linesShape ) );
+      }
 
       const prismReferencePoint = prism.getTranslatedShape().getReferencePoint();
       if ( prismReferencePoint ) {
@@ -145,15 +226,61 @@ class PrismNode extends Node {
     prism.shapeProperty.link( this.updatePrismShape );
     prism.positionProperty.link( this.updatePrismShape );
 
+    const updateFaces = () => {
+      const faces = prism.getFaces();
+      coatingsNode.shape = modelViewTransform.modelToViewShape( createFacesShape(
+        faces.filter( ( face, i ) => !!prism.coatingsProperty.value[ i ] ) ) );
+      const selectedFace = isIcon || prismsModel.selectedPrismProperty.value !== prism ? null :
+                           faces[ prismsModel.selectedFaceIndexProperty.value ];
+      selectedFaceNode.shape = selectedFace ?
+                               modelViewTransform.modelToViewShape( createFacesShape( [ selectedFace ] ) ) :
+                               null;
+    };
+    prism.shapeProperty.link( updateFaces );
+    prism.positionProperty.link( updateFaces );
+    prism.coatingsProperty.link( updateFaces );
+
     // @public - used in PrismToolboxNode
     this.updatePrismColor = () => {
-      const indexOfRefraction = prismsModel.prismMediumProperty.value.substance.indexOfRefractionForRedLight;
+
+      // mirrors and gratings do not contain the medium of the prisms
+      if ( prism.isMirror() ) {
+        prismPathNode.fill = MIRROR_BACKING_FILL;
+        return;
+      }
+      if ( prism.isGrating() ) {
+        prismPathNode.fill = GRATING_FILL;
+        return;
+      }
+      const indexOfRefraction = mediumProperty.value.substance.indexOfRefractionForRedLight;
       prismPathNode.fill = prismsModel.mediumColorFactory.getColor( indexOfRefraction )
         .withAlpha( BendingLightConstants.PRISM_NODE_ALPHA );
     };
 
     prismsModel.mediumColorFactory.lightTypeProperty.link( this.updatePrismColor );
-    prismsModel.prismMediumProperty.link( this.updatePrismColor );
+    mediumProperty.link( this.updatePrismColor );
+
+    // The selected prism is outlined
+    const updateSelection = selectedPrism => {
+      prismPathNode.stroke = selectedPrism === prism ? SELECTED_STROKE : STROKE;
+      prismPathNode.lineWidth = selectedPrism === prism ? 2 : 1;
+    };
+    if ( !isIcon ) {
+      prismsModel.selectedPrismProperty.link( updateSelection );
+      prismsModel.selectedPrismProperty.link( updateFaces );
+      prismsModel.selectedFaceIndexProperty.link( updateFaces );
+
+      // Stop following the selection when the prism is removed, whether it is returned to the toolbox or by reset
+      const prismRemovedListener = removedPrism => {
+        if ( removedPrism === prism ) {
+          prismsModel.selectedPrismProperty.unlink( updateSelection );
+          prismsModel.selectedPrismProperty.unlink( updateFaces );
+          prismsModel.selectedFaceIndexProperty.unlink( updateFaces );
+          prismsModel.prisms.removeItemRemovedListener( prismRemovedListener );
+        }
+      };
+      prismsModel.prisms.addItemRemovedListener( prismRemovedListener );
+    }
 
     /**
      * Called from the occlusion handler.  Translates the view by the specified amount by translating the corresponding
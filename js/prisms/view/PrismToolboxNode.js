@@ -1,14 +1,22 @@
 // Copyright 2015-2020, University of Colorado Boulder
 
 /**
- * Prism toolbox which contains draggable prisms as well as the control panel for their index of refraction.
+ * Prism toolbox which contains draggable prisms, mirrors and a diffraction grating as well as the control panel for
+ * the index of refraction of the prisms.
  *
  * @author Sam Reid (PhET Interactive Simulations)
  * @author Chandrashekar Bemagoni (Actual Concepts)
  */
 
+import DynamicProperty from '../../../../axon/js/DynamicProperty.js';
+import Property from '../../../../axon/js/Property.js';
 import Bounds2 from '../../../../dot/js/Bounds2.js';
+import Dimension2 from '../../../../dot/js/Dimension2.js';
+import Range from '../../../../dot/js/Range.js';
+import Utils from '../../../../dot/js/Utils.js';
 import Shape from '../../../../kite/js/Shape.js';
+import merge from '../../../../phet-core/js/merge.js';
+import StringUtils from '../../../../phetcommon/js/util/StringUtils.js';
 import PhetFont from '../../../../scenery-phet/js/PhetFont.js';
 import ProtractorNode from '../../../../scenery-phet/js/ProtractorNode.js';
 import DragListener from '../../../../scenery/js/listeners/DragListener.js';
@@ -19,14 +27,23 @@ import Path from '../../../../scenery/js/nodes/Path.js';
 import Rectangle from '../../../../scenery/js/nodes/Rectangle.js';
 import Text from '../../../../scenery/js/nodes/Text.js';
 import VBox from '../../../../scenery/js/nodes/VBox.js';
+import TextPushButton from '../../../../sun/js/buttons/TextPushButton.js';
 import Checkbox from '../../../../sun/js/Checkbox.js';
+import HSlider from '../../../../sun/js/HSlider.js';
 import bendingLight from '../../bendingLight.js';
 import bendingLightStrings from '../../bendingLightStrings.js';
 import MediumControlPanel from '../../common/view/MediumControlPanel.js';
+import CustomPrismEditorNode from './CustomPrismEditorNode.js';
 import PrismNode from './PrismNode.js';
 
+const bounceLimitPatternString = bendingLightStrings.bounceLimitPattern;
+const drawPrismString = bendingLightStrings.drawPrism;
+const enterCornersString = bendingLightStrings.enterCorners;
+const gratingLineDensityPatternString = bendingLightStrings.gratingLineDensityPattern;
+const mirrorReflectanceString = bendingLightStrings.mirrorReflectance;
 const normalLineString = bendingLightStrings.normalLine;
 const objectsString = bendingLightStrings.objects;
+const powerCutoffPatternString = bendingLightStrings.powerCutoffPattern;
 const protractorString = bendingLightStrings.protractor;
 const reflectionsString = bendingLightStrings.reflections;
 
@@ -34,6 +51,8 @@ const reflectionsString = bendingLightStrings.reflections;
 // constants
 const MAX_TEXT_WIDTH = 115;
 const MAX_PRISM_COUNT = 6; // for each type
+const PRISM_ICON_HEIGHT = 55;
+const MIRROR_ICON_HEIGHT = 38;
 
 class PrismToolboxNode extends Node {
 
@@ -62,9 +81,9 @@ class PrismToolboxNode extends Node {
         dragBoundsProperty, occlusionHandler, true );
     };
 
-    // Iterate over the prism prototypes in the model and create a draggable icon for each one
+    // Create a draggable icon of the specified height for a prism prototype
     let prismNode;
-    prismsModel.getPrismPrototypes().forEach( prism => {
+    const createToolboxIcon = ( prism, iconHeight ) => {
       const prismIcon = createPrismIcon( prism );
 
       const listener = () => {
@@ -74,7 +93,7 @@ class PrismToolboxNode extends Node {
       prismsModel.prisms.addItemAddedListener( listener );
       prismsModel.prisms.addItemRemovedListener( listener );
       const prismIconBounds = prismIcon.bounds;
-      prismIcon.scale( 55 / prismIcon.height );
+      prismIcon.scale( iconHeight / prismIcon.height );
       const prismToolboxIconNode = new Path( Shape.rectangle(
         prismIconBounds.minX,
         prismIconBounds.minY,
@@ -90,6 +109,9 @@ class PrismToolboxNode extends Node {
 
         const start = this.globalToParentPoint( event.pointer.point );
         const prismShape = prism.copy();
+        if ( prismShape.hasMedium() ) {
+          prismShape.mediumProperty.value = prismsModel.prismMediumProperty.value;
+        }
         prismShape.translate(
           modelViewTransform.viewToModelX( start.x ),
           modelViewTransform.viewToModelY( start.y )
@@ -108,9 +130,90 @@ class PrismToolboxNode extends Node {
 
       // touch area
       prismIcon.touchArea = prismIcon.localBounds;
-      content.addChild( prismIcon );
       prismIcon.addChild( prismToolboxIconNode );
+      return prismIcon;
+    };
+
+    // Iterate over the prism and mirror prototypes in the model and create a draggable icon for each one, with the
+    // mirrors, the grating and their controls in a second row
+    const prismIcons = new HBox( {
+      spacing: 8.4,
+      excludeInvisibleChildrenFromBounds: false,
+      children: prismsModel.getPrismPrototypes().map( prism => createToolboxIcon( prism, PRISM_ICON_HEIGHT ) )
+    } );
+    const mirrorReflectanceControl = new VBox( {
+      spacing: 2,
+      children: [
+        new Text( mirrorReflectanceString, { font: new PhetFont( 10 ), maxWidth: 100 } ),
+        new HSlider( prismsModel.mirrorReflectanceProperty, new Range( 0, 1 ), {
+          trackFill: 'white',
+          trackSize: new Dimension2( 80, 1 ),
+          thumbSize: new Dimension2( 8, 16 )
+        } )
+      ]
+    } );
+    const gratingLineDensityText = new Text( '', { font: new PhetFont( 10 ), maxWidth: 100 } );
+    prismsModel.gratingLineDensityProperty.link( lineDensity => {
+      gratingLineDensityText.text = StringUtils.format( gratingLineDensityPatternString, lineDensity );
+    } );
+    const gratingLineDensityControl = new VBox( {
+      spacing: 2,
+      children: [
+        gratingLineDensityText,
+        new HSlider( prismsModel.gratingLineDensityProperty, prismsModel.gratingLineDensityRange, {
+          trackFill: 'white',
+          trackSize: new Dimension2( 80, 1 ),
+          thumbSize: new Dimension2( 8, 16 ),
+          constrainValue: value => Utils.roundToInterval( value, 10 )
+        } )
+      ]
+    } );
+
+    // @public (read-only) - for making prisms with any polygon shape, added to the screen view so that it can cover the
+    // play area
+    this.customPrismEditorNode = new CustomPrismEditorNode( prismsModel, modelViewTransform, dragBoundsProperty,
+      prism => {
+        const customPrismNode = new PrismNode( prismsModel, modelViewTransform, prism, this, prismLayer,
+          dragBoundsProperty, occlusionHandler, false );
+        prismLayer.addChild( customPrismNode );
+        occlusionHandler( customPrismNode );
+      } );
+    const customPrismButtonOptions = {
+      font: new PhetFont( 10 ),
+      maxTextWidth: 90,
+      xMargin: 5,
+      yMargin: 2,
+      baseColor: 'white'
+    };
+    const customPrismButtons = new VBox( {
+      spacing: 4,
+      align: 'left',
+      children: [
+        new TextPushButton( drawPrismString, merge( {
+          listener: () => this.customPrismEditorNode.startDrawing()
+        }, customPrismButtonOptions ) ),
+        new TextPushButton( enterCornersString, merge( {
+          listener: () => this.customPrismEditorNode.showCoordinatesDialog()
+        }, customPrismButtonOptions ) )
+      ]
+    } );
+
+    const mirrorIcons = new HBox( {
+      spacing: 16,
+      excludeInvisibleChildrenFromBounds: false,
+      children: prismsModel.getMirrorPrototypes().map( mirror => createToolboxIcon( mirror, MIRROR_ICON_HEIGHT ) )
+        .concat( [
+          createToolboxIcon( prismsModel.getGratingPrototype(), MIRROR_ICON_HEIGHT ),
+          mirrorReflectanceControl,
+          gratingLineDensityControl,
+          customPrismButtons
+        ] )
     } );
+    content.addChild( new VBox( {
+      spacing: 6,
+      align: 'left',
+      children: [ prismIcons, mirrorIcons ]
+    } ) );
 
     // Allow the user to control the type of material in the prisms
     const environmentMediumMaterialListParent = new Node();
@@ -122,7 +225,8 @@ class PrismToolboxNode extends Node {
       prismsModel.wavelengthProperty,
       2, {
         lineWidth: 0,
-        yMargin: 4
+        yMargin: 4,
+        importedSubstances: prismsModel.importedSubstances
       } );
     this.objectMediumControlPanel = objectMediumControlPanel;
     const dividerBetweenPrismsAndPanel = new Rectangle( 0, 0, 0.6, objectMediumControlPanel.height - 10, 10, 10, {
@@ -236,6 +340,51 @@ class PrismToolboxNode extends Node {
     } );
     content.addChild( checkboxes );
 
+    // Limits of the ray tracing.  The power cutoff spans several orders of magnitude, so its slider is logarithmic.
+    const createLimitControl = ( property, range, format, sliderOptions ) => {
+      const valueText = new Text( '', { font: new PhetFont( 10 ), maxWidth: 100 } );
+      property.link( value => {
+        valueText.text = format( value );
+      } );
+      return new VBox( {
+        spacing: 2,
+        align: 'left',
+        children: [
+          valueText,
+          new HSlider( property, range, merge( {
+            trackFill: 'white',
+            trackSize: new Dimension2( 80, 1 ),
+            thumbSize: new Dimension2( 8, 16 )
+          }, sliderOptions ) )
+        ]
+      } );
+    };
+    const minPowerExponentProperty = new DynamicProperty( new Property( prismsModel.minPowerProperty ), {
+      bidirectional: true,
+      map: minPower => Math.log10( minPower ),
+      inverseMap: exponent => prismsModel.minPowerRange.constrainValue( Math.pow( 10, exponent ) )
+    } );
+    const limitControls = new VBox( {
+      spacing: SPACING,
+      align: 'left',
+      children: [
+        createLimitControl( prismsModel.maxBouncesProperty, prismsModel.maxBouncesRange,
+          maxBounces => StringUtils.format( bounceLimitPatternString, maxBounces ), {
+            constrainValue: value => Utils.roundSymmetric( value )
+          } ),
+        createLimitControl( minPowerExponentProperty,
+          new Range( Math.log10( prismsModel.minPowerRange.min ), Math.log10( prismsModel.minPowerRange.max ) ),
+          () => StringUtils.format( powerCutoffPatternString,
+            Number( ( prismsModel.minPowerProperty.value * 100 ).toPrecision( 2 ) ) ), {
+            constrainValue: value => Utils.roundSymmetric( value )
+          } )
+      ]
+    } );
+    content.addChild( new Rectangle( 0, 0, 0.6, objectMediumControlPanel.height - 10, 10, 10, {
+      stroke: 'gray', lineWidth: 0.2, fill: 'gray'
+    } ) );
+    content.addChild( limitControls );
+
     // Add the sensors panel
     const background = new Rectangle( 0, 0, content.width + 25, content.height + 2, 5, 5, {
       stroke: '#696969', lineWidth: 1.5, fill: '#EEEEEE'
@@ -0,0 +1,37 @@
+// Copyright 2021, University of Colorado Boulder
+
+/**
+ * Shows the results of PrismsBenchmark when the simulation is run with the ?benchmark query parameter.  For internal
+ * use, so the text is not translated.
+ *
+ * @author Sam Reid (PhET Interactive Simulations)
+ */
+
+import PhetFont from '../../../../scenery-phet/js/PhetFont.js';
+import Text from '../../../../scenery/js/nodes/Text.js';
+import VBox from '../../../../scenery/js/nodes/VBox.js';
+import Dialog from '../../../../sun/js/Dialog.js';
+import bendingLight from '../../bendingLight.js';
+import PrismsBenchmark from '../model/PrismsBenchmark.js';
+
+// constants
+const FONT = new PhetFont( 12 );
+
+class PrismsBenchmarkDialog extends Dialog {
+
+  /**
+   * Runs the benchmark and creates a dialog with its results
+   * @param {Object} [options]
+   */
+  constructor( options ) {
+    super( new VBox( {
+      spacing: 6,
+      align: 'left',
+      children: PrismsBenchmark.run().split( '\n' ).map( line => new Text( line, { font: FONT } ) )
+    } ), options );
+  }
+}
+
+bendingLight.register( 'PrismsBenchmarkDialog', PrismsBenchmarkDialog );
+
+export default PrismsBenchmarkDialog;
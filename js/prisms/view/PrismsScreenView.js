@@ -7,31 +7,50 @@
  * @author Chandrashekar Bemagoni (Actual Concepts)
  */
 
+import DynamicProperty from '../../../../axon/js/DynamicProperty.js';
 import Property from '../../../../axon/js/Property.js';
 import merge from '../../../../phet-core/js/merge.js';
 import ResetAllButton from '../../../../scenery-phet/js/buttons/ResetAllButton.js';
 import MovableDragHandler from '../../../../scenery-phet/js/input/MovableDragHandler.js';
+import PhetFont from '../../../../scenery-phet/js/PhetFont.js';
 import ProtractorNode from '../../../../scenery-phet/js/ProtractorNode.js';
+import HBox from '../../../../scenery/js/nodes/HBox.js';
 import Node from '../../../../scenery/js/nodes/Node.js';
 import Rectangle from '../../../../scenery/js/nodes/Rectangle.js';
 import VBox from '../../../../scenery/js/nodes/VBox.js';
+import TextPushButton from '../../../../sun/js/buttons/TextPushButton.js';
 import Panel from '../../../../sun/js/Panel.js';
+import Tandem from '../../../../tandem/js/Tandem.js';
 import bendingLight from '../../bendingLight.js';
 import bendingLightStrings from '../../bendingLightStrings.js';
 import BendingLightScreenView from '../../common/view/BendingLightScreenView.js';
+import FanAngleControl from '../../common/view/FanAngleControl.js';
 import FloatingLayout from '../../common/view/FloatingLayout.js';
+import LaserNode from '../../common/view/LaserNode.js';
 import MediumControlPanel from '../../common/view/MediumControlPanel.js';
+import PolarizationControl from '../../common/view/PolarizationControl.js';
 import TranslationDragHandle from '../../common/view/TranslationDragHandle.js';
 import WavelengthControl from '../../common/view/WavelengthControl.js';
+import PrismsModel from '../model/PrismsModel.js';
+import BlackbodyControl from './BlackbodyControl.js';
+import CoatingControl from './CoatingControl.js';
+import IndexProfileControl from './IndexProfileControl.js';
 import IntersectionNode from './IntersectionNode.js';
 import LaserTypeRadioButtonGroup from './LaserTypeRadioButtonGroup.js';
+import ParallelRaysControl from './ParallelRaysControl.js';
 import PrismToolboxNode from './PrismToolboxNode.js';
+import SpectralLinesControl from './SpectralLinesControl.js';
+import SpectrumControl from './SpectrumControl.js';
+import TruncationNode from './TruncationNode.js';
+import TunnelingNode from './TunnelingNode.js';
 import WhiteLightCanvasNode from './WhiteLightCanvasNode.js';
 
 // constants
 const INSET = 10;
 
+const addLaserString = bendingLightStrings.addLaser;
 const environmentString = bendingLightStrings.environment;
+const removeLaserString = bendingLightStrings.removeLaser;
 
 class PrismsScreenView extends BendingLightScreenView {
 
@@ -41,20 +60,25 @@ class PrismsScreenView extends BendingLightScreenView {
    */
   constructor( prismsModel, options ) {
 
-    super(
-      prismsModel,
+    // The protractor can be rotated by dragging it by its ring, translated by dragging the cross-bar
+    const laserTranslationRegion = fullShape => fullShape;
 
-      // laserTranslationRegion - The protractor can be rotated by dragging it by its ring, translated by dragging the cross-bar
-      fullShape => fullShape,
+    // Rotation if the user clicks top on the object
+    const laserRotationRegion = ( full, back ) => back;
 
-      // laserRotationRegion - Rotation if the user clicks top on the object
-      ( full, back ) => back,
+    super(
+      prismsModel,
+      laserTranslationRegion,
+      laserRotationRegion,
 
       // laserHasKnob
       true,
 
       merge( {
 
+        // with more than one laser, the rays are drawn like white light so that their colors add up
+        colorModeProperty: prismsModel.lightColorModeProperty,
+
         // center the play area horizontally in the space between the left side of the screen and the control panels on
         // the right, and move the laser to the left.
         horizontalPlayAreaOffset: 240,
@@ -103,7 +127,10 @@ class PrismsScreenView extends BendingLightScreenView {
       environmentString, false, prismsModel.wavelengthProperty,
       indexOfRefractionDecimals, {
         yMargin: 6,
-        comboBoxListPosition: 'below'
+        comboBoxListPosition: 'below',
+        importedSubstances: prismsModel.importedSubstances,
+        indexProfileProperty: prismsModel.environmentIndexProfileProperty,
+        indexProfileControl: new IndexProfileControl( prismsModel )
       } );
     environmentMediumControlPanel.setTranslation(
       this.layoutBounds.right - 2 * INSET - environmentMediumControlPanel.width, this.layoutBounds.top + 15 );
@@ -111,21 +138,96 @@ class PrismsScreenView extends BendingLightScreenView {
 
     const sliderEnabledProperty = new Property();
 
+    // The radio buttons and the controls in the laser control panel are for the selected laser
     const radioButtonAdapterProperty = new Property( 'singleColor' );
     radioButtonAdapterProperty.link( radioButtonAdapterValue => {
-      prismsModel.laser.colorModeProperty.value = radioButtonAdapterValue === 'white' ? 'white' :
-                                                  'singleColor';
-      prismsModel.manyRaysProperty.value = radioButtonAdapterValue === 'singleColor5x' ? 5 : 1;
-      sliderEnabledProperty.value = radioButtonAdapterValue !== 'white';
+      const laser = prismsModel.selectedLaserProperty.value;
+      const white = radioButtonAdapterValue === 'white' || radioButtonAdapterValue === 'whiteMany';
+      laser.colorModeProperty.value = white ? 'white' :
+                                      radioButtonAdapterValue === 'spectralLines' ? 'spectralLines' :
+                                      radioButtonAdapterValue === 'blackbody' ? 'blackbody' :
+                                      'singleColor';
+      laser.manyRaysProperty.value = radioButtonAdapterValue === 'singleColorMany' ||
+                                     radioButtonAdapterValue === 'whiteMany';
+      laser.sourceTypeProperty.value = radioButtonAdapterValue === 'pointSource' ? 'point' : 'beam';
+      sliderEnabledProperty.value = laser.colorModeProperty.value === 'singleColor';
+    } );
+    prismsModel.selectedLaserProperty.lazyLink( laser => {
+      const manyRays = laser.manyRaysProperty.value;
+      radioButtonAdapterProperty.value = laser.colorModeProperty.value === 'white' ? ( manyRays ? 'whiteMany' : 'white' ) :
+                                         laser.colorModeProperty.value === 'spectralLines' ? 'spectralLines' :
+                                         laser.colorModeProperty.value === 'blackbody' ? 'blackbody' :
+                                         laser.sourceTypeProperty.value === 'point' ? 'pointSource' :
+                                         manyRays ? 'singleColorMany' : 'singleColor';
     } );
 
     const laserTypeRadioButtonGroup = new LaserTypeRadioButtonGroup( radioButtonAdapterProperty );
     this.afterLightLayer2.addChild( laserTypeRadioButtonGroup );
 
+    const selectedWavelengthProperty = new DynamicProperty( prismsModel.selectedLaserProperty, {
+      derive: 'wavelengthProperty',
+      bidirectional: true
+    } );
+
+    // The spectrum, spectral lines, blackbody, polarization, fan and parallel rays controls are made for each laser
+    // when it is first selected, and disposed when the laser is removed.  The spectrum, spectral lines and blackbody
+    // controls are only shown in their color modes.
+    const laserControls = new Map();
+    const selectedLaserControlsParent = new Node();
+    prismsModel.selectedLaserProperty.link( laser => {
+      if ( !laserControls.has( laser ) ) {
+        const spectrumControl = new SpectrumControl( laser );
+        const spectralLinesControl = new SpectralLinesControl( laser );
+        const blackbodyControl = new BlackbodyControl( laser );
+        const colorModeListener = colorMode => {
+          spectrumControl.visible = colorMode === 'white';
+          spectralLinesControl.visible = colorMode === 'spectralLines';
+          blackbodyControl.visible = colorMode === 'blackbody';
+        };
+        laser.colorModeProperty.link( colorModeListener );
+        const controls = [
+          spectrumControl,
+          spectralLinesControl,
+          blackbodyControl,
+          new PolarizationControl( laser ),
+          new FanAngleControl( laser ),
+          new ParallelRaysControl( laser )
+        ];
+        laserControls.set( laser, {
+          node: new VBox( { spacing: 10, children: controls } ),
+          dispose: () => {
+            laser.colorModeProperty.unlink( colorModeListener );
+            controls.forEach( control => control.dispose() );
+          }
+        } );
+      }
+      selectedLaserControlsParent.children = [ laserControls.get( laser ).node ];
+    } );
+
+    const laserButtonOptions = {
+      font: new PhetFont( 11 ),
+      maxTextWidth: 60,
+      baseColor: 'white'
+    };
+    const addLaserButton = new TextPushButton( addLaserString, merge( {
+      listener: () => prismsModel.addLaser()
+    }, laserButtonOptions ) );
+    const removeLaserButton = new TextPushButton( removeLaserString, merge( {
+      listener: () => prismsModel.removeLaser( prismsModel.selectedLaserProperty.value )
+    }, laserButtonOptions ) );
+    prismsModel.lasers.lengthProperty.link( numberOfLasers => {
+      addLaserButton.enabled = numberOfLasers < PrismsModel.MAX_LASERS;
+    } );
+    prismsModel.selectedLaserProperty.link( laser => {
+      removeLaserButton.enabled = laser !== prismsModel.laser;
+    } );
+
     const laserControlPanel = new Panel( new VBox( {
       spacing: 10,
       children: [
-        new WavelengthControl( prismsModel.wavelengthProperty, sliderEnabledProperty, 146 ) ]
+        new HBox( { spacing: 6, children: [ addLaserButton, removeLaserButton ] } ),
+        new WavelengthControl( selectedWavelengthProperty, sliderEnabledProperty, 146 ),
+        selectedLaserControlsParent ]
     } ), {
       cornerRadius: 5,
       xMargin: 10,
@@ -136,8 +238,91 @@ class PrismsScreenView extends BendingLightScreenView {
     } );
 
     this.afterLightLayer2.addChild( laserControlPanel );
+
+    // The coating of the faces of the selected prism
+    const coatingControlPanel = new Panel( new CoatingControl( prismsModel ), {
+      cornerRadius: 5,
+      xMargin: 10,
+      yMargin: 6,
+      fill: '#EEEEEE',
+      stroke: '#696969',
+      lineWidth: 1.5
+    } );
+    prismsModel.selectedPrismProperty.link( selectedPrism => {
+      coatingControlPanel.visible = selectedPrism !== null;
+    } );
+    this.afterLightLayer2.addChild( coatingControlPanel );
     this.incidentWaveLayer.setVisible( false );
 
+    // Outline the selected laser when there is more than one
+    const laserHighlights = new Map();
+    const updateLaserHighlights = () => laserHighlights.forEach( ( highlight, laser ) => {
+      highlight.visible = prismsModel.lasers.length > 1 && laser === prismsModel.selectedLaserProperty.value;
+    } );
+    const addLaserHighlight = ( laser, laserNode ) => {
+      const highlight = new Rectangle( laserNode.localBounds.dilated( 3 ), 3, 3, {
+        stroke: 'white',
+        lineDash: [ 4, 3 ],
+        pickable: false
+      } );
+      laserNode.addChild( highlight );
+      laserHighlights.set( laser, highlight );
+      laserNode.addInputListener( {
+        down: () => {
+          prismsModel.selectedLaserProperty.value = laser;
+        }
+      } );
+    };
+    addLaserHighlight( prismsModel.laser, this.laserNode );
+
+    // The lasers that are added by the user go in front of the light, like the first laser
+    const addedLasersLayer = new Node();
+    this.insertChild( this.indexOfChild( this.afterLightLayer2 ), addedLasersLayer );
+    const addedLaserNodes = new Map();
+    prismsModel.lasers.addItemAddedListener( laser => {
+      const showRotationDragHandlesProperty = new Property( false );
+      const showTranslationDragHandlesProperty = new Property( false );
+      const laserNode = new LaserNode(
+        this.modelViewTransform,
+        laser,
+        showRotationDragHandlesProperty,
+        showTranslationDragHandlesProperty,
+        angle => angle,
+        laserTranslationRegion,
+        laserRotationRegion,
+        true,
+        this.visibleBoundsProperty,
+        this.occlusionHandler, {
+          tandem: Tandem.OPT_OUT
+        }
+      );
+      const laserParent = new Node();
+      this.addLaserHandles( laser, laserParent, showRotationDragHandlesProperty, showTranslationDragHandlesProperty,
+        () => true, () => true, laserNode.laserImageWidth );
+      laserParent.addChild( laserNode );
+      addLaserHighlight( laser, laserNode );
+      addedLaserNodes.set( laser, { laserParent: laserParent, laserNode: laserNode } );
+      addedLasersLayer.addChild( laserParent );
+      updateLaserHighlights();
+    } );
+    prismsModel.lasers.addItemRemovedListener( laser => {
+      const { laserParent, laserNode } = addedLaserNodes.get( laser );
+      addedLaserNodes.delete( laser );
+      laserHighlights.delete( laser );
+
+      // The selected laser has already gone back to the first laser, so the controls of this laser are not shown
+      if ( laserControls.has( laser ) ) {
+        const controls = laserControls.get( laser );
+        laserControls.delete( laser );
+        controls.node.dispose();
+        controls.dispose();
+      }
+      addedLasersLayer.removeChild( laserParent );
+      laserNode.dispose();
+      updateLaserHighlights();
+    } );
+    prismsModel.selectedLaserProperty.link( updateLaserHighlights );
+
     // Optionally show the normal lines at each intersection
     prismsModel.intersections.addItemAddedListener( addedIntersection => {
       if ( prismsModel.showNormalsProperty.value ) {
@@ -157,6 +342,39 @@ class PrismsScreenView extends BendingLightScreenView {
       }
     } );
 
+    // Mark where rays were dropped because of the bounce limit or the power cutoff
+    const truncationNodes = new Map();
+    prismsModel.truncations.addItemAddedListener( truncation => {
+      const node = new TruncationNode(
+        this.modelViewTransform,
+        truncation,
+        prismsModel.minPowerProperty.value,
+        prismsModel.intersectionStrokeProperty
+      );
+      truncationNodes.set( truncation, node );
+      this.addChild( node );
+    } );
+    prismsModel.truncations.addItemRemovedListener( truncation => {
+      const node = truncationNodes.get( truncation );
+      truncationNodes.delete( truncation );
+      node.dispose();
+      this.removeChild( node );
+    } );
+
+    // Show how much light tunneled across narrow gaps where it would have been totally internally reflected
+    const tunnelingNodes = new Map();
+    prismsModel.tunnelings.addItemAddedListener( tunneling => {
+      const node = new TunnelingNode( this.modelViewTransform, tunneling, prismsModel.intersectionStrokeProperty );
+      tunnelingNodes.set( tunneling, node );
+      this.addChild( node );
+    } );
+    prismsModel.tunnelings.addItemRemovedListener( tunneling => {
+      const node = tunnelingNodes.get( tunneling );
+      tunnelingNodes.delete( tunneling );
+      node.dispose();
+      this.removeChild( node );
+    } );
+
     // Add prisms toolbox Node
     const prismToolboxNode = new PrismToolboxNode(
       this.modelViewTransform,
@@ -175,6 +393,7 @@ class PrismsScreenView extends BendingLightScreenView {
         this.reset();
         environmentMediumControlPanel.reset();
         prismToolboxNode.objectMediumControlPanel.reset();
+        prismToolboxNode.customPrismEditorNode.reset();
         radioButtonAdapterProperty.reset();
       },
       radius: 19
@@ -220,7 +439,8 @@ class PrismsScreenView extends BendingLightScreenView {
       laserTypeRadioButtonGroup
     ] );
     FloatingLayout.floatBottom( this, [ prismToolboxNode, resetAllButton ] );
-    FloatingLayout.floatTop( this, [ environmentMediumControlPanel ] );
+    FloatingLayout.floatTop( this, [ environmentMediumControlPanel, coatingControlPanel ] );
+    FloatingLayout.floatLeft( this, [ coatingControlPanel ] );
 
     this.visibleBoundsProperty.link( visibleBounds => {
       laserTypeRadioButtonGroup.top = environmentMediumControlPanel.bottom + 15;
@@ -244,12 +464,15 @@ class PrismsScreenView extends BendingLightScreenView {
       const rectHeight = 2;
       navigationBarSeparator.setRect( visibleBounds.x, visibleBounds.y + visibleBounds.height - rectHeight, visibleBounds.width, rectHeight );
     } );
-    prismsModel.laser.colorModeProperty.link( color => {
+    prismsModel.lightColorModeProperty.link( color => {
       navigationBarSeparator.visible = color === 'white';
     } );
     this.addChild( navigationBarSeparator );
 
-    prismsModel.laser.colorModeProperty.link( colorMode => {
+    // In front of everything else, so that clicks for the corners of a custom prism are not intercepted
+    this.addChild( prismToolboxNode.customPrismEditorNode );
+
+    prismsModel.lightColorModeProperty.link( colorMode => {
       prismsModel.mediumColorFactory.lightTypeProperty.value = colorMode;
     } );
   }
@@ -274,7 +497,7 @@ class PrismsScreenView extends BendingLightScreenView {
    * @private, for internal use only.
    */
   updateWhiteLightNode() {
-    if ( this.prismsModel.laser.colorModeProperty.value === 'white' && this.prismsModel.dirty ) {
+    if ( this.prismsModel.lightColorModeProperty.value === 'white' && this.prismsModel.dirty ) {
       this.whiteLightNode.step();
       this.prismsModel.dirty = false;
     }
@@ -307,13 +530,15 @@ class PrismsScreenView extends BendingLightScreenView {
     this.addChild( this.whiteLightNode );
 
     // switch between light render for white vs nonwhite light
-    bendingLightModel.laser.colorModeProperty.link( color => {
+    bendingLightModel.lightColorModeProperty.link( color => {
       const white = color === 'white';
       this.whiteLightNode.setVisible( white );
     } );
   }
 
   /**
+   * @param {Laser} laser - the laser that the handles are for
+   * @param {Node} parentNode - the handles are added to this node
    * @param {boolean} showRotationDragHandlesProperty
    * @param {boolean} showTranslationDragHandlesProperty
    * @param {boolean} clockwiseArrowNotAtMax
@@ -321,10 +546,11 @@ class PrismsScreenView extends BendingLightScreenView {
    * @param {number} laserImageWidth
    * @protected
    */
-  addLaserHandles( showRotationDragHandlesProperty, showTranslationDragHandlesProperty,
+  addLaserHandles( laser, parentNode, showRotationDragHandlesProperty, showTranslationDragHandlesProperty,
                    clockwiseArrowNotAtMax, ccwArrowNotAtMax, laserImageWidth ) {
-    const bendingLightModel = this.bendingLightModel;
     super.addLaserHandles(
+      laser,
+      parentNode,
       showRotationDragHandlesProperty,
       showTranslationDragHandlesProperty,
       clockwiseArrowNotAtMax,
@@ -337,23 +563,23 @@ class PrismsScreenView extends BendingLightScreenView {
 
     const horizontalTranslationDragHandle = new TranslationDragHandle(
       this.modelViewTransform,
-      bendingLightModel.laser,
+      laser,
       arrowLength,
       0,
       showTranslationDragHandlesProperty,
       laserImageWidth
     );
-    this.addChild( horizontalTranslationDragHandle );
+    parentNode.addChild( horizontalTranslationDragHandle );
 
     const verticalTranslationDragHandle = new TranslationDragHandle(
       this.modelViewTransform,
-      bendingLightModel.laser,
+      laser,
       0,
       arrowLength,
       showTranslationDragHandlesProperty,
       laserImageWidth
     );
-    this.addChild( verticalTranslationDragHandle );
+    parentNode.addChild( verticalTranslationDragHandle );
   }
 }
 
@@ -0,0 +1,149 @@
+// Copyright 2021, University of Colorado Boulder
+
+/**
+ * Chooses the discrete spectral lines of a laser: sodium, mercury, hydrogen, helium-neon or lines entered by the user.
+ *
+ * @author Sam Reid (PhET Interactive Simulations)
+ */
+
+import Utils from '../../../../dot/js/Utils.js';
+import merge from '../../../../phet-core/js/merge.js';
+import StringUtils from '../../../../phetcommon/js/util/StringUtils.js';
+import PhetFont from '../../../../scenery-phet/js/PhetFont.js';
+import HBox from '../../../../scenery/js/nodes/HBox.js';
+import Text from '../../../../scenery/js/nodes/Text.js';
+import VBox from '../../../../scenery/js/nodes/VBox.js';
+import AquaRadioButton from '../../../../sun/js/AquaRadioButton.js';
+import TextPushButton from '../../../../sun/js/buttons/TextPushButton.js';
+import bendingLight from '../../bendingLight.js';
+import bendingLightStrings from '../../bendingLightStrings.js';
+import SpectralLines from '../../common/model/SpectralLines.js';
+import WavelengthTableDialog from './WavelengthTableDialog.js';
+
+const customString = bendingLightStrings.custom;
+const editLinesString = bendingLightStrings.editLines;
+const editLinesInstructionsString = bendingLightStrings.editLinesInstructions;
+const heliumNeonString = bendingLightStrings.heliumNeon;
+const hydrogenString = bendingLightStrings.hydrogen;
+const invalidSpectralLinesPatternString = bendingLightStrings.invalidSpectralLinesPattern;
+const invalidSpectralLinesRowPatternString = bendingLightStrings.invalidSpectralLinesRowPattern;
+const mercuryString = bendingLightStrings.mercury;
+const sodiumString = bendingLightStrings.sodium;
+const spectralLinesString = bendingLightStrings.spectralLines;
+
+// constants
+const FONT = new PhetFont( 12 );
+const TEXT_MAX_WIDTH = 70;
+
+class SpectralLinesControl extends VBox {
+
+  /**
+   * @param {Laser} laser - the laser whose spectral lines are controlled
+   * @param {Object} [options]
+   */
+  constructor( laser, options ) {
+    const radioButtonOptions = {
+      radius: 6
+    };
+    const createButton = ( value, text ) => new AquaRadioButton(
+      laser.spectralLinesTypeProperty,
+      value,
+      new Text( text, { font: FONT, maxWidth: TEXT_MAX_WIDTH } ),
+      radioButtonOptions
+    );
+
+    const editButton = new TextPushButton( editLinesString, {
+      font: FONT,
+      maxTextWidth: 2 * TEXT_MAX_WIDTH,
+      baseColor: 'white',
+      listener: () => this.showSpectralLinesDialog()
+    } );
+    const spectralLinesTypeListener = spectralLinesType => {
+      editButton.enabled = spectralLinesType === 'custom';
+    };
+    laser.spectralLinesTypeProperty.link( spectralLinesTypeListener );
+
+    const buttons = [
+      createButton( 'sodium', sodiumString ),
+      createButton( 'mercury', mercuryString ),
+      createButton( 'hydrogen', hydrogenString ),
+      createButton( 'heliumNeon', heliumNeonString ),
+      createButton( 'custom', customString )
+    ];
+
+    super( merge( {
+      spacing: 6,
+      align: 'left',
+      children: [
+        new Text( spectralLinesString, { font: FONT, maxWidth: 2 * TEXT_MAX_WIDTH } ),
+        new HBox( {
+          spacing: 10,
+          align: 'top',
+          children: [
+            new VBox( {
+              spacing: 6,
+              align: 'left',
+              children: [ buttons[ 0 ], buttons[ 1 ], buttons[ 2 ] ]
+            } ),
+            new VBox( {
+              spacing: 6,
+              align: 'left',
+              children: [ buttons[ 3 ], buttons[ 4 ] ]
+            } )
+          ]
+        } ),
+        editButton
+      ]
+    }, options ) );
+
+    // @private
+    this.laser = laser;
+
+    // @private {WavelengthTableDialog|null} - created when the dialog is first shown
+    this.spectralLinesDialog = null;
+
+    // @private
+    this.disposeSpectralLinesControl = () => {
+      laser.spectralLinesTypeProperty.unlink( spectralLinesTypeListener );
+      [ ...buttons, editButton ].forEach( node => node.dispose() );
+      this.spectralLinesDialog && this.spectralLinesDialog.dispose();
+    };
+  }
+
+  /**
+   * Releases references, for lasers that can be removed
+   * @public
+   * @override
+   */
+  dispose() {
+    this.disposeSpectralLinesControl();
+    super.dispose();
+  }
+
+  /**
+   * Shows a dialog where the user can type the wavelength and relative intensity of each of the custom lines
+   * @private
+   */
+  showSpectralLinesDialog() {
+    if ( !this.spectralLinesDialog ) {
+      this.spectralLinesDialog = new WavelengthTableDialog( editLinesInstructionsString,
+        invalidSpectralLinesRowPatternString, ( wavelengths, intensities ) => {
+          if ( !SpectralLines.isValid( wavelengths, intensities ) ) {
+            return StringUtils.format( invalidSpectralLinesPatternString,
+              Utils.roundSymmetric( SpectralLines.MIN_WAVELENGTH * 1E9 ),
+              Utils.roundSymmetric( SpectralLines.MAX_WAVELENGTH * 1E9 ) );
+          }
+          this.laser.customSpectralLinesProperty.value = new SpectralLines( wavelengths, intensities );
+          return null;
+        } );
+    }
+
+    // Start from the current lines
+    const spectralLines = this.laser.customSpectralLinesProperty.value;
+    this.spectralLinesDialog.showTable( spectralLines.wavelengths, spectralLines.intensities );
+  }
+}
+
+bendingLight.register( 'SpectralLinesControl', SpectralLinesControl );
+
+export default SpectralLinesControl;
@@ -0,0 +1,192 @@
+// Copyright 2021, University of Colorado Boulder
+
+/**
+ * Chooses the spectrum of the white light of a laser: daylight (D65), an incandescent bulb at an adjustable temperature,
+ * a white LED or a table entered by the user.  A swatch shows the color of the light before it is
+ * dispersed.
+ *
+ * @author Sam Reid (PhET Interactive Simulations)
+ */
+
+import DerivedProperty from '../../../../axon/js/DerivedProperty.js';
+import Dimension2 from '../../../../dot/js/Dimension2.js';
+import Utils from '../../../../dot/js/Utils.js';
+import merge from '../../../../phet-core/js/merge.js';
+import StringUtils from '../../../../phetcommon/js/util/StringUtils.js';
+import PhetFont from '../../../../scenery-phet/js/PhetFont.js';
+import HBox from '../../../../scenery/js/nodes/HBox.js';
+import Rectangle from '../../../../scenery/js/nodes/Rectangle.js';
+import Text from '../../../../scenery/js/nodes/Text.js';
+import VBox from '../../../../scenery/js/nodes/VBox.js';
+import AquaRadioButton from '../../../../sun/js/AquaRadioButton.js';
+import TextPushButton from '../../../../sun/js/buttons/TextPushButton.js';
+import HSlider from '../../../../sun/js/HSlider.js';
+import bendingLight from '../../bendingLight.js';
+import bendingLightStrings from '../../bendingLightStrings.js';
+import Laser from '../../common/model/Laser.js';
+import Spectrum from '../../common/model/Spectrum.js';
+import WavelengthTableDialog from './WavelengthTableDialog.js';
+
+const customString = bendingLightStrings.custom;
+const daylightString = bendingLightStrings.daylight;
+const editSpectrumString = bendingLightStrings.editSpectrum;
+const editSpectrumInstructionsString = bendingLightStrings.editSpectrumInstructions;
+const invalidSpectrumString = bendingLightStrings.invalidSpectrum;
+const incandescentString = bendingLightStrings.incandescent;
+const invalidSpectrumRowPatternString = bendingLightStrings.invalidSpectrumRowPattern;
+const ledString = bendingLightStrings.led;
+const spectrumString = bendingLightStrings.spectrum;
+const temperaturePatternString = bendingLightStrings.temperaturePattern;
+
+// constants
+const FONT = new PhetFont( 12 );
+const TEXT_MAX_WIDTH = 70;
+const SWATCH_WIDTH = 24;
+const SWATCH_HEIGHT = 12;
+
+class SpectrumControl extends VBox {
+
+  /**
+   * @param {Laser} laser - the laser whose spectrum is controlled
+   * @param {Object} [options]
+   */
+  constructor( laser, options ) {
+    const radioButtonOptions = {
+      radius: 6
+    };
+    const createButton = ( value, text ) => new AquaRadioButton(
+      laser.spectrumTypeProperty,
+      value,
+      new Text( text, { font: FONT, maxWidth: TEXT_MAX_WIDTH } ),
+      radioButtonOptions
+    );
+
+    const buttons = [
+      createButton( 'd65', daylightString ),
+      createButton( 'incandescent', incandescentString ),
+      createButton( 'led', ledString ),
+      createButton( 'custom', customString )
+    ];
+
+    // the temperature is only used for the incandescent bulb
+    const temperatureText = new Text( '', { font: FONT, maxWidth: 2 * TEXT_MAX_WIDTH } );
+    const temperatureListener = temperature => {
+      temperatureText.text = StringUtils.format( temperaturePatternString, Utils.roundSymmetric( temperature ) );
+    };
+    laser.incandescentTemperatureProperty.link( temperatureListener );
+    const incandescentProperty = new DerivedProperty( [ laser.spectrumTypeProperty ],
+      spectrumType => spectrumType === 'incandescent' );
+    incandescentProperty.link( incandescent => {
+      temperatureText.opacity = incandescent ? 1 : 0.5;
+    } );
+    const temperatureSlider = new HSlider( laser.incandescentTemperatureProperty,
+      Laser.INCANDESCENT_TEMPERATURE_RANGE, {
+        trackFill: 'white',
+        trackSize: new Dimension2( 100, 1 ),
+        thumbSize: new Dimension2( 10, 20 ),
+        constrainValue: value => Utils.roundToInterval( value, 10 ),
+        enabledProperty: incandescentProperty
+      } );
+
+    const editButton = new TextPushButton( editSpectrumString, {
+      font: FONT,
+      maxTextWidth: 2 * TEXT_MAX_WIDTH,
+      baseColor: 'white',
+      listener: () => this.showSpectrumDialog()
+    } );
+    const spectrumTypeListener = spectrumType => {
+      editButton.enabled = spectrumType === 'custom';
+    };
+    laser.spectrumTypeProperty.link( spectrumTypeListener );
+
+    // the perceived color of the light
+    const swatch = new Rectangle( 0, 0, SWATCH_WIDTH, SWATCH_HEIGHT, {
+      stroke: 'gray'
+    } );
+    const spectrumListener = spectrum => {
+      swatch.fill = spectrum.getPerceivedColor();
+    };
+    laser.spectrumProperty.link( spectrumListener );
+
+    super( merge( {
+      spacing: 6,
+      align: 'left',
+      children: [
+        new HBox( {
+          spacing: 8,
+          children: [ new Text( spectrumString, { font: FONT, maxWidth: 2 * TEXT_MAX_WIDTH } ), swatch ]
+        } ),
+        new HBox( {
+          spacing: 10,
+          align: 'top',
+          children: [
+            new VBox( {
+              spacing: 6,
+              align: 'left',
+              children: [ buttons[ 0 ], buttons[ 1 ] ]
+            } ),
+            new VBox( {
+              spacing: 6,
+              align: 'left',
+              children: [ buttons[ 2 ], buttons[ 3 ] ]
+            } )
+          ]
+        } ),
+        temperatureText,
+        temperatureSlider,
+        editButton
+      ]
+    }, options ) );
+
+    // @private
+    this.laser = laser;
+
+    // @private {WavelengthTableDialog|null} - created when the dialog is first shown
+    this.spectrumDialog = null;
+
+    // @private
+    this.disposeSpectrumControl = () => {
+      laser.incandescentTemperatureProperty.unlink( temperatureListener );
+      laser.spectrumTypeProperty.unlink( spectrumTypeListener );
+      laser.spectrumProperty.unlink( spectrumListener );
+      [ ...buttons, temperatureSlider, editButton ].forEach( node => node.dispose() );
+      incandescentProperty.dispose();
+      this.spectrumDialog && this.spectrumDialog.dispose();
+    };
+  }
+
+  /**
+   * Releases references, for lasers that can be removed
+   * @public
+   * @override
+   */
+  dispose() {
+    this.disposeSpectrumControl();
+    super.dispose();
+  }
+
+  /**
+   * Shows a dialog where the user can type the relative power at each wavelength of the custom spectrum
+   * @private
+   */
+  showSpectrumDialog() {
+    if ( !this.spectrumDialog ) {
+      this.spectrumDialog = new WavelengthTableDialog( editSpectrumInstructionsString, invalidSpectrumRowPatternString,
+        ( wavelengths, powers ) => {
+          if ( !Spectrum.isValidTable( wavelengths, powers ) ) {
+            return invalidSpectrumString;
+          }
+          this.laser.customSpectrumProperty.value = Spectrum.createTabulated( wavelengths, powers );
+          return null;
+        } );
+    }
+
+    // Start from the current table
+    const table = this.laser.customSpectrumProperty.value.table;
+    this.spectrumDialog.showTable( table.wavelengths, table.powers );
+  }
+}
+
+bendingLight.register( 'SpectrumControl', SpectrumControl );
+
+export default SpectrumControl;
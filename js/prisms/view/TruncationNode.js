@@ -0,0 +1,54 @@
+// Copyright 2021, University of Colorado Boulder
+
+/**
+ * Node that marks where a ray was dropped because of the bounce limit (a cross) or the power cutoff (a circle), so
+ * that rays which were cut short can be told apart from rays that left the scene.
+ *
+ * @author Sam Reid (PhET Interactive Simulations)
+ */
+
+import Utils from '../../../../dot/js/Utils.js';
+import Shape from '../../../../kite/js/Shape.js';
+import Path from '../../../../scenery/js/nodes/Path.js';
+import bendingLight from '../../bendingLight.js';
+
+// constants
+const MARKER_RADIUS = 5; // in stage coordinates
+
+class TruncationNode extends Path {
+
+  /**
+   * @param {ModelViewTransform2} modelViewTransform - Transform between model and view coordinate frames
+   * @param {RayTruncation} truncation - where and why the ray was dropped
+   * @param {number} minPower - the power cutoff that the ray was traced with
+   * @param {Property.<string|Color>} strokeProperty - the stroke to use for the marker
+   */
+  constructor( modelViewTransform, truncation, minPower, strokeProperty ) {
+
+    const shape = truncation.reason === 'bounces' ?
+                  new Shape()
+                    .moveTo( -MARKER_RADIUS, -MARKER_RADIUS ).lineTo( MARKER_RADIUS, MARKER_RADIUS )
+                    .moveTo( -MARKER_RADIUS, MARKER_RADIUS ).lineTo( MARKER_RADIUS, -MARKER_RADIUS ) :
+                  Shape.circle( 0, 0, MARKER_RADIUS );
+
+    // Like the rays, weaker rays are shown fainter.  Rays dropped by the power cutoff are compared with the cutoff so
+    // that their markers can still be seen.
+    const relativePower = truncation.reason === 'bounces' ? truncation.power : truncation.power / minPower;
+    super( shape, {
+      stroke: strokeProperty.value,
+      lineWidth: 2,
+      opacity: Utils.clamp( 0.25 + 0.75 * relativePower, 0.25, 1 ),
+      center: modelViewTransform.modelToViewPosition( truncation.point ),
+      pickable: false
+    } );
+
+    const handle = strokeProperty.linkAttribute( this, 'stroke' );
+
+    // @public - dispose of the TruncationNode, getting rid of the attached listeners
+    this.dispose = () => strokeProperty.unlink( handle );
+  }
+}
+
+bendingLight.register( 'TruncationNode', TruncationNode );
+
+export default TruncationNode;
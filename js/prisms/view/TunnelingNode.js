@@ -0,0 +1,52 @@
+// Copyright 2021, University of Colorado Boulder
+
+/**
+ * Node that shows the fraction of the light that tunneled across a gap where it would otherwise have been totally
+ * internally reflected, along with the width of the gap.
+ *
+ * @author Sam Reid (PhET Interactive Simulations)
+ */
+
+import Utils from '../../../../dot/js/Utils.js';
+import StringUtils from '../../../../phetcommon/js/util/StringUtils.js';
+import PhetFont from '../../../../scenery-phet/js/PhetFont.js';
+import Text from '../../../../scenery/js/nodes/Text.js';
+import bendingLight from '../../bendingLight.js';
+import bendingLightStrings from '../../bendingLightStrings.js';
+
+const tunnelingPatternString = bendingLightStrings.tunnelingPattern;
+
+// constants
+const OFFSET = 8; // distance between the gap and the readout, in stage coordinates
+
+class TunnelingNode extends Text {
+
+  /**
+   * @param {ModelViewTransform2} modelViewTransform - Transform between model and view coordinate frames
+   * @param {RayTunneling} tunneling - where and how much light tunneled
+   * @param {Property.<string|Color>} fillProperty - the fill to use for the text, so it can be seen on the background
+   */
+  constructor( modelViewTransform, tunneling, fillProperty ) {
+    const point = modelViewTransform.modelToViewPosition( tunneling.point );
+    super( StringUtils.format( tunnelingPatternString,
+      Utils.toFixed( tunneling.power * 100, 1 ),
+      Utils.roundSymmetric( tunneling.gapWidth * 1E9 )
+    ), {
+      font: new PhetFont( 12 ),
+      fill: fillProperty.value,
+      maxWidth: 200,
+      left: point.x + OFFSET,
+      bottom: point.y - OFFSET,
+      pickable: false
+    } );
+
+    const handle = fillProperty.linkAttribute( this, 'fill' );
+
+    // @public - dispose of the TunnelingNode, getting rid of the attached listeners
+    this.dispose = () => fillProperty.unlink( handle );
+  }
+}
+
+bendingLight.register( 'TunnelingNode', TunnelingNode );
+
+export default TunnelingNode;
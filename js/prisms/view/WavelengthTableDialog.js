@@ -0,0 +1,101 @@
+// Copyright 2021, University of Colorado Boulder
+
+/**
+ * Dialog where the user types a table with a wavelength in nm and a value on each row, such as the relative power of a
+ * spectrum (see SpectrumControl) or the relative intensity of spectral lines (see SpectralLinesControl).  Rows are
+ * separated by new lines or semicolons, and the two numbers on a row by spaces or commas.
+ *
+ * @author Sam Reid (PhET Interactive Simulations)
+ */
+
+import Utils from '../../../../dot/js/Utils.js';
+import StringUtils from '../../../../phetcommon/js/util/StringUtils.js';
+import PhetFont from '../../../../scenery-phet/js/PhetFont.js';
+import DOM from '../../../../scenery/js/nodes/DOM.js';
+import Text from '../../../../scenery/js/nodes/Text.js';
+import VBox from '../../../../scenery/js/nodes/VBox.js';
+import TextPushButton from '../../../../sun/js/buttons/TextPushButton.js';
+import Dialog from '../../../../sun/js/Dialog.js';
+import bendingLight from '../../bendingLight.js';
+import bendingLightStrings from '../../bendingLightStrings.js';
+
+const applyString = bendingLightStrings.apply;
+
+// constants
+const FONT = new PhetFont( 12 );
+const ERROR_FILL = '#c00000';
+const TEXT_MAX_WIDTH = 400;
+
+class WavelengthTableDialog extends Dialog {
+
+  /**
+   * @param {string} instructions - shown above the table
+   * @param {string} invalidRowPattern - error message for a row that is not two numbers, where {0} is the row
+   * @param {function(number[],number[]):string|null} apply - called with the wavelengths in meters and the values of a
+   *                                                         - table that was typed.  Returns an error message if the
+   *                                                         - table cannot be used, or null if it was applied.
+   * @param {Object} [options]
+   */
+  constructor( instructions, invalidRowPattern, apply, options ) {
+    const textArea = document.createElement( 'textarea' );
+    textArea.rows = 8;
+    textArea.cols = 24;
+    const errorText = new Text( '', { font: FONT, fill: ERROR_FILL, maxWidth: TEXT_MAX_WIDTH } );
+
+    const applyButton = new TextPushButton( applyString, {
+      font: FONT,
+      baseColor: 'white',
+      listener: () => {
+        const rows = textArea.value.split( /[\n;]/ ).map( row => row.trim() ).filter( row => row.length > 0 );
+        const wavelengths = [];
+        const values = [];
+        for ( let i = 0; i < rows.length; i++ ) {
+          const numbers = rows[ i ].split( /[\s,]+/ ).map( Number );
+          if ( numbers.length !== 2 || !isFinite( numbers[ 0 ] ) || !isFinite( numbers[ 1 ] ) ) {
+            errorText.text = StringUtils.format( invalidRowPattern, rows[ i ] );
+            return;
+          }
+          wavelengths.push( numbers[ 0 ] / 1E9 );
+          values.push( numbers[ 1 ] );
+        }
+        const error = apply( wavelengths, values );
+        if ( error ) {
+          errorText.text = error;
+          return;
+        }
+        this.hide();
+      }
+    } );
+
+    super( new VBox( {
+      spacing: 10,
+      children: [
+        new Text( instructions, { font: FONT, maxWidth: TEXT_MAX_WIDTH } ),
+        new DOM( textArea, { allowInput: true } ),
+        errorText,
+        applyButton
+      ]
+    } ), options );
+
+    // @private
+    this.textArea = textArea;
+    this.errorText = errorText;
+  }
+
+  /**
+   * Shows the dialog, starting from a table
+   * @public
+   * @param {number[]} wavelengths - in meters
+   * @param {number[]} values
+   */
+  showTable( wavelengths, values ) {
+    this.textArea.value = wavelengths.map( ( wavelength, i ) =>
+      `${Utils.toFixedNumber( wavelength * 1E9, 3 )}, ${Number( values[ i ].toPrecision( 4 ) )}` ).join( '\n' );
+    this.errorText.text = '';
+    this.show();
+  }
+}
+
+bendingLight.register( 'WavelengthTableDialog', WavelengthTableDialog );
+
+export default WavelengthTableDialog;
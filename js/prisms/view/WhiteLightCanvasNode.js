@@ -10,16 +10,61 @@
  * value (which is the sum of the ray intensities). The intensity is converted to a transparency value according to
  * alpha = sqrt(intensity/3), which is also clamped to be between 0 and 255.
  *
+ * Before a continuous spectrum is dispersed, the rays of all of its wavelengths lie on top of each other, and that
+ * segment is drawn once with the perceived color of the spectrum (see Spectrum.getPerceivedColor), as bright as the
+ * sum of the rays.  Adding up the colors of the rays would only approximate that color.
+ *
  * @author Sam Reid (PhET Interactive Simulations)
  * @author Chandrashekar Bemagoni (Actual Concepts)
  */
 
 import Bounds2 from '../../../../dot/js/Bounds2.js';
 import Utils from '../../../../dot/js/Utils.js';
-import VisibleColor from '../../../../scenery-phet/js/VisibleColor.js';
 import CanvasNode from '../../../../scenery/js/nodes/CanvasNode.js';
 import bendingLight from '../../bendingLight.js';
 import BendingLightConstants from '../../common/BendingLightConstants.js';
+import Spectrum from '../../common/model/Spectrum.js';
+import LaserColor from '../../common/view/LaserColor.js';
+
+// constants
+// number of color stops used to approximate the exponential decay of power along rays in absorbing media
+const NUMBER_OF_GRADIENT_STOPS = 10;
+
+// line dashes for visible light and for the false colors of ultraviolet and infrared light
+const SOLID_LINE_DASH = [];
+const INVISIBLE_LINE_DASH = [ 8, 6 ];
+
+// The colors are calibrated for daylight, so the brightness of each wavelength is relative to the strongest wavelength
+// of the D65 illuminant, which the spectra are normalized to
+const MAX_D65 = _.max( BendingLightConstants.WHITE_LIGHT_WAVELENGTHS.map(
+  wavelength => BendingLightConstants.D65[ wavelength ]
+) );
+
+// the wavelengths of white light in meters, for the spectra of the rays that have not been dispersed yet
+const WHITE_LIGHT_WAVELENGTHS = BendingLightConstants.WHITE_LIGHT_WAVELENGTHS.map( wavelength => wavelength / 1E9 );
+
+/**
+ * Scales intensity into a custom alpha range.  The brightness is proportional to the power from the laser, and to the
+ * square root of the fraction of that power that is left, so that weak reflections can still be seen.  Rays of one
+ * color are made brighter so that they do not have to add up with other wavelengths to be seen.
+ * @param {LightRay} lightRay
+ * @param {number} powerFraction - the power that is left at a point of the ray
+ * @returns {number}
+ */
+const getRayAlpha = ( lightRay, powerFraction ) => Utils.clamp(
+  MAX_D65 * Math.sqrt( lightRay.emittedPower * powerFraction * lightRay.brightness ) / 118 / 8, 0, 1
+);
+
+/**
+ * Gets the color that a ray adds to the canvas, balanced so that the rays of daylight add up to white
+ * @param {number} wavelength - in nm
+ * @param {number} alpha - see getRayAlpha
+ * @returns {number[]} - red, green and blue, which may be more than 255
+ */
+const getRayRGB = ( wavelength, alpha ) => {
+  const c = LaserColor.wavelengthToColor( wavelength );
+  return [ c.r * alpha / 0.9829313170995397, c.g * alpha, c.b * alpha / 0.7144456644926587 ];
+};
 
 class WhiteLightCanvasNode extends CanvasNode {
 
@@ -71,8 +116,13 @@ class WhiteLightCanvasNode extends CanvasNode {
     // "Screen", basically adds colors together, making them lighter
     context.globalCompositeOperation = 'lighter';
 
+    const undispersedRays = this.drawUndispersedSpectra( context );
+
     for ( let i = 0; i < this.whiteLightRays.length; i++ ) {
       const lightRay = this.whiteLightRays.get( i ); // {LightRay}
+      if ( undispersedRays.has( lightRay ) ) {
+        continue;
+      }
 
       const wavelength = Utils.roundSymmetric( lightRay.wavelengthInVacuum ); // convert back to (nm)
 
@@ -82,19 +132,34 @@ class WhiteLightCanvasNode extends CanvasNode {
       const x2 = this.modelViewTransform.modelToViewX( lightRay.tail.x );
       const y2 = this.modelViewTransform.modelToViewY( lightRay.tail.y );
 
-      // Scale intensity into a custom alpha range
-      const a = Utils.clamp( BendingLightConstants.D65[ wavelength ] * Math.sqrt( lightRay.powerFraction ) / 118, 0, 1 )
-                / 8;
+      const getAlpha = powerFraction => getRayAlpha( lightRay, powerFraction );
+      const a = getAlpha( lightRay.powerFraction );
 
       // skip alpha values that are just too light to see, which could also cause number format problems when creating
       // css color
       if ( a > 1E-5 ) {
-        const c = VisibleColor.wavelengthToColor( wavelength );
-        context.strokeStyle = `rgb(${
-          Utils.roundSymmetric( c.r * a / 0.9829313170995397 )},${
-          Utils.roundSymmetric( c.g * a )},${
-          Utils.roundSymmetric( c.b * a / 0.7144456644926587 )
-        })`;
+
+        // Light that cannot be seen is dashed
+        context.setLineDash( LaserColor.isVisible( wavelength ) ? SOLID_LINE_DASH : INVISIBLE_LINE_DASH );
+        const getColorString = alpha => {
+          const rgb = getRayRGB( wavelength, alpha );
+          return `rgb(${Utils.roundSymmetric( rgb[ 0 ] )},${Utils.roundSymmetric( rgb[ 1 ] )},${
+            Utils.roundSymmetric( rgb[ 2 ] )})`;
+        };
+        if ( lightRay.isAttenuated() ) {
+
+          // Fade the ray out from its tail (x2, y2) as it is absorbed by the medium
+          const gradient = context.createLinearGradient( x2, y2, x1, y1 );
+          const length = lightRay.getLength();
+          for ( let k = 0; k <= NUMBER_OF_GRADIENT_STOPS; k++ ) {
+            const fraction = k / NUMBER_OF_GRADIENT_STOPS;
+            gradient.addColorStop( fraction, getColorString( getAlpha( lightRay.getPowerAt( fraction * length ) ) ) );
+          }
+          context.strokeStyle = gradient;
+        }
+        else {
+          context.strokeStyle = getColorString( a );
+        }
         context.beginPath();
         context.moveTo( x1, y1 );
         context.lineTo( x2, y2 );
@@ -104,6 +169,64 @@ class WhiteLightCanvasNode extends CanvasNode {
     context.restore();
   }
 
+  /**
+   * Draws the segments where all of the wavelengths of a continuous spectrum are on top of each other, such as the
+   * beam between the laser and the first prism, with the perceived color of the spectrum
+   * @private
+   * @param {CanvasRenderingContext2D} context
+   * @returns {Set.<LightRay>} - the rays that were drawn
+   */
+  drawUndispersedSpectra( context ) {
+    const raysBySegment = new Map();
+    for ( let i = 0; i < this.whiteLightRays.length; i++ ) {
+      const lightRay = this.whiteLightRays.get( i );
+
+      // Absorption changes the spectrum along the ray, so those rays are drawn one at a time
+      if ( !lightRay.isAttenuated() ) {
+        const key = `${lightRay.tail.x},${lightRay.tail.y},${lightRay.tip.x},${lightRay.tip.y}`;
+        if ( !raysBySegment.has( key ) ) {
+          raysBySegment.set( key, [] );
+        }
+        raysBySegment.get( key ).push( lightRay );
+      }
+    }
+
+    const undispersedRays = new Set();
+    context.setLineDash( SOLID_LINE_DASH );
+    raysBySegment.forEach( segmentRays => {
+      const lightRays = _.sortBy( segmentRays, lightRay => lightRay.wavelengthInVacuum );
+      const wavelengths = lightRays.map( lightRay => Utils.roundSymmetric( lightRay.wavelengthInVacuum ) );
+      if ( _.isEqual( wavelengths, BendingLightConstants.WHITE_LIGHT_WAVELENGTHS ) &&
+           _.some( lightRays, lightRay => lightRay.powerFraction > 0 ) ) {
+
+        // As bright as the rays would be if they were added up, but with the color that the spectrum is seen as
+        const sum = [ 0, 0, 0 ];
+        lightRays.forEach( lightRay => {
+          const rgb = getRayRGB( Utils.roundSymmetric( lightRay.wavelengthInVacuum ),
+            getRayAlpha( lightRay, lightRay.powerFraction ) );
+          sum[ 0 ] += rgb[ 0 ];
+          sum[ 1 ] += rgb[ 1 ];
+          sum[ 2 ] += rgb[ 2 ];
+        } );
+        const scale = Math.min( _.max( sum ) / 255, 1 );
+        const color = Spectrum.createTabulated( WHITE_LIGHT_WAVELENGTHS,
+          lightRays.map( lightRay => lightRay.powerFraction ) ).getPerceivedColor();
+        context.strokeStyle = `rgb(${Utils.roundSymmetric( color.r * scale )},${
+          Utils.roundSymmetric( color.g * scale )},${Utils.roundSymmetric( color.b * scale )})`;
+
+        const lightRay = lightRays[ 0 ];
+        context.beginPath();
+        context.moveTo( this.modelViewTransform.modelToViewX( lightRay.tip.x ),
+          this.modelViewTransform.modelToViewY( lightRay.tip.y ) );
+        context.lineTo( this.modelViewTransform.modelToViewX( lightRay.tail.x ),
+          this.modelViewTransform.modelToViewY( lightRay.tail.y ) );
+        context.stroke();
+        lightRays.forEach( lightRay => undispersedRays.add( lightRay ) );
+      }
+    } );
+    return undispersedRays;
+  }
+
   /**
    * @public
    */